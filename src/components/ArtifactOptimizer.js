@@ -0,0 +1,191 @@
+/*Developed by @jams2blues with love for the Tezos community
+  File: src/components/ArtifactOptimizer.js
+  Summary: Inline optimise panel for uploaders — format / quality / max-px
+           controls, before-after bytes vs the caller's on-chain budget,
+           apply + revert. Used by MintUpload and FileUpload.
+*/
+
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  Slider,
+  TextField,
+  CircularProgress,
+  LinearProgress,
+} from '@mui/material';
+import {
+  OUTPUT_FORMATS,
+  SVG_TYPE,
+  canOptimize,
+  mimeOfUri,
+  uriBytes,
+  optimizeArtifact,
+  fitToBudget,
+  dataUriToFile,
+} from '../utils/artifactOptimizer';
+
+/* ─── utility fns ─────────────────────────────────── */
+const fmtBytes = (n) => `${Math.round(n).toLocaleString()} B`;
+const pctDelta = (a, b) => (a ? `${(((b - a) / a) * 100).toFixed(1)}%` : '');
+
+/* ─── component ───────────────────────────────────── */
+/**
+ * source   – original data URI as uploaded
+ * fileName – original file name (extension is swapped on re-encode)
+ * budget   – bytes the data URI may occupy (optional)
+ * onApply(uri, file) / onRevert()
+ */
+const ArtifactOptimizer = ({ source, fileName = 'artifact', budget, onApply, onRevert }) => {
+  const mime = mimeOfUri(source);
+  const isSvg = mime === SVG_TYPE;
+  const [format, setFormat] = useState('image/webp');
+  const [quality, setQuality] = useState(0.8);
+  const [maxDim, setMaxDim] = useState('');
+  const [result, setResult] = useState(null);
+  const [applied, setApplied] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  /* new upload → fresh panel */
+  useEffect(() => {
+    setResult(null);
+    setApplied(false);
+    setError('');
+  }, [source]);
+
+  if (!source || !canOptimize(mime)) return null;
+
+  const before = uriBytes(source);
+  const hasBudget = Number.isFinite(budget);
+  const lossy = OUTPUT_FORMATS.find((f) => f.mime === format)?.lossy;
+  const opts = { format, quality, maxDim: parseInt(maxDim, 10) || 0 };
+
+  const run = async (fn) => {
+    setBusy(true);
+    setError('');
+    try {
+      const r = await fn();
+      setResult(r);
+      setApplied(false);
+      if (r.quality) setQuality(r.quality);
+    } catch (e) {
+      setError(e.message || String(e));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const apply = () => {
+    onApply(result.uri, dataUriToFile(result.uri, fileName));
+    setApplied(true);
+  };
+  const revert = () => {
+    onRevert();
+    setApplied(false);
+  };
+
+  const sizeColor = (n) => (hasBudget && n > budget ? 'error' : 'textSecondary');
+
+  return (
+    <Box sx={{ mt: 1.5, p: 1.5, border: 1, borderColor: 'divider', borderRadius: 1 }}>
+      <Typography variant="subtitle2" gutterBottom>Optimise artifact</Typography>
+
+      {!isSvg && (
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 2, alignItems: 'center' }}>
+          <FormControl size="small" sx={{ minWidth: 110 }}>
+            <InputLabel id="opt-format-label">Format</InputLabel>
+            <Select
+              labelId="opt-format-label"
+              value={format}
+              label="Format"
+              onChange={(e) => setFormat(e.target.value)}
+            >
+              {OUTPUT_FORMATS.map((f) => (
+                <MenuItem key={f.mime} value={f.mime}>{f.label}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <Box sx={{ width: 160 }}>
+            <Typography variant="caption" color={lossy ? 'textPrimary' : 'textSecondary'}>
+              Quality {Math.round(quality * 100)}%
+            </Typography>
+            <Slider
+              size="small"
+              min={0.1}
+              max={1}
+              step={0.05}
+              value={quality}
+              disabled={!lossy}
+              onChange={(_, v) => setQuality(v)}
+            />
+          </Box>
+          <TextField
+            label="Max px (long edge)"
+            size="small"
+            value={maxDim}
+            onChange={(e) => setMaxDim(e.target.value.replace(/\D/g, ''))}
+            sx={{ width: 150 }}
+            placeholder="keep"
+          />
+        </Box>
+      )}
+
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mt: 1 }}>
+        <Button size="small" variant="outlined" disabled={busy}
+          onClick={() => run(() => optimizeArtifact(source, opts))}>
+          {isSvg ? 'Minify SVG' : 'Optimise'}
+        </Button>
+        {hasBudget && (
+          <Button size="small" variant="outlined" disabled={busy || budget <= 0}
+            onClick={() => run(() => fitToBudget(source, budget, opts))}>
+            Fit to budget
+          </Button>
+        )}
+        <Button size="small" variant="contained" disabled={busy || !result || applied}
+          onClick={apply}>
+          Use optimised
+        </Button>
+        <Button size="small" color="secondary" disabled={busy || !applied} onClick={revert}>
+          Revert
+        </Button>
+        {busy && <CircularProgress size={20} sx={{ ml: 1 }} />}
+      </Box>
+
+      {busy && <LinearProgress sx={{ mt: 1 }} />}
+
+      <Typography variant="body2" sx={{ mt: 1 }}>
+        <Typography component="span" variant="body2" color={sizeColor(before)}>
+          Before: {fmtBytes(before)}
+        </Typography>
+        {result && (
+          <>
+            {' → '}
+            <Typography component="span" variant="body2" color={sizeColor(result.after)}>
+              After: {fmtBytes(result.after)} ({pctDelta(before, result.after)})
+            </Typography>
+            {result.width && ` · ${result.width}×${result.height}px ${result.mime.split('/')[1]}`}
+          </>
+        )}
+        {hasBudget && ` · Budget: ${fmtBytes(Math.max(0, budget))}`}
+      </Typography>
+      {result && result.fits === false && (
+        <Typography variant="caption" color="error" sx={{ display: 'block' }}>
+          Could not fit the budget — smallest result shown.
+        </Typography>
+      )}
+      {error && (
+        <Typography variant="caption" color="error" sx={{ display: 'block' }}>
+          {error}
+        </Typography>
+      )}
+    </Box>
+  );
+};
+
+export default ArtifactOptimizer;
@@ -0,0 +1,34 @@
+/*Developed by @jams2blues with love for the Tezos community
+  File: src/components/DataSourceBadge.js
+  Summary: Small chip showing whether reads come from TzKT or the RPC-only
+           fallback.
+*/
+
+import React from 'react';
+import { Chip, Tooltip } from '@mui/material';
+import StorageIcon from '@mui/icons-material/Storage';
+import CloudOffIcon from '@mui/icons-material/CloudOff';
+import useDataSource from '../hooks/useDataSource';
+
+const DataSourceBadge = ({ sx }) => {
+  const src = useDataSource();
+  const rpc = src === 'rpc';
+  return (
+    <Tooltip
+      title={rpc
+        ? 'TzKT is unreachable — reading directly from the Tezos RPC. Lists may be partial or cached.'
+        : 'Reading from the TzKT indexer'}
+    >
+      <Chip
+        size="small"
+        icon={rpc ? <CloudOffIcon /> : <StorageIcon />}
+        label={rpc ? 'Data: RPC fallback' : 'Data: TzKT'}
+        color={rpc ? 'warning' : 'default'}
+        variant={rpc ? 'filled' : 'outlined'}
+        sx={sx}
+      />
+    </Tooltip>
+  );
+};
+
+export default DataSourceBadge;
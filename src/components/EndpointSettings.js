@@ -0,0 +1,234 @@
+/*Developed by @jams2blues with love for the Tezos community
+  File: src/components/EndpointSettings.js
+  Summary: Header gear (dot = active RPC health) + dialog with the live
+           RPC health table and controls to add, test, prioritise and
+           remove custom RPC nodes and TzKT-compatible indexers per
+           network. Lists are stored locally (utils/endpoints) and picked
+           up by the wallet toolkit and the shared indexer client
+           straight away.
+*/
+
+import React, { useContext, useEffect, useState } from 'react';
+import {
+  IconButton,
+  Tooltip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  Typography,
+  Stack,
+  Chip,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  Divider,
+  Box,
+  List,
+  ListItem,
+  ListItemText,
+  Badge,
+} from '@mui/material';
+import SettingsEthernetIcon from '@mui/icons-material/SettingsEthernet';
+import ArrowUpwardIcon from '@mui/icons-material/ArrowUpward';
+import ArrowDownwardIcon from '@mui/icons-material/ArrowDownward';
+import DeleteIcon from '@mui/icons-material/Delete';
+import { WalletContext } from '../contexts/WalletContext';
+import RpcHealthPanel, { STATUS_COLOR } from './RpcHealthPanel';
+import useRpcHealth from '../hooks/useRpcHealth';
+import { endpointStatus } from '../utils/rpcHealth';
+import { NETWORKS } from '../config/networkConfig';
+import { TZKT_BASE } from '../utils/indexer';
+import {
+  customEndpoints,
+  saveCustomEndpoints,
+  isHttpUrl,
+  normaliseUrl,
+  probe,
+} from '../utils/endpoints';
+
+/* ─── constants ───────────────────────────────────── */
+const SECTIONS = [
+  { kind: 'rpc', title: 'RPC nodes', hint: 'https://rpc.example.com' },
+  { kind: 'tzkt', title: 'Indexers (TzKT API)', hint: 'https://api.example.com/v1' },
+];
+
+const builtIns = (kind, net) =>
+  (kind === 'rpc' ? NETWORKS[net]?.rpcUrls || [] : [TZKT_BASE[net]].filter(Boolean));
+
+const move = (arr, i, d) => {
+  const next = [...arr];
+  [next[i], next[i + d]] = [next[i + d], next[i]];
+  return next;
+};
+
+/* ─── probe result chip ───────────────────────────── */
+const ProbeChip = ({ r }) => {
+  if (!r) return null;
+  if (r.busy) return <Chip size="small" label="testing…" />;
+  return r.ok
+    ? <Chip size="small" color="success" label={`${r.ms} ms`} />
+    : <Chip size="small" color="error" label={r.error} />;
+};
+
+export default function EndpointSettings () {
+  const { network, activeRpc } = useContext(WalletContext);
+  const health = useRpcHealth();
+  const activeStatus = endpointStatus(health.endpoints[health.active]);
+
+  const [open, setOpen] = useState(false);
+  const [net, setNet] = useState(network);
+  const [lists, setLists] = useState({ rpc: [], tzkt: [] });
+  const [draft, setDraft] = useState({ rpc: '', tzkt: '' });
+  const [results, setResults] = useState({});
+
+  useEffect(() => { if (open) setNet(network); }, [open, network]);
+  useEffect(() => {
+    setLists(customEndpoints(net));
+    setResults({});
+  }, [net, open]);
+
+  const runProbe = async (kind, url) => {
+    const id = `${kind}:${url}`;
+    setResults((p) => ({ ...p, [id]: { busy: true } }));
+    const r = await probe(kind, url, net);
+    setResults((p) => ({ ...p, [id]: r }));
+    return r;
+  };
+
+  const commit = (kind, next) => setLists(saveCustomEndpoints(net, { ...lists, [kind]: next }));
+
+  const add = async (kind) => {
+    const url = normaliseUrl(draft[kind]);
+    if (!isHttpUrl(url) || lists[kind].includes(url)) return;
+    commit(kind, [...lists[kind], url]);
+    setDraft((d) => ({ ...d, [kind]: '' }));
+    runProbe(kind, url);
+  };
+
+  const testAll = (kind) =>
+    [...lists[kind], ...builtIns(kind, net)].forEach((u) => runProbe(kind, u));
+
+  const row = (kind, url, i, custom) => (
+    <ListItem
+      key={url}
+      disableGutters
+      secondaryAction={custom && (
+        <>
+          <IconButton size="small" disabled={i === 0} onClick={() => commit(kind, move(lists[kind], i, -1))}>
+            <ArrowUpwardIcon fontSize="small" />
+          </IconButton>
+          <IconButton size="small" disabled={i === lists[kind].length - 1}
+            onClick={() => commit(kind, move(lists[kind], i, 1))}>
+            <ArrowDownwardIcon fontSize="small" />
+          </IconButton>
+          <IconButton size="small" onClick={() => commit(kind, lists[kind].filter((u) => u !== url))}>
+            <DeleteIcon fontSize="small" />
+          </IconButton>
+        </>
+      )}
+      sx={{ pr: custom ? 14 : 0 }}
+    >
+      <ListItemText
+        primary={(
+          <Stack direction="row" spacing={1} alignItems="center" sx={{ flexWrap: 'wrap' }}>
+            <Typography variant="body2" sx={{ wordBreak: 'break-all', opacity: custom ? 1 : 0.7 }}>
+              {url}
+            </Typography>
+            {!custom && <Chip size="small" variant="outlined" label="built-in" />}
+            {kind === 'rpc' && url === activeRpc && net === network && (
+              <Chip size="small" color="primary" label="active" />
+            )}
+            <ProbeChip r={results[`${kind}:${url}`]} />
+          </Stack>
+        )}
+      />
+    </ListItem>
+  );
+
+  return (
+    <>
+      <Tooltip title={`RPC & indexer endpoints — active node ${activeStatus}`}>
+        <IconButton aria-label="Endpoint settings" color="inherit" onClick={() => setOpen(true)} sx={{ mr: 1 }}>
+          <Badge
+            variant="dot"
+            invisible={activeStatus === 'unknown'}
+            color={STATUS_COLOR[activeStatus] === 'default' ? 'primary' : STATUS_COLOR[activeStatus]}
+          >
+            <SettingsEthernetIcon />
+          </Badge>
+        </IconButton>
+      </Tooltip>
+
+      <Dialog open={open} onClose={() => setOpen(false)} fullWidth maxWidth="md">
+        <DialogTitle>Endpoints</DialogTitle>
+        <DialogContent dividers>
+          <FormControl size="small" sx={{ minWidth: 160, mb: 2 }}>
+            <InputLabel>Network</InputLabel>
+            <Select value={net} label="Network" onChange={(e) => setNet(e.target.value)}>
+              {Object.keys(NETWORKS).map((n) => <MenuItem key={n} value={n}>{n}</MenuItem>)}
+            </Select>
+          </FormControl>
+          {net === network && (
+            <Box sx={{ mb: 2 }}>
+              <RpcHealthPanel />
+              <Divider sx={{ mt: 2 }} />
+            </Box>
+          )}
+          <Typography variant="body2" sx={{ mb: 2 }}>
+            Custom endpoints are tried first, top to bottom, before the
+            built-in list. They must allow CORS from this site and serve
+            the selected network. Settings stay in this browser.
+          </Typography>
+
+          {SECTIONS.map(({ kind, title, hint }, si) => (
+            <Box key={kind}>
+              {si > 0 && <Divider sx={{ my: 2 }} />}
+              <Stack direction="row" alignItems="center" justifyContent="space-between">
+                <Typography variant="subtitle1">{title}</Typography>
+                <Button size="small" onClick={() => testAll(kind)}>Test all</Button>
+              </Stack>
+              <List dense>
+                {lists[kind].map((u, i) => row(kind, u, i, true))}
+                {builtIns(kind, net).filter((u) => !lists[kind].includes(u))
+                  .map((u, i) => row(kind, u, i, false))}
+              </List>
+              <Stack direction="row" spacing={1}>
+                <TextField
+                  size="small"
+                  fullWidth
+                  placeholder={hint}
+                  value={draft[kind]}
+                  onChange={(e) => setDraft((d) => ({ ...d, [kind]: e.target.value }))}
+                  onKeyDown={(e) => { if (e.key === 'Enter') add(kind); }}
+                  error={!!draft[kind] && !isHttpUrl(draft[kind])}
+                />
+                <Button
+                  variant="outlined"
+                  disabled={!isHttpUrl(draft[kind])}
+                  onClick={() => runProbe(kind, normaliseUrl(draft[kind]))}
+                >
+                  Test
+                </Button>
+                <Button
+                  variant="contained"
+                  disabled={!isHttpUrl(draft[kind]) || lists[kind].includes(normaliseUrl(draft[kind]))}
+                  onClick={() => add(kind)}
+                >
+                  Add
+                </Button>
+              </Stack>
+              {draft[kind] && <Box sx={{ mt: 1 }}><ProbeChip r={results[`${kind}:${normaliseUrl(draft[kind])}`]} /></Box>}
+            </Box>
+          ))}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setOpen(false)}>Close</Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+}
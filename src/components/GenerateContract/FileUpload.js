@@ -1,7 +1,8 @@
 /*Developed by @jams2blues with love for the Tezos community
   File: src/components/GenerateContract/FileUpload.js
   Summary: Collection-thumbnail uploader — GLB/GLTF & HTML support,
-           20 KB advisory, <model-viewer> preview, correct Data-URI MIME fix.
+           20 KB advisory, <model-viewer> preview, correct Data-URI MIME fix,
+           in-browser optimiser for raster / SVG thumbnails.
 */
 
 import React, { useState, useRef, useEffect } from 'react';
@@ -16,6 +17,7 @@ import {
   Tooltip,
 } from '@mui/material';
 import ImageIcon from '@mui/icons-material/Image';
+import ArtifactOptimizer from '../ArtifactOptimizer';
 
 /*──────────────────────── Accepted types & extensions ───────────────*/
 const MIME_TYPES = [
@@ -46,10 +48,11 @@ const isModel = (f) =>
   ['.glb','.gltf'].includes(extOf(f));
 
 /*──────────────────────── Component ────────────────────────────────*/
-const FileUpload = ({ setArtifactData }) => {
+const FileUpload = ({ setArtifactData, budget }) => {
   const [snack, setSnack] = useState({ open: false, msg: '', sev: 'info' });
   const [fileName, setFileName] = useState('');
   const [file, setFile] = useState(null);
+  const [raw, setRaw] = useState(null); // { uri, file } as uploaded
   const [uploading, setUploading] = useState(false);
   const theme = useTheme();
   const sm = useMediaQuery(theme.breakpoints.down('sm'));
@@ -96,6 +99,7 @@ const FileUpload = ({ setArtifactData }) => {
       }
       setFileName(f.name);
       setFile(f);
+      setRaw({ uri, file: f });
       setUploading(false);
       setArtifactData(uri);
     };
@@ -198,6 +202,24 @@ const FileUpload = ({ setArtifactData }) => {
         </Typography>
       )}
 
+      {raw && (
+        <ArtifactOptimizer
+          source={raw.uri}
+          fileName={raw.file.name}
+          budget={budget}
+          onApply={(uri, optimised) => {
+            setFileName(optimised.name);
+            setFile(optimised);
+            setArtifactData(uri);
+          }}
+          onRevert={() => {
+            setFileName(raw.file.name);
+            setFile(raw.file);
+            setArtifactData(raw.uri);
+          }}
+        />
+      )}
+
       <Preview />
 
       <Snackbar
@@ -1,6 +1,6 @@
 /*Developed by @jams2blues with love for the Tezos community
   File: src/components/GenerateContract/GenerateContract.js
-  Summary: Deploy V3 contracts with rich validation, guard-rails,
+  Summary: Deploy V3 / V4 contracts with rich validation, guard-rails,
            UTF-8-safe metadata encoding, and dark-mode-friendly dialogs.
 */
 
@@ -39,10 +39,12 @@ import {
 } from '@mui/material';
 import InfoIcon from '@mui/icons-material/Info';
 import { WalletContext } from '../../contexts/WalletContext';
+import { explorerAccountUrl } from '../../utils/opTracker';
+import { explainTezosError } from '../../utils/tezosErrors';
+import { addKnownContract } from '../../utils/chainReader';
 import NFTPreview from './NFTPreview';
 import FileUpload from './FileUpload';
 import { MichelsonMap } from '@taquito/taquito';
-import { BigNumber } from 'bignumber.js';
 
 /* ─── styled helpers ───────────────────────────────────────────── */
 const Container = styled(Paper)`
@@ -79,22 +81,11 @@ const isAsciiPrintable = (s) => [...s].every((c) => {
 });
 const isValidTezosAddress = (a) =>
   /^(tz1|tz2|tz3|KT1)[1-9A-HJ-NP-Za-km-z]{33}$/.test(a);
-const explainTezosError = (err) => {
-  if (!err?.message) return 'Unknown error';
-  const m = err.message.toLowerCase();
-  if (m.includes('oversized operation')) return 'Contract metadata exceeds protocol size limits';
-  if (m.includes('not enough tez') || m.includes('balance')) return 'Wallet balance too low for fees + storage';
-  if (m.includes('forbidden') || m.includes('cors')) return 'RPC node rejected the request (CORS/auth)';
-  if (m.includes('502') || m.includes('bad gateway')) return 'RPC node temporarily unavailable';
-  if (m.includes('expired') || m.includes('proposal expired')) return 'Wallet session expired – reconnect the wallet';
-  return err.message;
-};
 
 /* ─── on-chain constants ───────────────────────────────────────── */
 const TEZOS_STORAGE_CONTENT_KEY = 'tezos-storage:content';
 const TEZOS_STORAGE_CONTENT_HEX = utf8ToHex(TEZOS_STORAGE_CONTENT_KEY);
 const CONTENT_KEY               = 'content';
-const STORAGE_COST_PER_BYTE     = 0.00025;
 const OVERHEAD_BYTES            = 5960;
 const MAX_METADATA_SIZE         = 32_768;
 
@@ -105,7 +96,13 @@ const supportedFiletypesList = [
   'video/webm','text/plain','application/json','text/html'
 ];
 
-/* ─── V3 storage factory ───────────────────────────────────────── */
+/* ─── contract templates ───────────────────────────────────────── */
+const TEMPLATES = {
+  v3: { file: 'Zero_Contract_V3.tz', label: 'V3 — standard (32 KB per token)' },
+  v4: { file: 'Zero_Contract_V4.tz', label: 'V4 — multi-part artifacts (append_artifact_uri)' },
+};
+
+/* ─── storage factories (V4 = V3 layout + freeze flag) ────────── */
 const getV3Storage = (addr, meta) => ({
   admin:          addr,
   all_tokens:     0,
@@ -121,6 +118,9 @@ const getV3Storage = (addr, meta) => ({
   token_metadata: new MichelsonMap(),
   total_supply:   new MichelsonMap()
 });
+/* `lock` is the reentrancy guard; `frozen` is what the lock entrypoint sets */
+const getV4Storage = (addr, meta) => ({ ...getV3Storage(addr, meta), frozen: false });
+const STORAGE_OF = { v3: getV3Storage, v4: getV4Storage };
 
 /* ─── main component ───────────────────────────────────────────── */
 const GenerateContract = () => {
@@ -132,6 +132,9 @@ const GenerateContract = () => {
     networkMismatch,
     needsReveal,
     revealAccount,
+    network,
+    trackOperation,
+    reviewOperation,
   } = useContext(WalletContext);
 
   /* form/UI state */
@@ -144,8 +147,8 @@ const GenerateContract = () => {
   const [contractAddress, setContractAddress] = useState('');
   const [deploying, setDeploying] = useState(false);
   const [modifiedCode, setModifiedCode] = useState('');
-  const [confirmDialog, setConfirmDialog] = useState({ open: false, data: null });
   const [detailsDialogOpen, setDetailsDialogOpen] = useState(false);
+  const [template, setTemplate] = useState('v3');
 
   /* inject <model-viewer> for 3D previews */
   useEffect(() => {
@@ -243,7 +246,7 @@ const GenerateContract = () => {
   useEffect(() => {
     const fetchMich = async () => {
       try {
-        const r = await fetch('/contracts/Zero_Contract_V3.tz');
+        const r = await fetch(`/contracts/${TEMPLATES[template].file}`);
         if (!r.ok) throw new Error(`HTTP ${r.status}`);
         setMich(await r.text());
       } catch (e) {
@@ -251,9 +254,9 @@ const GenerateContract = () => {
         setSnackbar({ open: true, message: 'Unable to load contract source', severity: 'error' });
       }
     };
+    setMich('');
     if (isWalletConnected && walletAddress) fetchMich();
-    else setMich('');
-  }, [isWalletConnected, walletAddress]);
+  }, [isWalletConnected, walletAddress, template]);
 
   /* rebuild code when valid */
   useEffect(() => {
@@ -264,19 +267,13 @@ const GenerateContract = () => {
     setModifiedCode(mich);
   }, [formData, mich]);
 
-  /* fee estimate */
-  const [est, setEst] = useState({
-    feeTez: null, gas: null, storage: null,
-    storageCostTez: null, totalCostTez: null, balanceChangeTez: null
-  });
-
   /* copy helper */
   const copyToClipboard = async (txt) => {
     try { await navigator.clipboard.writeText(txt); return true; }
     catch { return false; }
   };
 
-  /* DEPLOY handler */
+  /* DEPLOY handler — review (decoded estimate) then originate */
   const handleDeployContract = async () => {
     if (networkMismatch) { setSnackbar({ open: true, message: 'Wallet is on the wrong network', severity: 'warning' }); return; }
     if (needsReveal)     { setSnackbar({ open: true, message: 'Reveal your account first', severity: 'info' }); return; }
@@ -291,57 +288,30 @@ const GenerateContract = () => {
       setSnackbar({ open: true, message: `Metadata ${Math.floor(metadataSize)} B exceeds 32 KB limit`, severity: 'error' }); return;
     }
 
-    setDeploying(true);
-    setSnackbar({ open: true, message: 'Estimating fees…', severity: 'info' });
-
     const metaHex = utf8ToHex(JSON.stringify(preview));
     const mdMap   = new MichelsonMap();
     mdMap.set('', TEZOS_STORAGE_CONTENT_HEX);
     mdMap.set(CONTENT_KEY, metaHex);
-    const storage = getV3Storage(walletAddress, mdMap);
-
-    try {
-      const bal     = new BigNumber((await tezos.tz.getBalance(walletAddress)).toNumber()).dividedBy(1e6);
-      const estRaw  = await tezos.estimate.originate({ code: modifiedCode, storage });
-      const feeTez  = new BigNumber(estRaw.suggestedFeeMutez).dividedBy(1e6).toFixed(6);
-      const storLim = estRaw.storageLimit;
-      const gasLim  = estRaw.gasLimit;
-      const storFee = new BigNumber(storLim).times(STORAGE_COST_PER_BYTE).toFixed(6);
-      const total   = new BigNumber(feeTez).plus(storFee).toFixed(6);
-
-      if (bal.isLessThan(total)) {
-        setSnackbar({ open: true, message: `Insufficient balance: need ≥ ${total} ꜩ`, severity: 'error' });
-        setDeploying(false); return;
-      }
-
-      setEst({ feeTez, gas: gasLim, storage: storLim, storageCostTez: storFee, totalCostTez: total, balanceChangeTez: new BigNumber(total).negated().toFixed(6) });
-      setConfirmDialog({ open: true, data: { estimationFailed: false } });
-    } catch (err) {
-      const friendly = explainTezosError(err);
-      setSnackbar({ open: true, message: `Fee estimation failed: ${friendly}. You may still proceed – wallet will show exact fees.`, severity: 'warning' });
-      setConfirmDialog({ open: true, data: { estimationFailed: true, reason: friendly } });
-    } finally {
-      setDeploying(false);
-    }
-  };
+    const storage = STORAGE_OF[template](walletAddress, mdMap);
 
-  /* confirm & originate */
-  const confirmDeployment = async () => {
-    setConfirmDialog({ open: false, data: null });
     setDeploying(true);
-    setSnackbar({ open: true, message: 'Deploying contract…', severity: 'info' });
-
-    const metaHex = utf8ToHex(JSON.stringify(preview));
-    const mdMap   = new MichelsonMap();
-    mdMap.set('', TEZOS_STORAGE_CONTENT_HEX);
-    mdMap.set(CONTENT_KEY, metaHex);
-    const storage = getV3Storage(walletAddress, mdMap);
-
     try {
+      const ok = await reviewOperation({
+        title: `Deploy “${formData.name}”`,
+        origination: { code: modifiedCode, storage },
+        metaBytes: metaHex.length / 2,
+        notes: ['Deployment is irreversible — please verify all information before proceeding.'],
+      });
+      if (!ok) return;
+
+      setSnackbar({ open: true, message: 'Deploying contract…', severity: 'info' });
       const op = await tezos.wallet.originate({ code: modifiedCode, storage }).send();
+      trackOperation(op, { kind: 'origination', label: `Deploy “${formData.name}”` });
       setSnackbar({ open: true, message: 'Awaiting confirmations…', severity: 'info' });
       await op.confirmation();
       const kt1 = (await op.contract()).address;
+      /* RPC-only networks (sandbox) can't list by creator — remember it */
+      addKnownContract(network, walletAddress, 'origin', kt1);
       setContractAddress(kt1);
       setDetailsDialogOpen(true);
       setSnackbar({ open: true, message: `Contract deployed at ${kt1}`, severity: 'success' });
@@ -349,7 +319,6 @@ const GenerateContract = () => {
       setSnackbar({ open: true, message: `Deploy failed: ${explainTezosError(err)}`, severity: 'error' });
     } finally {
       setDeploying(false);
-      setEst({ feeTez: null, gas: null, storage: null, storageCostTez: null, totalCostTez: null, balanceChangeTez: null });
     }
   };
 
@@ -541,11 +510,31 @@ const GenerateContract = () => {
               </FormControl>
             </Grid>
 
+            {/* Template */}
+            <Grid size={{ xs: 12, sm: 6 }}>
+              <FormControl fullWidth margin="normal">
+                <InputLabel id="template-label">Contract Template</InputLabel>
+                <Select
+                  labelId="template-label"
+                  value={template}
+                  onChange={(e) => setTemplate(e.target.value)}
+                  label="Contract Template"
+                >
+                  {Object.entries(TEMPLATES).map(([k, t]) => (
+                    <MenuItem key={k} value={k}>{t.label}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Grid>
+
             {/* Thumbnail Upload & Size */}
             <Grid size={12}>
               {renderMetadataSizeIndicator()}
               <Box sx={{ display: 'flex', alignItems: 'center' }}>
-                <FileUpload setArtifactData={handleThumbnailUpload} />
+                <FileUpload
+                  setArtifactData={handleThumbnailUpload}
+                  budget={MAX_METADATA_SIZE - (metadataSize - formData.imageUri.length)}
+                />
                 <Tooltip
                   title={
                     <>
@@ -640,11 +629,6 @@ const GenerateContract = () => {
               Reveal your account first.
             </Typography>
           )}
-          {est.feeTez && (
-            <Typography variant="body2" color="textSecondary" sx={{ mt: 1 }}>
-              Estimated Fees: {est.feeTez} ꜩ
-            </Typography>
-          )}
         </Grid>
       </Grid>
 
@@ -671,10 +655,11 @@ const GenerateContract = () => {
           >
             Copy Contract Address
           </Button>
+          {explorerAccountUrl(network, contractAddress) && (
           <Typography variant="body2" sx={{ mt: 1 }}>
             View on&nbsp;
             <Link
-              href={`https://ghostnet.tzkt.io/${contractAddress}/operations`}
+              href={explorerAccountUrl(network, contractAddress)}
               target="_blank"
               rel="noopener noreferrer"
               underline="hover"
@@ -691,50 +676,10 @@ const GenerateContract = () => {
               OBJKT.com
             </Link>.
           </Typography>
+          )}
         </Section>
       )}
 
-      {/* Confirm Dialog */}
-      <Dialog
-        open={confirmDialog.open}
-        onClose={() => setConfirmDialog({ open: false, data: null })}
-        fullWidth
-        maxWidth="sm"
-      >
-        <DialogTitle>Confirm Deployment</DialogTitle>
-        <DialogContent>
-          {confirmDialog.data?.estimationFailed ? (
-            <DialogContentText>
-              Fee estimation failed (<em>{confirmDialog.data.reason}</em>).
-              <br />
-              Sign in your wallet to see the exact fees.
-            </DialogContentText>
-          ) : (
-            <DialogContentText>
-              Are you sure you want to deploy? This action is irreversible.
-              <br /><br />
-              <strong>Estimated Fee:</strong> {est.feeTez ?? '…'} ꜩ<br />
-              <strong>Gas Limit:</strong> {est.gas ?? '…'}<br />
-              <strong>Storage Limit:</strong> {est.storage ?? '…'}<br />
-              <strong>Storage Cost:</strong> {est.storageCostTez ?? '…'} ꜩ<br />
-              <strong>Total Cost:</strong> {est.totalCostTez ?? '…'} ꜩ<br />
-              <strong>Balance Change:</strong> {est.balanceChangeTez ?? '…'} ꜩ
-            </DialogContentText>
-          )}
-          <Typography variant="subtitle2" color="error" sx={{ mt: 1 }}>
-            **Please verify all information before proceeding.**
-          </Typography>
-        </DialogContent>
-        <DialogActions>
-          <Button onClick={() => setConfirmDialog({ open: false, data: null })} color="secondary">
-            Cancel
-          </Button>
-          <Button onClick={confirmDeployment} color="primary" variant="contained" autoFocus>
-            {confirmDialog.data?.estimationFailed ? 'Deploy Anyway' : 'Confirm Deployment'}
-          </Button>
-        </DialogActions>
-      </Dialog>
-
       {/* Deployed Dialog */}
       <Dialog
         open={detailsDialogOpen}
@@ -764,6 +709,7 @@ const GenerateContract = () => {
               Copy Contract Address
             </Button>
           </Box>
+          {explorerAccountUrl(network, contractAddress) && (
           <Box sx={{ display: 'flex', justifyContent: 'space-around', mt: 2 }}>
             <Link
               href={`https://ghostnet.objkt.com/collections/${contractAddress}`}
@@ -775,7 +721,7 @@ const GenerateContract = () => {
               View on OBJKT
             </Link>
             <Link
-              href={`https://ghostnet.tzkt.io/${contractAddress}/operations`}
+              href={explorerAccountUrl(network, contractAddress)}
               target="_blank"
               rel="noopener noreferrer"
               underline="hover"
@@ -784,6 +730,7 @@ const GenerateContract = () => {
               View on TzKT
             </Link>
           </Box>
+          )}
         </DialogContent>
         <DialogActions>
           <Button onClick={closeDetailsDlg} color="primary">Close</Button>
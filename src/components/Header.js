@@ -1,6 +1,7 @@
 /*Developed by @jams2blues with love for the Tezos community
   File: src/components/Header.js
-  Summary: Toolbar + theme toggle + network selector + guard-rail banners.
+  Summary: Toolbar + operation tracker + endpoint settings + theme toggle +
+           runtime network selector + guard-rail banners.
            Adds graceful Snackbar-based error handling for Reveal, plus
            explicit “needs funds” notice to avoid empty_transaction failures.
 */
@@ -24,7 +25,8 @@ import {
   Divider,
   Alert,
   Stack,
-  Snackbar
+  Snackbar,
+  Menu
 } from '@mui/material';
 import { styled, useTheme } from '@mui/material/styles';
 import MenuIcon from '@mui/icons-material/Menu';
@@ -32,8 +34,14 @@ import AccountBalanceWalletIcon from '@mui/icons-material/AccountBalanceWallet';
 import LightModeIcon from '@mui/icons-material/LightMode';
 import DarkModeIcon from '@mui/icons-material/DarkMode';
 import Link from 'next/link';
+import { useRouter } from 'next/router';
 import { WalletContext } from '../contexts/WalletContext';
+import { SELECTABLE_NETWORKS } from '../config/networkConfig';
 import ColorModeContext from '../contexts/ColorModeContext';
+import OperationTracker from './OperationTracker';
+import EndpointSettings from './EndpointSettings';
+
+const NETWORK_LABEL = { mainnet: 'Mainnet', ghostnet: 'Ghostnet', sandbox: 'Sandbox' };
 
 const Logo            = styled('img')({ width: 40, height: 40, marginRight: 8 });
 const HeaderContainer = styled(AppBar)`background-color: darkgreen;`;
@@ -48,12 +56,6 @@ const MENU_ITEMS = [
   { text: 'On-Chain Viewer',       link: '/on-chain-viewer' }
 ];
 
-/* —— Domain redirect helper —— */
-const redirectFor = (target) =>
-  target === 'ghostnet'
-    ? 'https://ghostnet.savetheworldwithart.io'
-    : 'https://savetheworldwithart.io';
-
 export default function Header () {
   const theme     = useTheme();
   const isMobile  = useMediaQuery(theme.breakpoints.down('sm'));
@@ -64,24 +66,43 @@ export default function Header () {
     connectWallet,
     disconnectWallet,
     network,
+    switchNetwork,
+    signerKind,
+    sandboxAccounts,
     networkMismatch,
     needsReveal,
     needsFunds,
     revealAccount
   } = useContext(WalletContext);
 
+  const router = useRouter();
   const { mode, toggleColorMode } = useContext(ColorModeContext);
   const [drawerOpen, setDrawerOpen] = useState(false);
   const [snack, setSnack] = useState({ open: false, msg: '', severity: 'error' });
+  const [acctMenu, setAcctMenu] = useState(null);
 
-  const handleNetworkChange = (e) => { window.location.href = redirectFor(e.target.value); };
+  /* KT1s don't carry across networks — drop ?contract= / viewer slugs */
+  const handleNetworkChange = (e) => {
+    const base = router.pathname.replace(/\/\[\[?\.\.\.\w+\]?\]$/, '');
+    if (router.asPath !== base) router.replace(base, undefined, { shallow: true, scroll: false });
+    switchNetwork(e.target.value);
+  };
   const toggleDrawer        = (open) => () => setDrawerOpen(open);
 
   const walletLabel  = () =>
     !isWalletConnected
       ? 'Connect Wallet'
       : `Disconnect (${walletAddress.slice(0, 6)}…${walletAddress.slice(-4)})`;
-  const walletAction = isWalletConnected ? disconnectWallet : connectWallet;
+  /* sandbox connects a bootstrap account picked from a menu */
+  const walletAction = (e) => {
+    if (isWalletConnected) return disconnectWallet();
+    if (signerKind === 'memory') return setAcctMenu(e.currentTarget);
+    return connectWallet();
+  };
+  const pickSandboxAccount = (name) => {
+    setAcctMenu(null);
+    connectWallet(name);
+  };
 
   /* graceful Reveal with Snackbar feedback */
   const handleReveal = async () => {
@@ -135,8 +156,11 @@ export default function Header () {
             </Box>
           )}
 
-          {/* —— Right: theme, network, wallet —— */}
+          {/* —— Right: ops, endpoints, theme, network, wallet —— */}
           <Box sx={{ display: 'flex', alignItems: 'center', ml: 'auto' }}>
+            <OperationTracker />
+            <EndpointSettings />
+
             <IconButton
               aria-label="Toggle light/dark mode"
               color="inherit"
@@ -155,8 +179,9 @@ export default function Header () {
                   label="Network"
                   sx={{ color: '#fff' }}
                 >
-                  <MenuItem value="mainnet">Mainnet</MenuItem>
-                  <MenuItem value="ghostnet">Ghostnet</MenuItem>
+                  {SELECTABLE_NETWORKS.map((n) => (
+                    <MenuItem key={n} value={n}>{NETWORK_LABEL[n] || n}</MenuItem>
+                  ))}
                 </Select>
               </FormControl>
             )}
@@ -173,6 +198,13 @@ export default function Header () {
                   : 'Connect'
                 : walletLabel()}
             </Button>
+            <Menu anchorEl={acctMenu} open={!!acctMenu} onClose={() => setAcctMenu(null)}>
+              {sandboxAccounts.map((a) => (
+                <MenuItem key={a.name} onClick={() => pickSandboxAccount(a.name)}>
+                  {a.name} ({a.address.slice(0, 6)}…{a.address.slice(-4)})
+                </MenuItem>
+              ))}
+            </Menu>
           </Box>
         </Toolbar>
 
@@ -181,8 +213,8 @@ export default function Header () {
           <Stack spacing={1} sx={{ px: 2, pb: 2 }}>
             {networkMismatch && (
               <Alert severity="warning">
-                Wallet is on <strong>{network === 'mainnet' ? 'Ghostnet' : 'Mainnet'}</strong>; this
-                site is <strong>{network}</strong>. Switch networks or open the correct URL.
+                Wallet is on another network; this app is on <strong>{NETWORK_LABEL[network] || network}</strong>.
+                Switch your wallet or pick the matching network above.
               </Alert>
             )}
 
@@ -238,8 +270,9 @@ export default function Header () {
               </Typography>
               <FormControl variant="standard" fullWidth>
                 <Select value={network} onChange={handleNetworkChange}>
-                  <MenuItem value="mainnet">Mainnet</MenuItem>
-                  <MenuItem value="ghostnet">Ghostnet</MenuItem>
+                  {SELECTABLE_NETWORKS.map((n) => (
+                    <MenuItem key={n} value={n}>{NETWORK_LABEL[n] || n}</MenuItem>
+                  ))}
                 </Select>
               </FormControl>
             </Box>
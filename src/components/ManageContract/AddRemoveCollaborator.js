@@ -4,7 +4,7 @@
             Tezos signature.  Accepts addresses separated by commas, spaces, or
             newlines and batches the calls using Taquito’s wallet batch builder.
 */
-import React, { useState } from 'react';
+import React, { useState, useContext } from 'react';
 import {
   Typography,
   TextField,
@@ -13,11 +13,13 @@ import {
   Grid,
   Tooltip,
 } from '@mui/material';
+import { WalletContext } from '../../contexts/WalletContext';
 
 const isValidTezosAddress = (addr) =>
   /^(tz1|tz2|tz3|KT1)[1-9A-HJ-NP-Za-km-z]{33}$/.test(addr);
 
 const AddRemoveCollaborator = ({ contractAddress, tezos, setSnackbar }) => {
+  const { trackOperation, reviewOperation } = useContext(WalletContext);
   const [input, setInput] = useState('');
   const [loading, setLoading] = useState(false);
 
@@ -45,15 +47,17 @@ const AddRemoveCollaborator = ({ contractAddress, tezos, setSnackbar }) => {
       setLoading(true);
       const contract = await tezos.wallet.at(contractAddress);
 
+      const calls = addresses.map((addr) => contract.methods[methodName](addr));
+      if (!(await reviewOperation({ title: methodName.replace('_', ' '), contract, calls }))) return;
+
       // Build batch with .withContractCall()
       let batchBuilder = tezos.wallet.batch();
-      addresses.forEach((addr) => {
-        batchBuilder = batchBuilder.withContractCall(
-          contract.methods[methodName](addr)
-        );
+      calls.forEach((c) => {
+        batchBuilder = batchBuilder.withContractCall(c);
       });
 
       const op = await batchBuilder.send();
+      trackOperation(op, { kind: methodName, contract: contractAddress, label: methodName.replace('_', ' ') });
       await op.confirmation();
 
       setSnackbar({
@@ -2,7 +2,7 @@
   File: src/components/ManageContract/AddRemoveParentChild.js
   Summary: Batch add or remove parent/child Tezos addresses via entrypoint calls
 */
-import React, { useState } from 'react';
+import React, { useState, useContext } from 'react';
 import {
   Typography,
   TextField,
@@ -11,11 +11,13 @@ import {
   Grid,
   Tooltip,
 } from '@mui/material';
+import { WalletContext } from '../../contexts/WalletContext';
 
 const isValidTezosAddress = (addr) =>
   /^(tz1|tz2|tz3|KT1)[1-9A-HJ-NP-Za-km-z]{33}$/.test(addr);
 
 const AddRemoveParentChild = ({ contractAddress, tezos, setSnackbar, actionType }) => {
+  const { trackOperation, reviewOperation } = useContext(WalletContext);
   const [input, setInput] = useState('');
   const [loading, setLoading] = useState(false);
 
@@ -40,13 +42,14 @@ const AddRemoveParentChild = ({ contractAddress, tezos, setSnackbar, actionType
     try {
       setLoading(true);
       const contract = await tezos.wallet.at(contractAddress);
+      const calls = addresses.map((addr) => contract.methods[actionType](addr));
+      if (!(await reviewOperation({ title: actionType.replace('_', ' '), contract, calls }))) return;
       let batchBuilder = tezos.wallet.batch();
-      addresses.forEach((addr) => {
-        batchBuilder = batchBuilder.withContractCall(
-          contract.methods[actionType](addr)
-        );
+      calls.forEach((c) => {
+        batchBuilder = batchBuilder.withContractCall(c);
       });
       const op = await batchBuilder.send();
+      trackOperation(op, { kind: actionType, contract: contractAddress, label: actionType.replace('_', ' ') });
       setSnackbar({ open: true, message: 'Operation in progress...', severity: 'info' });
       await op.confirmation();
       setSnackbar({ open: true, message: 'Operation successful!', severity: 'success' });
@@ -39,8 +39,8 @@ const BalanceOf = ({ contractAddress, tezos, setSnackbar, contractVersion }) =>
         // V1: ledger key is tokenId => owner address
         const owner = await storage.ledger.get(tokenIdNum);
         fetchedBalance = owner && owner.toLowerCase() === ownerAddress.toLowerCase() ? 1 : 0;
-      } else if (ver.startsWith('v2') || ver === 'v3') {
-        // V2/V2a/V2b/... and V3: ledger key is [owner, tokenId] => amount
+      } else if (ver.startsWith('v2') || ver === 'v3' || ver === 'v4') {
+        // V2/V2a/V2b/... and V3/V4: ledger key is [owner, tokenId] => amount
         const key = [ownerAddress.trim(), tokenIdNum];
         const amount = await storage.ledger.get(key);
         fetchedBalance = amount ? parseInt(amount, 10) : 0;
@@ -0,0 +1,237 @@
+/*Developed by @jams2blues with love for the Tezos community
+  File: src/components/ManageContract/BatchBurn.js
+  Summary: Multi-token burn — pick from the wallet's holdings (thumbnails),
+           set an amount per token, preview what gets destroyed and type
+           the collection name before one batched operation is signed.
+           V1 burn(token_id) · V2+/V3/V4 burn(amount, token_id).
+*/
+
+import React, { useState, useContext, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  TextField,
+  Button,
+  CircularProgress,
+  Alert,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  IconButton,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  Stack,
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import { WalletContext } from '../../contexts/WalletContext';
+import { explainTezosError } from '../../utils/tezosErrors';
+import TokenPicker, { loadHoldings } from './TokenPicker';
+
+/* ─── constants ───────────────────────────────────── */
+const MAX_BURNS = 40;   // burn calls per operation — each rewrites ledger + supply
+
+/* ─── component ─────────────────────────────────── */
+const BatchBurn = ({ contractAddress, collectionName, tezos, setSnackbar, contractVersion }) => {
+  const { walletAddress, network, trackOperation, reviewOperation } = useContext(WalletContext);
+  const isV1 = contractVersion?.startsWith('v1');
+
+  const [holdings, setHoldings] = useState([]);
+  const [holdLoading, setHoldLoading] = useState(false);
+  const [holdCapped, setHoldCapped] = useState(false);
+  const [picked, setPicked] = useState({});        // { [tokenId]: amount string }
+  const [confirm, setConfirm] = useState(false);
+  const [typed, setTyped] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [refresh, setRefresh] = useState(0);
+
+  /* unnamed collections confirm with their KT1 instead */
+  const phrase = (collectionName || '').trim() || contractAddress;
+  const matches = typed.trim() === phrase;
+
+  const snack = (m, sev = 'warning') =>
+    setSnackbar({ open: true, message: m, severity: sev });
+
+  useEffect(() => {
+    if (!tezos || !walletAddress) { setHoldings([]); setHoldCapped(false); return undefined; }
+    let live = true;
+    (async () => {
+      setHoldLoading(true);
+      try {
+        const got = await loadHoldings(network, tezos, contractAddress, walletAddress);
+        if (live) { setHoldings(got.holdings); setHoldCapped(got.capped); }
+      } catch (e) {
+        if (live) { setHoldings([]); setHoldCapped(false); snack(`Could not load your tokens: ${explainTezosError(e)}`, 'error'); }
+      } finally {
+        if (live) setHoldLoading(false);
+      }
+    })();
+    return () => { live = false; };
+  }, [network, tezos, contractAddress, walletAddress, refresh]);
+
+  const byId = Object.fromEntries(holdings.map((h) => [h.tokenId, h]));
+  const ids = Object.keys(picked).map(Number).sort((a, b) => a - b);
+  const rows = ids.map((id) => ({ id, amount: picked[id], held: byId[id]?.balance ?? 0, name: byId[id]?.metadata.name }));
+  const badRow = rows.find((r) => !/^\d+$/.test(r.amount) || +r.amount < 1 || +r.amount > r.held);
+  const editions = rows.reduce((t, r) => t + (Number(r.amount) || 0), 0);
+
+  const togglePick = (id) => setPicked((prev) => {
+    if (prev[id] !== undefined) {
+      const next = { ...prev };
+      delete next[id];
+      return next;
+    }
+    if (Object.keys(prev).length >= MAX_BURNS) {
+      snack(`Up to ${MAX_BURNS} tokens per burn operation`);
+      return prev;
+    }
+    return { ...prev, [id]: '1' };
+  });
+
+  const setAmount = (id, v) => {
+    const n = v.replace(/\D/g, '');
+    const max = byId[id]?.balance ?? 0;
+    setPicked((prev) => ({ ...prev, [id]: n && Number(n) > max ? String(max) : n }));
+  };
+
+  const openConfirm = () => {
+    if (!rows.length) return snack('Pick at least one token');
+    if (badRow) return snack(`Token ${badRow.id}: amount must be between 1 and ${badRow.held}`);
+    setTyped('');
+    setConfirm(true);
+  };
+
+  const burn = async () => {
+    if (!matches) return;
+    setConfirm(false);
+    setLoading(true);
+    try {
+      const contract = await tezos.wallet.at(contractAddress);
+      const calls = rows.map((r) => (isV1
+        ? contract.methods.burn(r.id)
+        : contract.methods.burn(Number(r.amount), r.id)));
+      const title = `Burn ${editions} edition${editions === 1 ? '' : 's'} of ${rows.length} token${rows.length === 1 ? '' : 's'}`;
+      const ok = await reviewOperation({
+        title,
+        contract,
+        calls,
+        version: contractVersion,
+        notes: ['Burned editions are destroyed permanently.'],
+      });
+      if (!ok) return;
+      let batch = tezos.wallet.batch();
+      calls.forEach((c) => { batch = batch.withContractCall(c); });
+      const op = await batch.send();
+      trackOperation(op, { kind: 'burn', contract: contractAddress, label: title });
+      snack('Burning in progress…', 'info');
+      await op.confirmation();
+      snack(`${title} ✅`, 'success');
+      setPicked({});
+      setRefresh((n) => n + 1);
+    } catch (err) {
+      snack(`Burn failed: ${explainTezosError(err, contractVersion)}`, 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!walletAddress) {
+    return <Alert severity="info" sx={{ mt: 2 }}>Connect your wallet to load the tokens you hold.</Alert>;
+  }
+
+  return (
+    <Box sx={{ mt: 2 }}>
+      <Typography variant="body2" gutterBottom>
+        Click tokens to add them to the burn list{isV1 ? '' : ', then set how many editions of each'}.
+      </Typography>
+      <TokenPicker holdings={holdings} loading={holdLoading} capped={holdCapped} selected={ids} onPick={togglePick} />
+
+      {rows.length > 0 && (
+        <Table size="small" sx={{ mt: 2 }}>
+          <TableHead>
+            <TableRow>
+              <TableCell>Token</TableCell>
+              <TableCell>Held</TableCell>
+              <TableCell>Burn</TableCell>
+              <TableCell />
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {rows.map((r) => (
+              <TableRow key={r.id}>
+                <TableCell>#{r.id} {r.name || ''}</TableCell>
+                <TableCell>{r.held}</TableCell>
+                <TableCell sx={{ width: 120 }}>
+                  <TextField variant="standard" size="small" value={r.amount} disabled={isV1}
+                    inputProps={{ inputMode: 'numeric' }}
+                    error={!/^\d+$/.test(r.amount) || +r.amount < 1}
+                    onChange={(e) => setAmount(r.id, e.target.value)} />
+                </TableCell>
+                <TableCell padding="none">
+                  <IconButton size="small" onClick={() => togglePick(r.id)}>
+                    <DeleteIcon fontSize="small" />
+                  </IconButton>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      )}
+
+      <Box sx={{ mt: 2, textAlign: 'right' }}>
+        <Button
+          variant="contained"
+          color="error"
+          onClick={openConfirm}
+          disabled={loading || !rows.length}
+          startIcon={loading ? <CircularProgress size={20} /> : null}
+        >
+          {loading ? 'Burning…' : `Burn ${rows.length} token${rows.length === 1 ? '' : 's'}`}
+        </Button>
+      </Box>
+
+      <Dialog open={confirm} onClose={() => setConfirm(false)} fullWidth maxWidth="sm">
+        <DialogTitle>Burn {editions} edition{editions === 1 ? '' : 's'}?</DialogTitle>
+        <DialogContent>
+          <TokenPicker
+            holdings={rows.map((r) => ({ ...byId[r.id], balance: Number(r.amount) }))}
+            selected={[]}
+            onPick={() => {}}
+          />
+          <Stack spacing={0.5} sx={{ mt: 2 }}>
+            {rows.map((r) => (
+              <Typography key={r.id} variant="body2">
+                #{r.id} {r.name || 'Untitled'} — {r.amount} of {r.held}
+                {Number(r.amount) === r.held ? ' (all you hold)' : ''}
+              </Typography>
+            ))}
+          </Stack>
+          <DialogContentText sx={{ mt: 2 }}>
+            Burned editions cannot be recovered. Type <strong>{phrase}</strong> to confirm.
+          </DialogContentText>
+          <TextField
+            autoFocus
+            fullWidth
+            size="small"
+            sx={{ mt: 2 }}
+            value={typed}
+            onChange={(e) => setTyped(e.target.value)}
+            placeholder={phrase}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setConfirm(false)} color="secondary">Cancel</Button>
+          <Button onClick={burn} color="error" variant="contained" disabled={!matches}>
+            Burn Forever
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default BatchBurn;
@@ -0,0 +1,594 @@
+/*Developed by @jams2blues with love for the Tezos community
+  File: src/components/ManageContract/BatchMint.js
+  Summary: Bulk-mint a whole collection from a ZIP of artifacts + CSV/JSON
+           manifest — size-aware batching, per-row progress & resume.
+*/
+
+import React, { useState, useEffect, useContext, useMemo } from 'react';
+import JSZip from 'jszip';
+import {
+  Typography,
+  TextField,
+  Button,
+  CircularProgress,
+  Grid,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  FormControlLabel,
+  Checkbox,
+  Link,
+  LinearProgress,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Chip,
+  Box,
+  Alert,
+  Tooltip,
+} from '@mui/material';
+import RoyaltySplits from './RoyaltySplits';
+import { WalletContext } from '../../contexts/WalletContext';
+import {
+  MAX_ATTRIBUTES,
+  MAX_ATTRIBUTE_NAME_LENGTH,
+  MAX_ATTRIBUTE_VALUE_LENGTH,
+  MAX_EDITIONS,
+  MAX_TAGS,
+  MAX_TAG_LENGTH,
+  TAG_REGEX,
+  MAX_METADATA_SIZE,
+  LICENCE_OPTIONS,
+  isValidTezosAddress,
+  validateRoyaltySplits,
+  approximateMetadataSize,
+  buildTokenMetadata,
+  buildMintOp,
+} from '../../utils/tokenMetadata';
+import { parseCSV } from '../../utils/csv';
+import { explainTezosError } from '../../utils/tezosErrors';
+import { lookupOp } from '../../utils/opTracker';
+
+/* ─── constants ───────────────────────────────────── */
+const MAX_ROWS = 500;
+const MAX_CALLS_PER_BATCH = 40;          // keeps gas far below the op limit
+const BATCH_BYTES = MAX_METADATA_SIZE;   // max_operation_data_length
+const progressKey = (kt) => `zeroart_batch_mint_${kt}`;
+
+const EXT_MIME = {
+  bmp: 'image/bmp', gif: 'image/gif', jpg: 'image/jpeg', jpeg: 'image/jpeg',
+  png: 'image/png', apng: 'image/apng', svg: 'image/svg+xml', webp: 'image/webp',
+  mp4: 'video/mp4', ogv: 'video/ogg', mov: 'video/quicktime', webm: 'video/webm',
+  glb: 'model/gltf-binary', gltf: 'model/gltf+json',
+  mp3: 'audio/mpeg', ogg: 'audio/ogg', wav: 'audio/wav', flac: 'audio/flac',
+  pdf: 'application/pdf', txt: 'text/plain', json: 'application/json',
+  html: 'text/html', htm: 'text/html',
+};
+
+const STATUS_COLOR = {
+  ready: 'default', invalid: 'warning', sending: 'info', minted: 'success', failed: 'error',
+  unknown: 'secondary',
+};
+
+/* ─── manifest helpers ───────────────────────────── */
+const baseName = (p = '') => p.split('/').pop().toLowerCase();
+const extOf = (p = '') => (p.match(/\.([^.]+)$/) || [])[1]?.toLowerCase() || '';
+const truthy = (v) => /^(1|true|yes|y)$/i.test(String(v ?? '').trim());
+const safeJSON = (s, f) => { try { return JSON.parse(s); } catch { return f; } };
+
+/* attributes: JSON array/object or "Name=Value;Name=Value" */
+const parseAttributes = (v) => {
+  if (!v) return [];
+  if (Array.isArray(v))
+    return v.map((a) => ({ name: String(a?.name ?? '').trim(), value: String(a?.value ?? '').trim() }));
+  if (typeof v === 'object')
+    return Object.entries(v).map(([name, value]) => ({ name: name.trim(), value: String(value).trim() }));
+  const s = String(v).trim();
+  if (/^[[{]/.test(s)) return parseAttributes(safeJSON(s, []));
+  return s.split(/[;|]/).map((pair) => {
+    const i = pair.search(/[=:]/);
+    return i < 0
+      ? { name: pair.trim(), value: '' }
+      : { name: pair.slice(0, i).trim(), value: pair.slice(i + 1).trim() };
+  }).filter((a) => a.name);
+};
+
+/* tags: JSON array or "a;b|c,d" */
+const parseTags = (v) => {
+  if (!v) return [];
+  const list = Array.isArray(v)
+    ? v
+    : String(v).trim().startsWith('[') ? safeJSON(v, []) : String(v).split(/[;|,]/);
+  return [...new Set(list.map((t) => String(t).trim().toLowerCase()).filter(Boolean))];
+};
+
+const normaliseRow = (raw, i) => {
+  const r = Object.fromEntries(Object.entries(raw || {}).map(([k, v]) => [k.toLowerCase(), v]));
+  const file = String(r.file ?? r.artifact ?? r.filename ?? '').trim();
+  return {
+    key: `${i}:${file}:${r.name ?? ''}`,
+    idx: i + 1,
+    file,
+    name: String(r.name ?? '').trim(),
+    description: String(r.description ?? '').trim(),
+    attributes: parseAttributes(r.attributes),
+    tags: parseTags(r.tags),
+    editions: String(r.editions ?? r.amount ?? '1').trim() || '1',
+    recipient: String(r.recipient ?? r.to ?? r.to_ ?? '').trim(),
+    nsfw: truthy(r.nsfw),
+    flashing: truthy(r.flashing ?? r.flashinghazard),
+  };
+};
+
+const rowProblem = (r, { recipient, isV1 }) => {
+  if (!r.name) return 'name missing';
+  if (!r.dataUri) return `artifact "${r.file || '?'}" not found in ZIP`;
+  if (!isValidTezosAddress(recipient)) return 'invalid recipient';
+  const ed = Number(r.editions);
+  if (!isV1 && (!Number.isInteger(ed) || ed < 1 || ed > MAX_EDITIONS))
+    return `editions must be 1–${MAX_EDITIONS}`;
+  if (r.attributes.length > MAX_ATTRIBUTES) return `max ${MAX_ATTRIBUTES} attributes`;
+  if (r.attributes.some((a) =>
+    a.name.length > MAX_ATTRIBUTE_NAME_LENGTH || a.value.length > MAX_ATTRIBUTE_VALUE_LENGTH))
+    return 'attribute too long';
+  if (r.tags.length > MAX_TAGS) return `max ${MAX_TAGS} tags`;
+  if (r.tags.some((t) => t.length > MAX_TAG_LENGTH || !TAG_REGEX.test(t))) return 'invalid tag';
+  if (r.size > MAX_METADATA_SIZE) return `metadata ${r.size} B exceeds 32 KB`;
+  return '';
+};
+
+/* greedy pack: consecutive rows until bytes or call count would overflow */
+const packBatches = (rows) => {
+  const out = [];
+  let cur = [], bytes = 0;
+  rows.forEach((r) => {
+    if (cur.length && (bytes + r.size > BATCH_BYTES || cur.length >= MAX_CALLS_PER_BATCH)) {
+      out.push(cur); cur = []; bytes = 0;
+    }
+    cur.push(r); bytes += r.size;
+  });
+  if (cur.length) out.push(cur);
+  return out;
+};
+
+/* minted: row key → confirmed op hash; sent: row key → { hash, at } for
+   batches injected but not (yet) seen confirmed */
+const readProgress = (kt, sig) => {
+  const empty = { minted: {}, sent: {} };
+  if (typeof window === 'undefined') return empty;
+  const saved = safeJSON(localStorage.getItem(progressKey(kt)) || '{}', {});
+  return saved.sig === sig ? { minted: saved.minted || {}, sent: saved.sent || {} } : empty;
+};
+const writeProgress = (kt, sig, { minted, sent }) => {
+  if (typeof window === 'undefined') return;
+  localStorage.setItem(progressKey(kt), JSON.stringify({ sig, minted, sent }));
+};
+
+/* ─── component ──────────────────────────────────── */
+const BatchMint = ({ contractAddress, tezos, contractVersion, setSnackbar }) => {
+  const {
+    walletAddress, network, networkMismatch, needsReveal, trackOperation, reviewOperation,
+  } = useContext(WalletContext);
+  const isV1 = contractVersion === 'v1';
+
+  /* shared fields */
+  const [shared, setShared] = useState({
+    creators: walletAddress || '',
+    authors: '',
+    license: '',
+    customLicense: '',
+  });
+  const [royaltySplits, setRoyaltySplits] = useState([{ address: walletAddress || '', percent: '' }]);
+  const [agreed, setAgreed] = useState(false);
+
+  /* bundle */
+  const [zipFile, setZipFile] = useState(null);
+  const [manifestFile, setManifestFile] = useState(null);
+  const [rows, setRows] = useState([]);
+  const [sig, setSig] = useState('');
+  const [parsing, setParsing] = useState(false);
+  const [running, setRunning] = useState(false);
+  const [batchInfo, setBatchInfo] = useState({ current: 0, total: 0 });
+
+  const snack = (msg, severity = 'warning') =>
+    setSnackbar({ open: true, message: msg, severity });
+
+  useEffect(() => {
+    setShared((p) => (p.creators.trim() ? p : { ...p, creators: walletAddress || '' }));
+    setRoyaltySplits((prev) =>
+      prev.length === 1 && !prev[0].address.trim()
+        ? [{ ...prev[0], address: walletAddress || '' }]
+        : prev);
+  }, [walletAddress]);
+
+  const handleShared = (e) => {
+    const { name, value } = e.target;
+    setShared((p) => ({ ...p, [name]: value }));
+  };
+
+  const rights = shared.license === 'Custom' ? shared.customLicense : shared.license;
+
+  const buildRowMap = (r, artifactUri = r.dataUri) =>
+    buildTokenMetadata({
+      name: r.name,
+      description: r.description,
+      artifactUri,
+      mimeType: r.mimeType,
+      creators: shared.creators,
+      authors: shared.authors,
+      rights,
+      royalties: royaltySplits,
+      attributes: r.attributes,
+      tags: r.tags,
+      nsfw: r.nsfw,
+      flashing: r.flashing,
+    });
+
+  /* ── bundle loader ─────────────────────────────── */
+  useEffect(() => {
+    if (!zipFile) { setRows([]); return; }
+    let cancelled = false;
+    (async () => {
+      setParsing(true);
+      try {
+        const zip = await JSZip.loadAsync(zipFile);
+        const entries = Object.values(zip.files)
+          .filter((f) => !f.dir && !f.name.startsWith('__MACOSX/'));
+
+        /* manifest: explicit upload > manifest.* in ZIP > first csv/json */
+        let text = '', kind = '';
+        if (manifestFile) {
+          text = await manifestFile.text();
+          kind = extOf(manifestFile.name);
+        } else {
+          const m =
+            entries.find((f) => /^manifest\.(csv|json)$/.test(baseName(f.name))) ||
+            entries.find((f) => ['csv', 'json'].includes(extOf(f.name)));
+          if (!m) throw new Error('No manifest (.csv or .json) found — upload one separately');
+          text = await m.async('string');
+          kind = extOf(m.name);
+        }
+        const rawRows = kind === 'json'
+          ? [].concat(safeJSON(text, null)?.tokens ?? safeJSON(text, []))
+          : parseCSV(text);
+        if (!rawRows.length) throw new Error('Manifest is empty');
+        if (rawRows.length > MAX_ROWS) throw new Error(`Manifest exceeds ${MAX_ROWS} rows`);
+
+        const byName = new Map(entries.map((f) => [baseName(f.name), f]));
+        const loaded = [];
+        for (const [i, raw] of rawRows.entries()) {
+          const r = normaliseRow(raw, i);
+          const f = byName.get(baseName(r.file));
+          if (f) {
+            const mimeType = EXT_MIME[extOf(f.name)] || 'application/octet-stream';
+            r.mimeType = mimeType;
+            r.dataUri = `data:${mimeType};base64,${await f.async('base64')}`;
+          }
+          loaded.push(r);
+        }
+        if (cancelled) return;
+
+        const nextSig = `${zipFile.name}:${zipFile.size}:${text.length}:${loaded.length}`;
+        const { minted: done, sent } = readProgress(contractAddress, nextSig);
+        setSig(nextSig);
+        setRows(loaded.map((r) => {
+          if (done[r.key]) return { ...r, status: 'minted', opHash: done[r.key] };
+          if (sent[r.key]) return { ...r, status: 'unknown', opHash: sent[r.key].hash };
+          return { ...r, status: 'ready' };
+        }));
+        const resumed = Object.keys(done).length;
+        snack(
+          resumed
+            ? `Loaded ${loaded.length} rows — ${resumed} already minted, ready to resume`
+            : `Loaded ${loaded.length} rows`,
+          'success',
+        );
+      } catch (e) {
+        if (!cancelled) { setRows([]); snack(e.message || 'Could not read bundle', 'error'); }
+      } finally {
+        if (!cancelled) setParsing(false);
+      }
+    })();
+    return () => { cancelled = true; };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [zipFile, manifestFile, contractAddress]);
+
+  /* sizes & validation depend on shared fields → recompute cheaply
+     (artifact bytes are added, not re-hexed) */
+  const sized = useMemo(() => rows.map((r) => {
+    const size = approximateMetadataSize(buildRowMap(r, '')) + (r.dataUri?.length || 0);
+    const withSize = { ...r, size };
+    if (['minted', 'sending', 'unknown'].includes(r.status)) return withSize;
+    const problem = rowProblem(withSize, { recipient: r.recipient || walletAddress, isV1 });
+    return problem ? { ...withSize, status: 'invalid', error: problem } : withSize;
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }), [rows, shared, royaltySplits, walletAddress, isV1]);
+
+  const pending = sized.filter((r) => r.status === 'ready' || r.status === 'failed');
+  const minted  = sized.filter((r) => r.status === 'minted').length;
+  const invalid = sized.filter((r) => r.status === 'invalid').length;
+  const unknown = sized.filter((r) => r.status === 'unknown').length;
+  const batches = packBatches(pending);
+
+  const patchRows = (group, patch) => {
+    const keys = new Set(group.map((r) => r.key));
+    setRows((prev) => prev.map((r) => (keys.has(r.key) ? { ...r, ...patch } : r)));
+  };
+
+  /* ── validation ───────────────────────────────── */
+  const validateShared = () => {
+    if (networkMismatch) { snack('Wallet is on the wrong network'); return false; }
+    if (needsReveal) { snack('Reveal your account first'); return false; }
+    const creators = shared.creators.split(',').map((c) => c.trim());
+    if (!shared.creators.trim() || creators.some((c) => !isValidTezosAddress(c))) {
+      snack('One or more creator addresses are invalid'); return false;
+    }
+    const royaltyProblem = validateRoyaltySplits(royaltySplits);
+    if (royaltyProblem) { snack(royaltyProblem); return false; }
+    if (!rights.trim()) { snack('License is required'); return false; }
+    if (!agreed) { snack('You must agree to the terms'); return false; }
+    return true;
+  };
+
+  /* ── sent-but-unconfirmed batches ─────────────── */
+  /**
+   * Look up every 'unknown' batch op before anything is re-sent.
+   * → Set of row keys that are safe to mint again (op failed / expired).
+   * Applied rows become 'minted'; still-pending rows stay 'unknown'.
+   */
+  const settleUnknown = async (progress) => {
+    const retry = new Set();
+    const byHash = new Map();
+    sized.filter((r) => r.status === 'unknown').forEach((r) => {
+      byHash.set(r.opHash, [...(byHash.get(r.opHash) || []), r]);
+    });
+    for (const [hash, group] of byHash) {
+      const at = progress.sent[group[0].key]?.at || Date.now();
+      const res = await lookupOp({ hash, network, submittedAt: at }).catch(() => ({ status: 'pending' }));
+      if (res.status === 'pending') continue;
+      group.forEach((r) => {
+        delete progress.sent[r.key];
+        if (res.status === 'applied') progress.minted[r.key] = hash;
+        else retry.add(r.key);
+      });
+      patchRows(group, res.status === 'applied'
+        ? { status: 'minted', error: '' }
+        : { status: 'ready', opHash: '', error: res.error || res.status });
+    }
+    writeProgress(contractAddress, sig, progress);
+    return retry;
+  };
+
+  /* ── batch runner ─────────────────────────────── */
+  const runBatches = async () => {
+    if (!validateShared()) return;
+    if (!batches.length && !unknown) { snack('Nothing left to mint', 'info'); return; }
+    setRunning(true);
+    const progress = readProgress(contractAddress, sig);
+    try {
+      const retry = unknown ? await settleUnknown(progress) : new Set();
+      const todo = packBatches(sized.filter((r) =>
+        r.status === 'ready' || r.status === 'failed' || retry.has(r.key)));
+      const stillSent = Object.keys(progress.sent).length;
+      if (stillSent) {
+        snack(`${stillSent} row${stillSent === 1 ? ' was' : 's were'} sent but not confirmed yet — they won't be re-sent until the operation settles.`, 'warning');
+      }
+      if (!todo.length) return;
+      const contract = await tezos.wallet.at(contractAddress);
+      for (const [b, group] of todo.entries()) {
+        setBatchInfo({ current: b + 1, total: todo.length });
+        patchRows(group, { status: 'sending', error: '' });
+        let op = null;
+        try {
+          const calls = group.map((r) => buildMintOp(
+            contract, contractVersion, isV1 ? '1' : r.editions,
+            buildRowMap(r), r.recipient || walletAddress,
+          ));
+          const ok = await reviewOperation({
+            title: `Batch mint — ${group.length} token${group.length === 1 ? '' : 's'}`,
+            contract,
+            calls,
+            version: contractVersion,
+            part: { index: b + 1, total: todo.length },
+          });
+          if (!ok) {
+            patchRows(group, { status: 'ready' });
+            snack('Batch mint paused – press “Resume” to continue', 'info');
+            return;
+          }
+          let batch = tezos.wallet.batch();
+          calls.forEach((c) => { batch = batch.withContractCall(c); });
+          op = await batch.send();
+          /* injected — record it now so a reload or timeout can't re-send it */
+          group.forEach((r) => { progress.sent[r.key] = { hash: op.opHash, at: Date.now() }; });
+          writeProgress(contractAddress, sig, progress);
+          trackOperation(op, { kind: 'mint', contract: contractAddress, label: `Batch mint ${b + 1}/${todo.length}` });
+          patchRows(group, { opHash: op.opHash });
+          snack(`Batch ${b + 1}/${todo.length} sent – awaiting confirmation…`, 'info');
+          await op.confirmation();
+          group.forEach((r) => {
+            progress.minted[r.key] = op.opHash;
+            delete progress.sent[r.key];
+          });
+          writeProgress(contractAddress, sig, progress);
+          patchRows(group, { status: 'minted' });
+        } catch (e) {
+          const reason = explainTezosError(e, contractVersion);
+          if (op) {
+            /* only the confirmation failed — the batch may still land */
+            patchRows(group, { status: 'unknown', error: `Sent, not confirmed: ${reason}` });
+            snack(`Batch ${b + 1}/${todo.length} was sent but not confirmed (${reason}). “Resume” checks it on-chain before retrying.`, 'warning');
+          } else {
+            patchRows(group, { status: 'failed', error: reason });
+            snack(`Batch ${b + 1}/${todo.length} failed: ${reason}. Press “Resume” to retry.`, 'error');
+          }
+          return;
+        }
+      }
+      snack('Collection minted successfully!', 'success');
+    } catch (e) {
+      snack(`Batch mint failed: ${explainTezosError(e)}`, 'error');
+    } finally {
+      setRunning(false);
+      setBatchInfo({ current: 0, total: 0 });
+    }
+  };
+
+  const clearProgress = () => {
+    if (typeof window !== 'undefined') localStorage.removeItem(progressKey(contractAddress));
+    setRows((prev) => prev.map((r) => ({ ...r, status: 'ready', error: '', opHash: '' })));
+  };
+
+  const valid = sized.length - invalid;
+  const started = minted > 0 || unknown > 0 || sized.some((r) => r.status === 'failed');
+
+  /* ─── UI ───────────────────────────────────────── */
+  return (
+    <div style={{ marginTop: 20 }}>
+      <Typography variant="h6">Batch Mint Collection</Typography>
+      <Typography variant="body2" gutterBottom>
+        Upload a ZIP of artifacts with a <code>manifest.csv</code> or{' '}
+        <code>manifest.json</code> (columns: <code>file, name, description,
+        attributes, tags, editions, recipient</code>). Attributes use{' '}
+        <code>Name=Value;Name=Value</code>, tags <code>tag1;tag2</code>.
+      </Typography>
+
+      <Grid container spacing={2}>
+        {/* bundle */}
+        <Grid size={{ xs: 12, sm: 6 }}>
+          <Button variant="contained" component="label" fullWidth disabled={running}>
+            {zipFile ? `ZIP: ${zipFile.name}` : 'Upload Artifacts ZIP *'}
+            <input hidden type="file" accept=".zip,application/zip"
+              onChange={(e) => { setZipFile(e.target.files[0] || null); e.target.value = null; }} />
+          </Button>
+        </Grid>
+        <Grid size={{ xs: 12, sm: 6 }}>
+          <Button variant="outlined" component="label" fullWidth disabled={running}>
+            {manifestFile ? `Manifest: ${manifestFile.name}` : 'Separate Manifest (optional)'}
+            <input hidden type="file" accept=".csv,.json,text/csv,application/json"
+              onChange={(e) => { setManifestFile(e.target.files[0] || null); e.target.value = null; }} />
+          </Button>
+        </Grid>
+
+        {/* shared fields */}
+        <Grid size={12}>
+          <TextField label="Creator Address(es) *" name="creators" value={shared.creators}
+            onChange={handleShared} fullWidth helperText="Applied to every token. Separate with commas." />
+        </Grid>
+        <Grid size={12}>
+          <TextField label="Author Name(s)" name="authors" value={shared.authors}
+            onChange={handleShared} fullWidth />
+        </Grid>
+        <Grid size={12}>
+          <RoyaltySplits splits={royaltySplits} onChange={setRoyaltySplits} />
+        </Grid>
+        <Grid size={{ xs: 12, md: 6 }}>
+          <FormControl fullWidth>
+            <InputLabel id="batch-license-label">License *</InputLabel>
+            <Select labelId="batch-license-label" name="license" value={shared.license}
+              onChange={handleShared} label="License *">
+              <MenuItem value="">Select a license</MenuItem>
+              {LICENCE_OPTIONS.map((opt) => <MenuItem key={opt} value={opt}>{opt}</MenuItem>)}
+            </Select>
+          </FormControl>
+        </Grid>
+        {shared.license === 'Custom' && (
+          <Grid size={{ xs: 12, md: 6 }}>
+            <TextField label="Custom License *" name="customLicense" value={shared.customLicense}
+              onChange={handleShared} fullWidth multiline rows={2} inputProps={{ maxLength: 2000 }} />
+          </Grid>
+        )}
+      </Grid>
+
+      {parsing && <LinearProgress sx={{ mt: 2 }} />}
+
+      {/* manifest table */}
+      {sized.length > 0 && (
+        <>
+          <Typography variant="subtitle2" sx={{ mt: 3 }}>
+            {sized.length} rows · {valid} valid · {minted} minted · {batches.length} batch
+            {batches.length === 1 ? '' : 'es'} left
+          </Typography>
+          <LinearProgress variant="determinate" value={valid ? (minted / valid) * 100 : 0}
+            sx={{ my: 1 }} />
+          {invalid > 0 && (
+            <Alert severity="warning" sx={{ mb: 1 }}>
+              {invalid} row{invalid === 1 ? '' : 's'} will be skipped — hover the status for details.
+            </Alert>
+          )}
+          <Box sx={{ maxHeight: 360, overflow: 'auto', border: '1px solid', borderColor: 'divider', borderRadius: 1 }}>
+            <Table size="small" stickyHeader>
+              <TableHead>
+                <TableRow>
+                  <TableCell>#</TableCell>
+                  <TableCell>Name</TableCell>
+                  <TableCell>File</TableCell>
+                  {!isV1 && <TableCell align="right">Editions</TableCell>}
+                  <TableCell>Recipient</TableCell>
+                  <TableCell align="right">Bytes</TableCell>
+                  <TableCell>Status</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {sized.map((r) => (
+                  <TableRow key={r.key}>
+                    <TableCell>{r.idx}</TableCell>
+                    <TableCell sx={{ maxWidth: 160 }}><Typography variant="body2" noWrap>{r.name || '—'}</Typography></TableCell>
+                    <TableCell sx={{ maxWidth: 140 }}><Typography variant="body2" noWrap>{r.file || '—'}</Typography></TableCell>
+                    {!isV1 && <TableCell align="right">{r.editions}</TableCell>}
+                    <TableCell sx={{ maxWidth: 120 }}>
+                      <Typography variant="body2" noWrap>{r.recipient || 'wallet'}</Typography>
+                    </TableCell>
+                    <TableCell align="right">{r.size.toLocaleString()}</TableCell>
+                    <TableCell>
+                      <Tooltip title={r.error || r.opHash || ''} arrow>
+                        <Chip size="small" label={r.status} color={STATUS_COLOR[r.status]}
+                          icon={r.status === 'sending' ? <CircularProgress size={12} /> : undefined} />
+                      </Tooltip>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </Box>
+        </>
+      )}
+
+      {/* agree + run */}
+      <FormControlLabel
+        sx={{ mt: 2 }}
+        control={<Checkbox checked={agreed} onChange={(e) => setAgreed(e.target.checked)} color="primary" />}
+        label={
+          <span>
+            I agree to the{' '}
+            <Link href="/terms" target="_blank" rel="noopener noreferrer">terms and conditions</Link>.
+          </span>
+        }
+      />
+
+      <Box sx={{ mt: 2, display: 'flex', justifyContent: 'flex-end', gap: 1 }}>
+        {started && !running && (
+          <Button color="secondary" onClick={clearProgress}>Reset progress</Button>
+        )}
+        <Button
+          variant="contained"
+          color="success"
+          onClick={runBatches}
+          disabled={running || parsing || !agreed || (!batches.length && !unknown) || networkMismatch || needsReveal}
+          startIcon={running ? <CircularProgress size={20} /> : null}
+        >
+          {running
+            ? `Batch ${batchInfo.current}/${batchInfo.total}…`
+            : started
+              ? `Resume (${pending.length + unknown} left)`
+              : `Mint ${pending.length} token${pending.length === 1 ? '' : 's'} in ${batches.length} batch${batches.length === 1 ? '' : 'es'}`}
+        </Button>
+      </Box>
+    </div>
+  );
+};
+
+export default BatchMint;
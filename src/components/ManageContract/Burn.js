@@ -1,19 +1,27 @@
 /*Developed by @jams2blues with love for the Tezos community
   File: src/components/ManageContract/Burn.js
   Summary: Burn NFT editions — now recognises all v2* variants (v2a–v2e) and v3.
+           "Several tokens" mode hands over to BatchBurn (picker + preview).
 */
 
-import React, { useState } from 'react';
-import { Typography, TextField, Button, CircularProgress, Grid } from '@mui/material';
+import React, { useState, useContext } from 'react';
+import {
+  Typography, TextField, Button, CircularProgress, Grid, ToggleButtonGroup, ToggleButton,
+} from '@mui/material';
+import { WalletContext } from '../../contexts/WalletContext';
+import { explainTezosError } from '../../utils/tezosErrors';
+import BatchBurn from './BatchBurn';
 
-const Burn = ({ contractAddress, tezos, setSnackbar, contractVersion }) => {
+const Burn = ({ contractAddress, collectionName, tezos, setSnackbar, contractVersion }) => {
+  const { trackOperation, reviewOperation } = useContext(WalletContext);
+  const [mode,    setMode]    = useState('single');
   const [tokenId, setTokenId] = useState('');
   const [amount,  setAmount]  = useState('1');
   const [loading, setLoading] = useState(false);
 
   /* helpers */
   const isV1      = contractVersion?.startsWith('v1');
-  const isV2Plus  = contractVersion?.startsWith('v2') || contractVersion === 'v3';
+  const isV2Plus  = contractVersion?.startsWith('v2') || ['v3', 'v4'].includes(contractVersion);
 
   const handleBurn = async () => {
     if (!tokenId) {
@@ -32,14 +40,16 @@ const Burn = ({ contractAddress, tezos, setSnackbar, contractVersion }) => {
     try {
       setLoading(true);
       const contract = await tezos.wallet.at(contractAddress);
-      let op;
-
-      if (isV1) {
-        op = await contract.methods.burn(parseInt(tokenId, 10)).send();
-      } else {
+      const call = isV1
+        ? contract.methods.burn(parseInt(tokenId, 10))
         // v2 (all variants) & v3 share the same signature: (amount, token_id)
-        op = await contract.methods.burn(parseInt(amount, 10), parseInt(tokenId, 10)).send();
-      }
+        : contract.methods.burn(parseInt(amount, 10), parseInt(tokenId, 10));
+
+      if (!(await reviewOperation({
+        title: `Burn token ${tokenId}`, contract, calls: [call], version: contractVersion,
+      }))) return;
+      const op = await call.send();
+      trackOperation(op, { kind: 'burn', contract: contractAddress, label: `Burn token ${tokenId}` });
 
       setSnackbar({ open: true, message: 'Burning in progress…', severity: 'info' });
       await op.confirmation();
@@ -48,9 +58,7 @@ const Burn = ({ contractAddress, tezos, setSnackbar, contractVersion }) => {
       setAmount('1');
     } catch (error) {
       const msg = error?.message || '';
-      let userMsg = 'Burn failed.';
-      if (msg.includes('FA2_TOKEN_UNDEFINED'))  userMsg = 'Token not found or zero balance for this Token ID.';
-      if (msg.includes('FA2_NOT_OWNER'))        userMsg = 'You are not the owner of this token.';
+      let userMsg = `Burn failed: ${explainTezosError(error, contractVersion)}`;
       if (msg.includes('contract.not_found') ||
           msg.includes('Invalid account address')) userMsg = 'Contract not found on this network.';
       setSnackbar({ open: true, message: userMsg, severity: 'error' });
@@ -62,45 +70,68 @@ const Burn = ({ contractAddress, tezos, setSnackbar, contractVersion }) => {
   return (
     <div style={{ marginTop: 20 }}>
       <Typography variant="h6">Burn NFT</Typography>
-      <Grid container spacing={2}>
-        <Grid size={12}>
-          <TextField
-            label="Token ID *"
-            value={tokenId}
-            onChange={(e) => setTokenId(e.target.value)}
-            fullWidth
-            placeholder="e.g., 0"
-            type="number"
-            InputProps={{ inputProps: { min: 0 } }}
-          />
-        </Grid>
+      <ToggleButtonGroup
+        exclusive
+        size="small"
+        value={mode}
+        onChange={(_, v) => v && setMode(v)}
+        sx={{ my: 1 }}
+      >
+        <ToggleButton value="single">One token</ToggleButton>
+        <ToggleButton value="batch">Several tokens</ToggleButton>
+      </ToggleButtonGroup>
+
+      {mode === 'batch' ? (
+        <BatchBurn
+          contractAddress={contractAddress}
+          collectionName={collectionName}
+          tezos={tezos}
+          setSnackbar={setSnackbar}
+          contractVersion={contractVersion}
+        />
+      ) : (
+        <>
+          <Grid container spacing={2}>
+            <Grid size={12}>
+              <TextField
+                label="Token ID *"
+                value={tokenId}
+                onChange={(e) => setTokenId(e.target.value)}
+                fullWidth
+                placeholder="e.g., 0"
+                type="number"
+                InputProps={{ inputProps: { min: 0 } }}
+              />
+            </Grid>
 
-        {isV2Plus && (
-          <Grid size={12}>
-            <TextField
-              label="Amount *"
-              value={amount}
-              onChange={(e) => setAmount(e.target.value)}
-              fullWidth
-              placeholder="Number of editions to burn"
-              type="number"
-              InputProps={{ inputProps: { min: 1 } }}
-            />
+            {isV2Plus && (
+              <Grid size={12}>
+                <TextField
+                  label="Amount *"
+                  value={amount}
+                  onChange={(e) => setAmount(e.target.value)}
+                  fullWidth
+                  placeholder="Number of editions to burn"
+                  type="number"
+                  InputProps={{ inputProps: { min: 1 } }}
+                />
+              </Grid>
+            )}
           </Grid>
-        )}
-      </Grid>
 
-      <div style={{ marginTop: 20, textAlign: 'right' }}>
-        <Button
-          variant="contained"
-          color="secondary"
-          onClick={handleBurn}
-          disabled={loading}
-          startIcon={loading ? <CircularProgress size={20} /> : null}
-        >
-          {loading ? 'Burning…' : 'Burn NFT'}
-        </Button>
-      </div>
+          <div style={{ marginTop: 20, textAlign: 'right' }}>
+            <Button
+              variant="contained"
+              color="secondary"
+              onClick={handleBurn}
+              disabled={loading}
+              startIcon={loading ? <CircularProgress size={20} /> : null}
+            >
+              {loading ? 'Burning…' : 'Burn NFT'}
+            </Button>
+          </div>
+        </>
+      )}
     </div>
   );
 };
@@ -31,8 +31,22 @@ import React, {
   import VisibilityOffIcon from '@mui/icons-material/VisibilityOff';
   import VisibilityIcon    from '@mui/icons-material/Visibility';
   import LaunchIcon        from '@mui/icons-material/Launch';
-  import { Buffer } from 'buffer';
   import { WalletContext } from '../../contexts/WalletContext';
+  import {
+    HASHES,
+    hashList,
+    versionOfHash,
+    contractsByCreator,
+    contractsByHash,
+    getContract,
+    getContractMetadata,
+    getStorage,
+    getContractBigmaps,
+    getBigmapKey,
+    resolveVersion,
+    withFallback,
+  } from '../../utils/indexer';
+  import { readContractSummary, rememberContracts, knownContracts } from '../../utils/chainReader';
   
   /* ─── constants & helpers ─────────────────────────────────────── */
   const EMBLA_OPTS = { loop:true, dragFree:true, speed:10, duration:25 };
@@ -40,29 +54,7 @@ import React, {
   const HKEY = 'zeroart_hidden_contracts', CKEY = 'zeroart_contract_cache_v1';
   const TTL = 86_400_000, CMAX = 150;
   
-  const TZKT = {
-    ghostnet:'https://api.ghostnet.tzkt.io/v1',
-    mainnet :'https://api.tzkt.io/v1',
-  };
-  export const HASHES = {
-    ghostnet:{v1:-543526052,v2a:-1889653220,v2b:943737041,v2c:-1513923773,v2d:-1835576114,v2e:1529857708,v3:862045731},
-    mainnet :{v1:-543526052,v2a:-1889653220,v2b:943737041,v2c:-1513923773,v2d:-1835576114,v2e:1529857708,v3:862045731},
-  };
-  
-  const mkHashList=o=>[...new Set(Object.values(o))].join(',');
-  const getVer=(net,h)=>(Object.entries(HASHES[net]).find(([,n])=>n===h)?.[0]||'v?').replace(/v2\./,'v2').toUpperCase();
-  const sleep=ms=>new Promise(r=>setTimeout(r,ms));
-  async function jFetch(url,tries=3){
-    for(let i=0;i<tries;i++){
-      try{const r=await fetch(url);
-        if(r.status===429){await sleep(600*(i+1));continue;}
-        if(!r.ok) throw new Error(`HTTP ${r.status}`);
-        return await r.json();
-      }catch(e){ if(i===tries-1) throw e; }
-    }
-  }
-  const hex2str=h=>Buffer.from(h.replace(/^0x/,''),'hex').toString('utf8');
-  const parseHexJSON=h=>{try{return JSON.parse(hex2str(h));}catch{return{};}};
+  const getVer=(net,h)=>(versionOfHash(net,h)||'v?').toUpperCase();
   const toNat=v=>v==null?null:(typeof v==='number'?v:parseInt(v.int||v,10));
   const isModel=u=>u.startsWith('data:model')||/\.(glb|gltf)(\?|$)/i.test(u);
   
@@ -71,32 +63,35 @@ import React, {
   const getCache=a=>{if(typeof window==='undefined')return null;const c=readCache()[a];return c&&Date.now()-c.ts<TTL?c.data:null;};
   const patchCache=(a,p)=>{if(typeof window==='undefined')return;const all=readCache();all[a]={data:{...all[a]?.data,...p},ts:Date.now()};writeCache(all);};
   
-  async function fetchOriginated(addr,net){
+  async function fetchOriginated(addr,net,opts){
     if(!addr)return[];
-    const list=await jFetch(`${TZKT[net]}/contracts?creator.eq=${addr}&typeHash.in=${mkHashList(HASHES[net])}&limit=200`);
-    return list.map(c=>({address:c.address,typeHash:c.typeHash,timestamp:c.firstActivityTime||c.lastActivityTime}));
+    const list=await contractsByCreator(net,addr,{hashes:hashList(net)},opts);
+    const other=await contractsByCreator(net,addr,{kind:'smart_contract',excludeHashes:hashList(net)},opts).catch(()=>[]);
+    const v4=[];
+    for(const c of other){
+      if(await resolveVersion(net,c.typeHash,c.address).catch(()=>null)==='v4')v4.push({...c,version:'V4'});
+    }
+    return [...list,...v4].map(c=>({address:c.address,typeHash:c.typeHash,version:c.version,timestamp:c.firstActivityTime||c.lastActivityTime}));
   }
   async function isWalletCollaborator(addr,wallet,net){
     try{
-      const st=await jFetch(`${TZKT[net]}/contracts/${addr}/storage`);
+      const st=await getStorage(net,addr);
+      if(!st)return false;
       if(Array.isArray(st.collaborators)) return st.collaborators.includes(wallet);
       if(Number.isInteger(st.collaborators)){
-        try{await jFetch(`${TZKT[net]}/bigmaps/${st.collaborators}/keys/${wallet}`,1);return true;}catch{}
+        if(await getBigmapKey(net,st.collaborators,wallet).catch(()=>null))return true;
       }
-      const maps=await jFetch(`${TZKT[net]}/contracts/${addr}/bigmaps`).catch(()=>[]);
+      const maps=await getContractBigmaps(net,addr).catch(()=>[]);
       const cand=maps.find(m=>m.path?.toLowerCase().includes('collaborator'));
-      if(cand){
-        try{await jFetch(`${TZKT[net]}/bigmaps/${cand.ptr}/keys/${wallet}`,1);return true;}catch{}
-      }
+      if(cand&&await getBigmapKey(net,cand.ptr,wallet).catch(()=>null))return true;
     }catch{}
     return false;
   }
-  async function fetchCollaborative(addr,net){
+  async function fetchCollaborative(addr,net,opts){
     if(!addr)return[];
-    const v3=HASHES[net].v3;
-    const cands=await jFetch(`${TZKT[net]}/contracts?typeHash.eq=${v3}&limit=200`);
+    const cands=await contractsByHash(net,HASHES[net].v3,{},opts);
     const out=[];
-    for(const c of cands||[]){
+    for(const c of cands){
       if(!c?.address)continue;
       const cached=getCache(c.address);
       if(cached?.isCollab){out.push(cached.basic);continue;}
@@ -114,19 +109,37 @@ import React, {
       const cached=getCache(it.address);
       if(cached?.detail){out.push(cached.detail);continue;}
       try{
-        const det=await jFetch(`${TZKT[net]}/contracts/${it.address}`);
-        let meta=det.metadata||{};
-        if(!meta.name||!meta.imageUri){
-          const bm=await jFetch(`${TZKT[net]}/contracts/${it.address}/bigmaps/metadata/keys/content`).catch(()=>null);
-          if(bm?.value)meta={...parseHexJSON(bm.value),...meta};
-        }
-        const st=await jFetch(`${TZKT[net]}/contracts/${it.address}/storage`).catch(()=>({}));
-        const detail={address:it.address,typeHash:it.typeHash,name:meta.name||it.address,description:meta.description||'',imageUri:meta.imageUri,total:toNat(st.all_tokens)??toNat(st.next_token_id),version:getVer(net,it.typeHash),date:it.timestamp};
+        const det=await getContract(net,it.address);
+        if(!det)continue;
+        const meta=await getContractMetadata(net,it.address,det);
+        const st=await getStorage(net,it.address).catch(()=>null)||{};
+        const detail={address:it.address,typeHash:it.typeHash,name:meta.name||it.address,description:meta.description||'',imageUri:meta.imageUri,total:toNat(st.all_tokens)??toNat(st.next_token_id),version:it.version||getVer(net,it.typeHash),date:it.timestamp};
         out.push(detail);patchCache(it.address,{detail});
       }catch{}
     }
     return out.sort((a,b)=>new Date(b.date)-new Date(a.date));
   }
+  /* RPC-only: last indexer-sourced address list, details read from storage */
+  async function rpcEnrich(list,tezos){
+    const out=[];
+    for(const it of list){
+      const cached=getCache(it.address);
+      if(cached?.detail){out.push(cached.detail);continue;}
+      try{
+        const s=await readContractSummary(tezos,it.address);
+        if(!s.version)continue;
+        out.push({address:it.address,typeHash:null,name:s.meta.name||it.address,description:s.meta.description||'',imageUri:s.meta.imageUri,total:s.allTokens??s.nextTokenId,version:s.version.toUpperCase(),date:null});
+      }catch{}
+    }
+    return out;
+  }
+  async function rpcFallback(wallet,net,tezos){
+    const known=knownContracts(net,wallet);
+    return Promise.all([
+      rpcEnrich(known.filter(k=>k.role==='origin'),tezos),
+      rpcEnrich(known.filter(k=>k.role==='collab'),tezos),
+    ]);
+  }
   
   /* ─── styled ─────────────────────────────────────────────────── */
   const Viewport=styled('div')`overflow:hidden;position:relative;`;
@@ -226,7 +239,8 @@ import React, {
   
   /* ─── Main Component ─────────────────────────────────────────── */
   const ContractCarousels=({onSelect:parentSelect})=>{
-    const {walletAddress,network}=useContext(WalletContext);
+    const {walletAddress,network,tezos}=useContext(WalletContext);
+    const tezosRef=useRef(tezos);tezosRef.current=tezos; // RPC fallback only — no refetch when it arrives
   
     useEffect(()=>{if(typeof window==='undefined'||window.customElements.get('model-viewer'))return;
       const s=document.createElement('script');s.type='module';s.src='https://unpkg.com/@google/model-viewer/dist/model-viewer.min.js';document.head.appendChild(s);},[]);
@@ -239,9 +253,15 @@ import React, {
     const [busyO,setBusyO]=useState(true),[busyC,setBusyC]=useState(true);
     const [orig,setOrig]=useState([]),[coll,setColl]=useState([]);
     const fetchAll=useCallback(async()=>{if(!walletAddress){setOrig([]);setColl([]);return;}setBusyO(true);setBusyC(true);
-      try{const[oRaw,cRaw]=await Promise.all([fetchOriginated(walletAddress,network),fetchCollaborative(walletAddress,network)]);
-        const[oDet,cDet]=await Promise.all([enrich(oRaw,network),enrich(cRaw,network)]);
-        setOrig(oDet);setColl(cDet);}finally{setBusyO(false);setBusyC(false);}},[walletAddress,network]);
+      try{const[oDet,cDet]=await withFallback(async opts=>{
+          const[oRaw,cRaw]=await Promise.all([fetchOriginated(walletAddress,network,opts),fetchCollaborative(walletAddress,network,opts)]);
+          rememberContracts(network,walletAddress,'origin',oRaw.map(c=>c.address));
+          rememberContracts(network,walletAddress,'collab',cRaw.map(c=>c.address));
+          return Promise.all([enrich(oRaw,network),enrich(cRaw,network)]);
+        },()=>rpcFallback(walletAddress,network,tezosRef.current));
+        setOrig(oDet);setColl(cDet);}
+      catch{setOrig([]);setColl([]);}
+      finally{setBusyO(false);setBusyC(false);}},[walletAddress,network]);
     useEffect(()=>{fetchAll();},[fetchAll]);
   
     const [emblaRefO,emblaO]=useEmblaCarousel(EMBLA_OPTS);
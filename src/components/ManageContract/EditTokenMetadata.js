@@ -0,0 +1,304 @@
+/*Developed by @jams2blues with love for the Tezos community
+  File: src/components/ManageContract/EditTokenMetadata.js
+  Summary: V4 post-mint token_info editor — loads the on-chain map, lets the
+           admin edit / add / drop keys, reviews a diff, then sends only the
+           changed keys to edit_token_metadata. Large data URIs are kept
+           as-is unless removed.
+*/
+
+import React, { useState, useContext } from 'react';
+import {
+  Typography,
+  TextField,
+  Button,
+  CircularProgress,
+  Grid,
+  IconButton,
+  Alert,
+  Box,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Chip,
+} from '@mui/material';
+import { WalletContext } from '../../contexts/WalletContext';
+import { MichelsonMap } from '@taquito/taquito';
+import AddCircleIcon from '@mui/icons-material/AddCircle';
+import RemoveCircleIcon from '@mui/icons-material/RemoveCircle';
+import UndoIcon from '@mui/icons-material/Undo';
+import {
+  MAX_METADATA_SIZE,
+  stringToHex,
+  hexToString,
+} from '../../utils/tokenMetadata';
+import { explainTezosError } from '../../utils/tezosErrors';
+
+/* ─── constants ───────────────────────────────────── */
+const LARGE_BYTES = 2048; // values above this are shown read-only
+const PREVIEW_CHARS = 120;
+const CHANGE_COLOR = { added: 'success', removed: 'error', changed: 'warning' };
+
+/* ─── utility fns ─────────────────────────────────── */
+const preview = (hex) => {
+  if (hex == null) return '—';
+  if (hex.length / 2 > LARGE_BYTES) return `(${(hex.length / 2).toLocaleString()} bytes)`;
+  const s = hexToString(hex);
+  return s.length > PREVIEW_CHARS ? `${s.slice(0, PREVIEW_CHARS)}…` : s;
+};
+
+const rowHex = (r) => (r.large && !r.touched ? r.hex : stringToHex(r.value));
+
+/* on-chain entries vs editor rows → [{ key, kind, from, to }] */
+const diffRows = (original, rows) => {
+  const next = new Map(
+    rows.filter((r) => !r.removed && r.key.trim()).map((r) => [r.key.trim(), rowHex(r)]),
+  );
+  const out = [];
+  for (const [k, h] of original) {
+    if (!next.has(k)) out.push({ key: k, kind: 'removed', from: h, to: null });
+    else if (next.get(k) !== h) out.push({ key: k, kind: 'changed', from: h, to: next.get(k) });
+  }
+  for (const [k, h] of next) {
+    if (!original.has(k)) out.push({ key: k, kind: 'added', from: null, to: h });
+  }
+  return out;
+};
+
+/* ─── component ───────────────────────────────────── */
+const EditTokenMetadata = ({ contractAddress, tezos, setSnackbar }) => {
+  const { trackOperation, reviewOperation } = useContext(WalletContext);
+  const [tokenId, setTokenId] = useState('');
+  const [original, setOriginal] = useState(null); // Map key → hex
+  const [loadedId, setLoadedId] = useState(null);  // id `original` was read from
+  const [rows, setRows] = useState([]);
+  const [locked, setLocked] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [review, setReview] = useState(false);
+
+  const snack = (msg, severity = 'warning') =>
+    setSnackbar({ open: true, message: msg, severity });
+
+  const load = async (id = parseInt(tokenId, 10)) => {
+    if (!Number.isInteger(id) || id < 0) return snack('Token ID must be a non-negative integer');
+    setLoading(true);
+    try {
+      const contract = await tezos.wallet.at(contractAddress);
+      const st = await contract.storage();
+      const entry = await st.token_metadata.get(id);
+      if (!entry) {
+        snack(`Token ${id} not found`, 'error');
+        setOriginal(null);
+        setLoadedId(null);
+        setRows([]);
+        return;
+      }
+      const map = new Map(
+        [...entry.token_info.entries()].map(([k, v]) => [k, v.replace(/^0x/, '').toLowerCase()]),
+      );
+      setOriginal(map);
+      setLoadedId(id);
+      setLocked(!!st.frozen);
+      setRows([...map].map(([key, hex]) => {
+        const large = hex.length / 2 > LARGE_BYTES;
+        return { key, hex, large, value: large ? '' : hexToString(hex), touched: false, removed: false, isNew: false };
+      }));
+    } catch (err) {
+      snack(`Load failed: ${explainTezosError(err)}`, 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const update = (i, patch) =>
+    setRows((prev) => prev.map((r, idx) => (idx === i ? { ...r, ...patch } : r)));
+  const addRow = () =>
+    setRows((prev) => [...prev, { key: '', value: '', hex: '', large: false, touched: true, removed: false, isNew: true }]);
+
+  const changes = original ? diffRows(original, rows) : [];
+  const changeBytes = changes.reduce(
+    (t, c) => t + stringToHex(c.key).length / 2 + (c.to ? c.to.length / 2 : 0),
+    0,
+  );
+
+  const openReview = () => {
+    const keys = rows.filter((r) => !r.removed).map((r) => r.key.trim());
+    if (keys.some((k) => !k)) return snack('Every field needs a key');
+    if (new Set(keys).size !== keys.length) return snack('Duplicate keys');
+    if (!changes.length) return snack('Nothing changed', 'info');
+    if (changeBytes > MAX_METADATA_SIZE) return snack('Changes exceed the 32 KB operation limit', 'error');
+    setReview(true);
+  };
+
+  const send = async () => {
+    setReview(false);
+    setLoading(true);
+    try {
+      const patch = new MichelsonMap();
+      changes.forEach((c) => patch.set(c.key, c.to == null ? null : '0x' + c.to));
+      const contract = await tezos.wallet.at(contractAddress);
+      const call = contract.methods.edit_token_metadata(loadedId, patch);
+      if (!(await reviewOperation({
+        title: `Edit token ${loadedId} metadata`, contract, calls: [call], version: 'v4',
+      }))) return;
+      const op = await call.send();
+      trackOperation(op, { kind: 'edit_token_metadata', contract: contractAddress, label: `Edit token ${loadedId}` });
+      snack('Updating token metadata…', 'info');
+      await op.confirmation();
+      snack(`Token ${loadedId} metadata updated`, 'success');
+      await load(loadedId);
+    } catch (err) {
+      snack(`Edit failed: ${explainTezosError(err, 'v4')}`, 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div style={{ marginTop: 20 }}>
+      <Typography variant="h6">Edit Token Metadata</Typography>
+      <Typography variant="body2" gutterBottom>
+        Admin only. Only the keys you change are sent; a locked collection
+        refuses all edits.
+      </Typography>
+
+      <Grid container spacing={2} alignItems="center">
+        <Grid size={{ xs: 8, sm: 9 }}>
+          <TextField
+            label="Token ID *"
+            value={tokenId}
+            onChange={(e) => {
+              setTokenId(e.target.value.replace(/\D/g, ''));
+              setOriginal(null);
+              setLoadedId(null);
+              setRows([]);
+            }}
+            fullWidth
+            placeholder="e.g., 0"
+          />
+        </Grid>
+        <Grid size={{ xs: 4, sm: 3 }}>
+          <Button variant="outlined" fullWidth onClick={() => load()} disabled={loading}>
+            Load
+          </Button>
+        </Grid>
+      </Grid>
+
+      {locked && (
+        <Alert severity="error" sx={{ mt: 2 }}>
+          This collection is locked — token metadata can no longer be edited.
+        </Alert>
+      )}
+
+      {original && (
+        <Box sx={{ mt: 2 }}>
+          {rows.map((r, idx) => (
+            <Grid container spacing={1} key={idx} alignItems="center" sx={{ mt: 0.5, opacity: r.removed ? 0.45 : 1 }}>
+              <Grid size={4}>
+                <TextField
+                  label="Key"
+                  value={r.key}
+                  size="small"
+                  fullWidth
+                  disabled={!r.isNew || r.removed}
+                  onChange={(e) => update(idx, { key: e.target.value })}
+                />
+              </Grid>
+              <Grid size={7}>
+                {r.large && !r.touched ? (
+                  <Typography variant="body2" color="textSecondary">
+                    {(r.hex.length / 2).toLocaleString()} bytes — kept unchanged
+                  </Typography>
+                ) : (
+                  <TextField
+                    label="Value"
+                    value={r.value}
+                    size="small"
+                    fullWidth
+                    multiline
+                    maxRows={6}
+                    disabled={r.removed}
+                    onChange={(e) => update(idx, { value: e.target.value, touched: true })}
+                  />
+                )}
+              </Grid>
+              <Grid size={1} sx={{ textAlign: 'center' }}>
+                {r.removed ? (
+                  <IconButton aria-label="Restore field" onClick={() => update(idx, { removed: false })}>
+                    <UndoIcon />
+                  </IconButton>
+                ) : (
+                  <IconButton aria-label="Remove field" color="secondary"
+                    onClick={() => (r.isNew
+                      ? setRows((prev) => prev.filter((_, i) => i !== idx))
+                      : update(idx, { removed: true }))}>
+                    <RemoveCircleIcon />
+                  </IconButton>
+                )}
+              </Grid>
+            </Grid>
+          ))}
+          <Button startIcon={<AddCircleIcon />} onClick={addRow} sx={{ mt: 1 }}>
+            Add field
+          </Button>
+
+          <Box sx={{ mt: 2, textAlign: 'right' }}>
+            <Typography variant="caption" color="textSecondary" sx={{ mr: 2 }}>
+              {changes.length} change{changes.length === 1 ? '' : 's'}
+            </Typography>
+            <Button
+              variant="contained"
+              color="warning"
+              onClick={openReview}
+              disabled={loading || locked || !changes.length}
+              startIcon={loading ? <CircularProgress size={20} /> : null}
+            >
+              Review Changes
+            </Button>
+          </Box>
+        </Box>
+      )}
+
+      <Dialog open={review} onClose={() => setReview(false)} fullWidth maxWidth="md">
+        <DialogTitle>Review token {loadedId} changes</DialogTitle>
+        <DialogContent dividers>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Key</TableCell>
+                <TableCell>Change</TableCell>
+                <TableCell>On-chain</TableCell>
+                <TableCell>Proposed</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {changes.map((c) => (
+                <TableRow key={c.key}>
+                  <TableCell sx={{ fontFamily: 'monospace' }}>{c.key}</TableCell>
+                  <TableCell>
+                    <Chip size="small" label={c.kind} color={CHANGE_COLOR[c.kind]} />
+                  </TableCell>
+                  <TableCell sx={{ wordBreak: 'break-word', textDecoration: c.to == null ? 'line-through' : 'none' }}>
+                    {preview(c.from)}
+                  </TableCell>
+                  <TableCell sx={{ wordBreak: 'break-word' }}>{preview(c.to)}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setReview(false)} color="secondary">Cancel</Button>
+          <Button onClick={send} variant="contained" color="warning">Sign &amp; Update</Button>
+        </DialogActions>
+      </Dialog>
+    </div>
+  );
+};
+
+export default EditTokenMetadata;
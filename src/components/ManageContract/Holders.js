@@ -0,0 +1,233 @@
+/*Developed by @jams2blues with love for the Tezos community
+  File: src/components/ManageContract/Holders.js
+  Summary: Who holds what — pages through the indexed ledger (TzKT token
+           balances) for one token or the whole collection, drops the
+           burn addresses and shows balance + share of live supply per
+           address. Exports the table as CSV or JSON.
+*/
+
+import React, { useState, useContext } from 'react';
+import {
+  Box,
+  Typography,
+  TextField,
+  Button,
+  CircularProgress,
+  Alert,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TablePagination,
+  ToggleButtonGroup,
+  ToggleButton,
+  Stack,
+  LinearProgress,
+} from '@mui/material';
+import { WalletContext } from '../../contexts/WalletContext';
+import { getTokenBalances, withFallback } from '../../utils/indexer';
+import { BURN_ADDRS } from '../../utils/chainReader';
+import { toCSV, downloadText } from '../../utils/csv';
+
+/* ─── constants ───────────────────────────────────── */
+const PAGE = 1000;          // TzKT rows per request
+const MAX_ROWS = 100_000;   // stop paging past this (huge open editions)
+const ROWS_PER_PAGE = 25;
+
+const pct = (n, total) => (total ? `${+((n / total) * 100).toFixed(2)}%` : '—');
+
+/* ─── loader ──────────────────────────────────────── */
+/**
+ * Every positive balance on `addr` (optionally one token), paged by id.
+ * The RPC can't list ledger keys, so there is no indexer-free twin.
+ * onPage(n) reports rows fetched so far.
+ */
+const loadBalances = (network, addr, tokenId, onPage) => withFallback(
+  async (opts) => {
+    const out = [];
+    for (let offset = 0; offset < MAX_ROWS; offset += PAGE) {
+      const page = await getTokenBalances(network, {
+        'token.contract': addr,
+        'token.tokenId': tokenId,
+        'balance.gt': 0,
+        'sort.asc': 'id',
+        offset,
+        limit: PAGE,
+      }, opts);
+      out.push(...page);
+      onPage(out.length);
+      if (page.length < PAGE) break;
+    }
+    return out;
+  },
+  () => { throw new Error('Listing holders needs the TzKT indexer, which is unreachable right now.'); },
+);
+
+/* balances → [{ address, balance, tokens, share }], largest first */
+const summarise = (balances) => {
+  const by = new Map();
+  balances.forEach((b) => {
+    const address = b.account?.address;
+    if (!address || BURN_ADDRS.includes(address)) return;
+    const row = by.get(address) || { address, balance: 0, tokens: new Set() };
+    row.balance += Number(b.balance);
+    row.tokens.add(Number(b.token?.tokenId));
+    by.set(address, row);
+  });
+  const rows = [...by.values()];
+  const supply = rows.reduce((t, r) => t + r.balance, 0);
+  return {
+    supply,
+    rows: rows
+      .map((r) => ({
+        address: r.address,
+        balance: r.balance,
+        tokens: r.tokens.size,
+        share: pct(r.balance, supply),
+      }))
+      .sort((a, b) => b.balance - a.balance || a.address.localeCompare(b.address)),
+  };
+};
+
+/* ─── component ─────────────────────────────────── */
+const Holders = ({ contractAddress, setSnackbar }) => {
+  const { network } = useContext(WalletContext);
+  const [scope, setScope] = useState('collection');
+  const [tokenId, setTokenId] = useState('');
+  const [report, setReport] = useState(null);   // { scope, tokenId, supply, rows }
+  const [loading, setLoading] = useState(false);
+  const [fetched, setFetched] = useState(0);
+  const [error, setError] = useState('');
+  const [page, setPage] = useState(0);
+
+  const snack = (m, sev = 'warning') =>
+    setSnackbar({ open: true, message: m, severity: sev });
+
+  const load = async () => {
+    if (scope === 'token' && !/^\d+$/.test(tokenId)) return snack('Enter a token ID');
+    setLoading(true);
+    setError('');
+    setFetched(0);
+    try {
+      const id = scope === 'token' ? Number(tokenId) : undefined;
+      const balances = await loadBalances(network, contractAddress, id, setFetched);
+      setReport({ scope, tokenId: id, ...summarise(balances) });
+      setPage(0);
+    } catch (e) {
+      setReport(null);
+      setError(e.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fileBase = () => `holders-${contractAddress}${report?.tokenId !== undefined ? `-${report.tokenId}` : ''}`;
+  const columns = report?.scope === 'token'
+    ? ['address', 'balance', 'share']
+    : ['address', 'balance', 'tokens', 'share'];
+
+  const exportCSV = () => downloadText(`${fileBase()}.csv`, toCSV(report.rows, columns), 'text/csv');
+  const exportJSON = () => downloadText(`${fileBase()}.json`, JSON.stringify({
+    contract: contractAddress,
+    network,
+    tokenId: report.tokenId ?? null,
+    supply: report.supply,
+    holders: report.rows,
+  }, null, 2), 'application/json');
+
+  return (
+    <Box sx={{ mt: 4 }}>
+      <Typography variant="h6">Holders</Typography>
+      <Typography variant="body2" gutterBottom>
+        Every address holding this collection (or one token), with balance
+        and share of the live supply. Burn addresses are left out.
+      </Typography>
+
+      <Stack direction="row" spacing={2} alignItems="center" sx={{ my: 2, flexWrap: 'wrap', rowGap: 1 }}>
+        <ToggleButtonGroup exclusive size="small" value={scope} onChange={(_, v) => v && setScope(v)}>
+          <ToggleButton value="collection">Whole collection</ToggleButton>
+          <ToggleButton value="token">One token</ToggleButton>
+        </ToggleButtonGroup>
+        {scope === 'token' && (
+          <TextField
+            size="small"
+            label="Token ID"
+            value={tokenId}
+            onChange={(e) => setTokenId(e.target.value.replace(/\D/g, ''))}
+            inputProps={{ inputMode: 'numeric' }}
+            sx={{ width: 120 }}
+          />
+        )}
+        <Button
+          variant="contained"
+          color="info"
+          onClick={load}
+          disabled={loading}
+          startIcon={loading ? <CircularProgress size={20} /> : null}
+        >
+          {loading ? 'Loading…' : 'Load Holders'}
+        </Button>
+      </Stack>
+
+      {loading && (
+        <>
+          <LinearProgress sx={{ mb: 1 }} />
+          <Typography variant="caption">{fetched.toLocaleString()} balances read…</Typography>
+        </>
+      )}
+      {error && <Alert severity="warning">{error}</Alert>}
+
+      {report && !loading && (
+        <>
+          <Stack direction="row" spacing={1} alignItems="center" sx={{ mb: 1, flexWrap: 'wrap' }}>
+            <Typography variant="subtitle2" sx={{ flexGrow: 1 }}>
+              {report.rows.length.toLocaleString()} holder{report.rows.length === 1 ? '' : 's'} ·{' '}
+              {report.supply.toLocaleString()} edition{report.supply === 1 ? '' : 's'} held
+              {report.tokenId !== undefined ? ` of token ${report.tokenId}` : ''}
+            </Typography>
+            <Button size="small" onClick={exportCSV} disabled={!report.rows.length}>Export CSV</Button>
+            <Button size="small" onClick={exportJSON} disabled={!report.rows.length}>Export JSON</Button>
+          </Stack>
+
+          {report.rows.length > 0 && (
+            <>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>#</TableCell>
+                    <TableCell>Address</TableCell>
+                    <TableCell align="right">Balance</TableCell>
+                    {report.scope === 'collection' && <TableCell align="right">Tokens</TableCell>}
+                    <TableCell align="right">Share</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {report.rows.slice(page * ROWS_PER_PAGE, (page + 1) * ROWS_PER_PAGE).map((r, i) => (
+                    <TableRow key={r.address}>
+                      <TableCell>{page * ROWS_PER_PAGE + i + 1}</TableCell>
+                      <TableCell sx={{ fontFamily: 'monospace', wordBreak: 'break-all' }}>{r.address}</TableCell>
+                      <TableCell align="right">{r.balance.toLocaleString()}</TableCell>
+                      {report.scope === 'collection' && <TableCell align="right">{r.tokens}</TableCell>}
+                      <TableCell align="right">{r.share}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+              <TablePagination
+                component="div"
+                count={report.rows.length}
+                page={page}
+                onPageChange={(_, p) => setPage(p)}
+                rowsPerPage={ROWS_PER_PAGE}
+                rowsPerPageOptions={[ROWS_PER_PAGE]}
+              />
+            </>
+          )}
+        </>
+      )}
+    </Box>
+  );
+};
+
+export default Holders;
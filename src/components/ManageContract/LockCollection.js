@@ -0,0 +1,152 @@
+/*Developed by @jams2blues with love for the Tezos community
+  File: src/components/ManageContract/LockCollection.js
+  Summary: Permanent collection freeze for templates exposing a `lock`
+           entrypoint (V4+) — sets the storage `frozen` flag, after which
+           mint, append_artifact_uri, edit_token_metadata and the
+           parent/child and collaborator entrypoints all refuse.
+           (`lock` in storage is the reentrancy guard, not the freeze.)
+           Requires typing the collection name to confirm.
+*/
+
+import React, { useState, useEffect, useContext } from 'react';
+import {
+  Typography,
+  Button,
+  CircularProgress,
+  Alert,
+  Box,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  TextField,
+} from '@mui/material';
+import LockIcon from '@mui/icons-material/Lock';
+import { UnitValue } from '@taquito/taquito';
+import { explainTezosError } from '../../utils/tezosErrors';
+import { WalletContext } from '../../contexts/WalletContext';
+
+const LockCollection = ({ contractAddress, collectionName, tezos, setSnackbar, onLocked }) => {
+  const { trackOperation, reviewOperation } = useContext(WalletContext);
+  const [locked, setLocked] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [confirm, setConfirm] = useState(false);
+  const [typed, setTyped] = useState('');
+
+  /* unnamed collections confirm with their KT1 instead */
+  const phrase = (collectionName || '').trim() || contractAddress;
+  const matches = typed.trim() === phrase;
+
+  const snack = (msg, severity = 'warning') =>
+    setSnackbar({ open: true, message: msg, severity });
+
+  const refresh = async () => {
+    try {
+      const contract = await tezos.wallet.at(contractAddress);
+      setLocked(!!(await contract.storage()).frozen);
+    } catch (err) {
+      snack(`Could not read lock state: ${explainTezosError(err)}`, 'error');
+    }
+  };
+
+  useEffect(() => { refresh(); }, [contractAddress]);
+
+  const openConfirm = () => {
+    setTyped('');
+    setConfirm(true);
+  };
+
+  const lock = async () => {
+    if (!matches) return;
+    setConfirm(false);
+    setLoading(true);
+    try {
+      const contract = await tezos.wallet.at(contractAddress);
+      const call = contract.methods.lock(UnitValue);
+      const ok = await reviewOperation({
+        title: 'Lock collection',
+        contract,
+        calls: [call],
+        version: 'v4',
+        notes: ['Locking is permanent — metadata can never be edited again.'],
+      });
+      if (!ok) return;
+      const op = await call.send();
+      trackOperation(op, { kind: 'lock', contract: contractAddress, label: 'Lock collection' });
+      snack('Locking collection…', 'info');
+      await op.confirmation();
+      snack('Collection locked permanently', 'success');
+      await refresh();
+      onLocked?.();
+    } catch (err) {
+      snack(`Lock failed: ${explainTezosError(err, 'v4')}`, 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div style={{ marginTop: 20 }}>
+      <Typography variant="h6">Lock Collection</Typography>
+      {locked === null ? (
+        <CircularProgress size={24} sx={{ mt: 1 }} />
+      ) : locked ? (
+        <Alert severity="info" icon={<LockIcon />} sx={{ mt: 1 }}>
+          This collection is locked. Minting, artifact appends and metadata
+          edits are permanently disabled.
+        </Alert>
+      ) : (
+        <>
+          <Alert severity="warning" sx={{ mt: 1 }}>
+            Locking is <strong>irreversible</strong>. Once locked, no new
+            tokens can be minted and existing token metadata can never be
+            edited or appended to; parent/child links and collaborators are
+            frozen as they are. Holders can still transfer and burn their
+            tokens and manage operators.
+          </Alert>
+          <Box sx={{ mt: 2, textAlign: 'right' }}>
+            <Button
+              variant="contained"
+              color="error"
+              startIcon={loading ? <CircularProgress size={20} /> : <LockIcon />}
+              disabled={loading}
+              onClick={openConfirm}
+            >
+              {loading ? 'Locking…' : 'Lock Collection'}
+            </Button>
+          </Box>
+        </>
+      )}
+
+      <Dialog open={confirm} onClose={() => setConfirm(false)}>
+        <DialogTitle>Lock {contractAddress}?</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            This cannot be undone. Mint, append_artifact_uri,
+            edit_token_metadata and parent/child and collaborator changes
+            will fail forever after this operation.
+            Type <strong>{phrase}</strong> to confirm.
+          </DialogContentText>
+          <TextField
+            autoFocus
+            fullWidth
+            size="small"
+            sx={{ mt: 2 }}
+            value={typed}
+            onChange={(e) => setTyped(e.target.value)}
+            placeholder={phrase}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setConfirm(false)} color="secondary">Cancel</Button>
+          <Button onClick={lock} color="error" variant="contained" disabled={!matches}>
+            Lock Forever
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </div>
+  );
+};
+
+export default LockCollection;
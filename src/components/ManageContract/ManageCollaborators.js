@@ -3,7 +3,7 @@
    Summary: Provides a popup that fetches current collaborator addresses from the contract storage
    and lets the user remove them individually via a single click.
 */
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useContext } from 'react';
 import {
   Dialog,
   DialogTitle,
@@ -19,8 +19,10 @@ import {
   Tooltip
 } from '@mui/material';
 import DeleteIcon from '@mui/icons-material/Delete';
+import { WalletContext } from '../../contexts/WalletContext';
 
-const ManageCollaborators = ({ contractAddress, tezos, setSnackbar }) => {
+const ManageCollaborators = ({ contractAddress, tezos, setSnackbar, locked = false }) => {
+  const { trackOperation, reviewOperation } = useContext(WalletContext);
   const [collaborators, setCollaborators] = useState([]);
   const [loading, setLoading] = useState(false);
   const [removing, setRemoving] = useState({});
@@ -54,7 +56,10 @@ const ManageCollaborators = ({ contractAddress, tezos, setSnackbar }) => {
     setRemoving((prev) => ({ ...prev, [addr]: true }));
     try {
       const contract = await tezos.wallet.at(contractAddress);
-      const op = await contract.methods.remove_collaborator(addr).send();
+      const call = contract.methods.remove_collaborator(addr);
+      if (!(await reviewOperation({ title: 'Remove collaborator', contract, calls: [call] }))) return;
+      const op = await call.send();
+      trackOperation(op, { kind: 'remove_collaborator', contract: contractAddress, label: 'Remove collaborator' });
       await op.confirmation();
       setSnackbar({ open: true, message: `Removed collaborator: ${addr}`, severity: 'success' });
       // Refresh the list
@@ -84,10 +89,12 @@ const ManageCollaborators = ({ contractAddress, tezos, setSnackbar }) => {
                 <ListItem key={addr}>
                   <ListItemText primary={addr} />
                   <ListItemSecondaryAction>
-                    <Tooltip title="Remove collaborator">
-                      <IconButton edge="end" onClick={() => handleRemove(addr)} disabled={removing[addr]}>
-                        {removing[addr] ? <CircularProgress size={20} /> : <DeleteIcon />}
-                      </IconButton>
+                    <Tooltip title={locked ? 'Collection is locked' : 'Remove collaborator'}>
+                      <span>
+                        <IconButton edge="end" onClick={() => handleRemove(addr)} disabled={locked || removing[addr]}>
+                          {removing[addr] ? <CircularProgress size={20} /> : <DeleteIcon />}
+                        </IconButton>
+                      </span>
                     </Tooltip>
                   </ListItemSecondaryAction>
                 </ListItem>
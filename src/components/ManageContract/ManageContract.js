@@ -2,6 +2,7 @@
   File: src/components/ManageContract/ManageContract.js
   Summary: Contract dashboard — unified snackbar keys (message + severity)
            so all child components and local helpers share one format.
+           Deep links: routeContract (?contract=KT1…) in, onContractChange out.
 */
 
 /* ─── imports ───────────────────────────────────────────────────── */
@@ -10,6 +11,7 @@ import React, {
   useContext,
   useEffect,
   useCallback,
+  useRef,
 } from 'react';
 import styled                         from '@emotion/styled';
 import {
@@ -24,19 +26,38 @@ import {
   Box,
   Stack,
   Divider,
+  Chip,
+  Tooltip,
 } from '@mui/material';
+import LockIcon                      from '@mui/icons-material/Lock';
+import LockOpenIcon                  from '@mui/icons-material/LockOpen';
 import { Buffer }                    from 'buffer';
 import { WalletContext }             from '../../contexts/WalletContext';
-import ContractCarousels, { HASHES } from './ContractCarousels';
+import ContractCarousels              from './ContractCarousels';
+import {
+  resolveVersion,
+  getContract,
+  getContractMetadata,
+  getStorage,
+  getEntrypoints,
+  withFallback,
+} from '../../utils/indexer';
+import { readContractSummary }   from '../../utils/chainReader';
+import DataSourceBadge           from '../DataSourceBadge';
+import TokenHistory              from '../TokenHistory';
 import Mint                  from './Mint';
+import BatchMint             from './BatchMint';
 import Burn                  from './Burn';
 import Transfer              from './Transfer';
 import BalanceOf             from './BalanceOf';
+import Holders               from './Holders';
 import UpdateOperators       from './UpdateOperators';
 import AddRemoveParentChild  from './AddRemoveParentChild';
 import AddRemoveCollaborator from './AddRemoveCollaborator';
 import ManageParentChild     from './ManageParentChild';
 import ManageCollaborators   from './ManageCollaborators';
+import EditTokenMetadata     from './EditTokenMetadata';
+import LockCollection        from './LockCollection';
 
 /* ─── utility hook: inject <model-viewer> once on client ─────────── */
 const useModelViewer = () => {
@@ -72,33 +93,24 @@ const Disclaimer = styled('div')(({ theme }) => ({
 }));
 
 /* ─── helpers ───────────────────────────────────────────────────── */
-const TZKT_BASE = {
-  ghostnet: 'https://api.ghostnet.tzkt.io/v1',
-  mainnet : 'https://api.tzkt.io/v1',
-};
-const hex2str = (h) => Buffer.from(h.replace(/^0x/, ''), 'hex').toString('utf8');
-const parseHexJSON = (hex) => {
-  try { return JSON.parse(hex2str(hex)); } catch { return {}; }
-};
+const KT1_RE = /^KT1[0-9A-Za-z]{33}$/;
 const isModelUri = (u = '') =>
   u.startsWith('data:model') || /\.(glb|gltf)(\?|$)/i.test(u);
 
-const fetchJSON = async (url) => {
-  const r = await fetch(url);
-  if (!r.ok) throw new Error(`HTTP ${r.status}`);
-  return r.json();
-};
+/* TzKT first; RPC-only summary when the indexer is unreachable */
+const fetchMetadata = (addr, network, tezos) => withFallback(
+  (opts) => fetchIndexedMetadata(addr, network, tezos, opts),
+  async () => {
+    const sum = await readContractSummary(tezos, addr);
+    if (!sum.version) throw new Error('Not a recognised Zero contract');
+    return { meta: sum.meta, version: sum.version.toUpperCase() };
+  },
+);
 
-async function fetchMetadata(addr, network, tezos) {
-  const base = TZKT_BASE[network];
-  const det  = await fetchJSON(`${base}/contracts/${addr}`);
-  let meta   = det.metadata || {};
-  if (!meta.name || !meta.imageUri || !meta.description) {
-    const bm = await fetchJSON(
-      `${base}/contracts/${addr}/bigmaps/metadata/keys/content`,
-    ).catch(() => null);
-    if (bm?.value) meta = { ...parseHexJSON(bm.value), ...meta };
-  }
+async function fetchIndexedMetadata(addr, network, tezos, opts) {
+  const det = await getContract(network, addr, opts);
+  if (!det) throw new Error('Contract not found');
+  let meta  = await getContractMetadata(network, addr, det, opts);
   if (!meta.name && tezos) {
     try {
       const c  = await tezos.contract.at(addr);
@@ -115,16 +127,16 @@ async function fetchMetadata(addr, network, tezos) {
       ), ...meta };
     } catch {/* ignore */}
   }
-  const version =
-    Object.entries(HASHES[network]).find(([, h]) => h === det.typeHash)?.[0] ||
-    'v?';
-  return { meta, version: version.toUpperCase() };
+  const version = await resolveVersion(network, det.typeHash, addr, opts).catch(() => null);
+  return { meta, version: (version || 'v?').toUpperCase() };
 }
 
 /* fetch counts for parents, children, collaborators */
-const getCounts = async (addr, network) => {
-  const base = TZKT_BASE[network];
-  const storage = await fetchJSON(`${base}/contracts/${addr}/storage`).catch(()=>null);
+const getCounts = async (addr, network, tezos) => {
+  const storage = await withFallback(
+    (opts) => getStorage(network, addr, opts),
+    () => readContractSummary(tezos, addr),
+  ).catch(()=>null);
   let parents=0, children=0, collabs=0;
   if (storage) {
     if (Array.isArray(storage.parents))   parents   = storage.parents.length;
@@ -137,6 +149,36 @@ const getCounts = async (addr, network) => {
   return { parents, children, collabs };
 };
 
+/* V4 storage `frozen` flag (set by `lock`). Templates without it (V3's
+   `lock` is a reentrancy guard, not a freeze) report known:false. */
+const NO_LOCK = { locked:false, lockable:false, known:false };
+const getLockState = (addr, network, tezos) => withFallback(
+  async (opts) => {
+    const [storage, eps] = await Promise.all([
+      getStorage(network, addr, opts),
+      getEntrypoints(network, addr, opts),
+    ]);
+    const known = typeof storage?.frozen === 'boolean';
+    return {
+      locked  : known && storage.frozen,
+      lockable: known && eps.some((e) => e.name === 'lock'),
+      known,
+    };
+  },
+  async () => {
+    const sum   = await readContractSummary(tezos, addr);
+    const known = typeof sum.frozen === 'boolean';
+    return { locked: known && sum.frozen, lockable: known && sum.lockable, known };
+  },
+);
+
+/* disabled buttons swallow hover — wrap so the tooltip still shows */
+const LockGate = ({ locked, children }) => (locked ? (
+  <Tooltip title="Collection is locked">
+    <span>{children}</span>
+  </Tooltip>
+) : children);
+
 /* ─── Parent-/-Child hub (single pop-out) ──────────────────────── */
 const ParentChildHub = ({ contractAddress, tezos, setSnackbar }) => {
   const [subAction, setSubAction] = useState('');
@@ -163,7 +205,7 @@ const ParentChildHub = ({ contractAddress, tezos, setSnackbar }) => {
 };
 
 /* ─── main component ────────────────────────────────────────────── */
-const ManageContract = () => {
+const ManageContract = ({ routeContract, onContractChange }) => {
   useModelViewer();
   const { tezos, network } = useContext(WalletContext);
 
@@ -174,6 +216,9 @@ const ManageContract = () => {
   const [loading,          setLoading]          = useState(false);
   const [action,           setAction]           = useState('');
   const [counts,           setCounts]           = useState({ parents:0, children:0, collabs:0 });
+  const [lockState,        setLockState]        = useState(NO_LOCK);
+  const locked = lockState.locked;
+  const synced = useRef(null); // last contract read from / written to the URL
 
   /* snackbar (shared by local helpers & children) */
   const [snackState, setSnackState] = useState({
@@ -201,9 +246,16 @@ const ManageContract = () => {
   /* counts refresh */
   const updateCounts = useCallback(async (addr) => {
     if (!addr) return setCounts({ parents:0, children:0, collabs:0 });
-    try { setCounts(await getCounts(addr, network)); }
+    try { setCounts(await getCounts(addr, network, tezos)); }
     catch { setCounts({ parents:0, children:0, collabs:0 }); }
-  }, [network]);
+  }, [network, tezos]);
+
+  /* lock flag refresh */
+  const updateLock = useCallback(async (addr) => {
+    if (!addr) return setLockState(NO_LOCK);
+    try { setLockState(await getLockState(addr, network, tezos)); }
+    catch { setLockState(NO_LOCK); }
+  }, [network, tezos]);
 
   /* carousel select */
   const handleSelect = ({ address, meta, version }) => {
@@ -213,32 +265,51 @@ const ManageContract = () => {
     setAction('');
     showSnack('Contract loaded','success');
     updateCounts(address);
+    updateLock(address);
+    synced.current = address;
+    onContractChange?.(address);
   };
 
   /* manual loader */
-  const loadManual = async () => {
-    if (!contractAddress) return showSnack('Enter a contract address','warning');
+  const loadManual = async (addr = contractAddress) => {
+    if (!addr) return showSnack('Enter a contract address','warning');
     setLoading(true);
     try {
-      const { meta, version } = await fetchMetadata(contractAddress, network, tezos);
+      const { meta, version } = await fetchMetadata(addr, network, tezos);
       setContractMetadata(meta);
       setContractVersion(version);
       setAction('');
       showSnack('Metadata loaded','success');
-      updateCounts(contractAddress);
+      updateCounts(addr);
+      updateLock(addr);
+      synced.current = addr;
+      onContractChange?.(addr);
     } catch (e) {
       setContractMetadata(null);
       setContractVersion('');
+      setLockState(NO_LOCK);
       showSnack(e.message||'Load failed','error');
     } finally { setLoading(false); }
   };
 
+  /* ?contract= deep link — load once per distinct route value */
+  useEffect(() => {
+    if (!routeContract || routeContract === synced.current) return;
+    synced.current = routeContract;
+    if (!KT1_RE.test(routeContract)) return showSnack('Invalid contract in link','warning');
+    setContractAddress(routeContract);
+    loadManual(routeContract);
+  }, [routeContract]);
+
   /* ─── render ─────────────────────────────────────────── */
   return (
     <StyledPaper elevation={3}>
-      <Typography variant="h5" gutterBottom>
-        Manage Your Zero Contracts
-      </Typography>
+      <Stack direction="row" alignItems="center" justifyContent="space-between" flexWrap="wrap" gap={1} sx={{ mb:1 }}>
+        <Typography variant="h5">
+          Manage Your Zero Contracts
+        </Typography>
+        <DataSourceBadge />
+      </Stack>
       <Disclaimer>
         <Typography variant="body2">
           <strong>Disclaimer:</strong> Use at your own risk. You are on {network}.
@@ -262,7 +333,7 @@ const ManageContract = () => {
         <Grid size={12}>
           <Button
             variant="contained"
-            onClick={loadManual}
+            onClick={() => loadManual()}
             disabled={loading}
             startIcon={loading? <CircularProgress size={20}/> : null}
             fullWidth
@@ -285,6 +356,26 @@ const ManageContract = () => {
                     ({contractVersion})
                   </Typography>
                 )}
+                {lockState.known ? (
+                  <Chip
+                    size="small"
+                    sx={{ ml:1, verticalAlign:'middle' }}
+                    icon={locked ? <LockIcon/> : <LockOpenIcon/>}
+                    label={locked ? 'Locked' : 'Unlocked'}
+                    color={locked ? 'error' : 'default'}
+                    variant={locked ? 'filled' : 'outlined'}
+                  />
+                ) : contractVersion && (
+                  <Tooltip title="This template has no collection lock — it can never be frozen">
+                    <Chip
+                      size="small"
+                      sx={{ ml:1, verticalAlign:'middle' }}
+                      icon={<LockOpenIcon/>}
+                      label="Not lockable"
+                      variant="outlined"
+                    />
+                  </Tooltip>
+                )}
               </Typography>
               {contractMetadata.imageUri && (() =>{
                 const uri = contractMetadata.imageUri;
@@ -311,17 +402,40 @@ const ManageContract = () => {
             </Grid>
           </Grid>
 
+          {locked && (
+            <Alert severity="info" icon={<LockIcon/>} sx={{ mt:3 }}>
+              This collection is locked. Minting, artifact appends, metadata
+              edits, parent/child links and collaborator changes are
+              disabled; transfers, burns and operators still work.
+            </Alert>
+          )}
+
           {/* primary actions row */}
           <Stack direction="row" spacing={1.5} flexWrap="wrap" justifyContent="center" sx={{ mt:4 }}>
-            <Button variant="contained" color="success" onClick={()=>setAction('mint')}>Mint</Button>
+            <LockGate locked={locked}>
+              <Button variant="contained" color="success" disabled={locked} onClick={()=>setAction('mint')}>Mint</Button>
+            </LockGate>
+            <LockGate locked={locked}>
+              <Button variant="outlined"  color="success" disabled={locked} onClick={()=>setAction('batch_mint')}>Batch Mint</Button>
+            </LockGate>
             <Button variant="contained" color="error"   onClick={()=>setAction('burn')}>Burn</Button>
             <Button variant="contained" color="warning" onClick={()=>setAction('transfer')}>Transfer</Button>
             <Button variant="contained" color="info"    onClick={()=>setAction('balance_of')}>Balance Of</Button>
+            <Button variant="outlined"  color="info"    onClick={()=>setAction('holders')}>Holders</Button>
+            <Button variant="outlined"                  onClick={()=>setAction('history')}>Token History</Button>
             <Button variant="contained"                 onClick={()=>setAction('update_operators')}>Update Operators</Button>
+            {contractVersion === 'V4' && (
+              <LockGate locked={locked}>
+                <Button variant="outlined" color="warning" disabled={locked} onClick={()=>setAction('edit_token')}>Edit Token</Button>
+              </LockGate>
+            )}
+            {lockState.lockable && !locked && (
+              <Button variant="outlined" color="error" onClick={()=>setAction('lock_collection')}>Lock Collection</Button>
+            )}
           </Stack>
 
           {/* secondary actions (fixed) */}
-          {(contractVersion.startsWith('V2') || contractVersion === 'V3') && (
+          {(contractVersion.startsWith('V2') || ['V3', 'V4'].includes(contractVersion)) && (
             <>
               <Divider textAlign="left" sx={{ mt:4, mb:2, color:'text.secondary', fontSize:14 }}>
                 Relationships & Permissions
@@ -329,11 +443,14 @@ const ManageContract = () => {
 
               {/* management buttons */}
               <Stack direction="row" spacing={2} flexWrap="wrap" justifyContent="center">
-                <Button variant="outlined" onClick={()=>setAction('parent_child')}>ADD / REMOVE PARENT/CHILD</Button>
+                <LockGate locked={locked}>
+                  <Button variant="outlined" disabled={locked} onClick={()=>setAction('parent_child')}>ADD / REMOVE PARENT/CHILD</Button>
+                </LockGate>
                 <ManageParentChild
                   contractAddress={contractAddress}
                   tezos={tezos}
                   setSnackbar={showSnack}
+                  locked={locked}
                 />
               </Stack>
               <Box sx={{ textAlign:'center', mt:0.5 }}>
@@ -342,16 +459,19 @@ const ManageContract = () => {
                 </Typography>
               </Box>
 
-              {contractVersion === 'V3' && (
+              {['V3', 'V4'].includes(contractVersion) && (
                 <>
                   <Stack direction="row" spacing={2} flexWrap="wrap" justifyContent="center" sx={{ mt:2 }}>
-                    <Button variant="outlined" color="secondary" onClick={()=>setAction('collaborators')}>
-                      ADD / REMOVE COLLABORATORS
-                    </Button>
+                    <LockGate locked={locked}>
+                      <Button variant="outlined" color="secondary" disabled={locked} onClick={()=>setAction('collaborators')}>
+                        ADD / REMOVE COLLABORATORS
+                      </Button>
+                    </LockGate>
                     <ManageCollaborators
                       contractAddress={contractAddress}
                       tezos={tezos}
                       setSnackbar={showSnack}
+                      locked={locked}
                     />
                   </Stack>
                   <Box sx={{ textAlign:'center', mt:0.5 }}>
@@ -370,9 +490,15 @@ const ManageContract = () => {
               contractVersion={contractVersion.toLowerCase()}
               tezos={tezos} setSnackbar={showSnack}/>
           )}
+          {action==='batch_mint' && (
+            <BatchMint key="batch_mint" contractAddress={contractAddress}
+              contractVersion={contractVersion.toLowerCase()}
+              tezos={tezos} setSnackbar={showSnack}/>
+          )}
           {action==='burn' && (
             <Burn key="burn" contractAddress={contractAddress}
               contractVersion={contractVersion.toLowerCase()}
+              collectionName={contractMetadata.name}
               tezos={tezos} setSnackbar={showSnack}/>
           )}
           {action==='transfer' && (
@@ -382,12 +508,32 @@ const ManageContract = () => {
           )}
           {action==='balance_of' && (
             <BalanceOf key="balance" contractAddress={contractAddress}
+              contractVersion={contractVersion.toLowerCase()}
               tezos={tezos} setSnackbar={showSnack}/>
           )}
+          {action==='holders' && (
+            <Holders key="holders" contractAddress={contractAddress}
+              setSnackbar={showSnack}/>
+          )}
+          {action==='history' && (
+            <TokenHistory key="history" contractAddress={contractAddress}/>
+          )}
           {action==='update_operators' && (
             <UpdateOperators key="update_ops" contractAddress={contractAddress}
+              contractVersion={contractVersion.toLowerCase()}
+              tezos={tezos} setSnackbar={showSnack}/>
+          )}
+
+          {action==='edit_token' && (
+            <EditTokenMetadata key="edit_token" contractAddress={contractAddress}
               tezos={tezos} setSnackbar={showSnack}/>
           )}
+          {action==='lock_collection' && (
+            <LockCollection key="lock" contractAddress={contractAddress}
+              collectionName={contractMetadata.name}
+              tezos={tezos} setSnackbar={showSnack}
+              onLocked={()=>{ setAction(''); updateLock(contractAddress); }}/>
+          )}
 
           {action==='parent_child' && (
             <ParentChildHub
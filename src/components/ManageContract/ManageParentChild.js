@@ -2,7 +2,7 @@
   File: src/components/ManageContract/ManageParentChild.js
   Summary: List and remove parent/child relationships from contract storage
 */
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useContext } from 'react';
 import {
   Dialog,
   DialogTitle,
@@ -21,8 +21,10 @@ import {
   Tooltip,
 } from '@mui/material';
 import DeleteIcon from '@mui/icons-material/Delete';
+import { WalletContext } from '../../contexts/WalletContext';
 
-const ManageParentChild = ({ contractAddress, tezos, setSnackbar }) => {
+const ManageParentChild = ({ contractAddress, tezos, setSnackbar, locked = false }) => {
+  const { trackOperation, reviewOperation } = useContext(WalletContext);
   const [open, setOpen] = useState(false);
   const [loading, setLoading] = useState(false);
   const [removing, setRemoving] = useState({});
@@ -53,7 +55,10 @@ const ManageParentChild = ({ contractAddress, tezos, setSnackbar }) => {
     try {
       const contract = await tezos.wallet.at(contractAddress);
       const method = type === 'parent' ? 'remove_parent' : 'remove_child';
-      const op = await contract.methods[method](addr).send();
+      const call = contract.methods[method](addr);
+      if (!(await reviewOperation({ title: `Remove ${type}`, contract, calls: [call] }))) return;
+      const op = await call.send();
+      trackOperation(op, { kind: method, contract: contractAddress, label: `Remove ${type}` });
       await op.confirmation();
       setSnackbar({ open: true, message: `${type} removed: ${addr}`, severity: 'success' });
       fetchData();
@@ -92,14 +97,16 @@ const ManageParentChild = ({ contractAddress, tezos, setSnackbar }) => {
                 <ListItem key={addr}>
                   <ListItemText primary={addr} />
                   <ListItemSecondaryAction>
-                    <Tooltip title={`Remove ${tab === 0 ? 'parent' : 'child'}`}>
-                      <IconButton
-                        edge="end"
-                        onClick={() => handleRemove(addr, tab === 0 ? 'parent' : 'child')}
-                        disabled={removing[addr]}
-                      >
-                        {removing[addr] ? <CircularProgress size={20} /> : <DeleteIcon />}
-                      </IconButton>
+                    <Tooltip title={locked ? 'Collection is locked' : `Remove ${tab === 0 ? 'parent' : 'child'}`}>
+                      <span>
+                        <IconButton
+                          edge="end"
+                          onClick={() => handleRemove(addr, tab === 0 ? 'parent' : 'child')}
+                          disabled={locked || removing[addr]}
+                        >
+                          {removing[addr] ? <CircularProgress size={20} /> : <DeleteIcon />}
+                        </IconButton>
+                      </span>
                     </Tooltip>
                   </ListItemSecondaryAction>
                 </ListItem>
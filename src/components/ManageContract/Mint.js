@@ -1,7 +1,8 @@
 /*Developed by @jams2blues with love for the Tezos community
   File: src/components/ManageContract/Mint.js
-  Summary: Unified Mint form for Ghostnet & Mainnet – v1‑v3 compliant, v2b fix,
-           shared MintPreview, Emotion‑styled.
+  Summary: Unified Mint form for Ghostnet & Mainnet – v1‑v4 compliant, v2b fix,
+           shared MintPreview, Emotion‑styled; V4 multi-part artifacts
+           via append_artifact_uri with verify + resume.
 */
 
 // BEGIN: imports -------------------------------------------------------------
@@ -21,135 +22,107 @@ import {
   InputLabel,
   FormControl,
   IconButton,
-  Dialog,
-  DialogTitle,
-  DialogContent,
-  DialogContentText,
-  DialogActions,
   Tooltip,
   Chip,
   Box,
   Alert,
+  LinearProgress,
 } from '@mui/material';
 import AddCircleIcon from '@mui/icons-material/AddCircle';
 import RemoveCircleIcon from '@mui/icons-material/RemoveCircle';
 import InfoIcon from '@mui/icons-material/Info';
-import { MichelsonMap } from '@taquito/taquito';
-import { BigNumber } from 'bignumber.js';
-import { Buffer } from 'buffer';
 import MintUpload from './MintUpload';
 import MintPreview from './MintPreview';
+import RoyaltySplits from './RoyaltySplits';
+import MintDrafts from './MintDrafts';
+import MintThumbnail, { INITIAL_THUMB } from './MintThumbnail';
 import { WalletContext } from '../../contexts/WalletContext';
+import {
+  MAX_ATTRIBUTES,
+  MAX_ATTRIBUTE_NAME_LENGTH,
+  MAX_ATTRIBUTE_VALUE_LENGTH,
+  MAX_EDITIONS,
+  MAX_TAGS,
+  MAX_TAG_LENGTH,
+  TAG_REGEX,
+  MAX_METADATA_SIZE,
+  LICENCE_OPTIONS,
+  stringToHex,
+  isValidTezosAddress,
+  validateRoyaltySplits,
+  approximateMetadataSize,
+  buildTokenMetadata,
+  buildMintOp,
+} from '../../utils/tokenMetadata';
+import { explainTezosError } from '../../utils/tezosErrors';
+import {
+  newDraftId,
+  listDrafts,
+  saveDraft,
+  deleteDraft,
+} from '../../utils/draftStore';
+import {
+  APPEND_CHUNK_BYTES,
+  fingerprint,
+  headBudget,
+  readArtifactHex,
+  findMintedToken,
+  nextTokenId,
+  loadProgress,
+  saveProgress,
+  clearProgress,
+} from '../../utils/artifactChunks';
+import { lookupOp } from '../../utils/opTracker';
 // END: imports ---------------------------------------------------------------
 
 /* ─── constants ───────────────────────────────────── */
-const MAX_ATTRIBUTES = 10;
-const MAX_ATTRIBUTE_NAME_LENGTH = 32;
-const MAX_ATTRIBUTE_VALUE_LENGTH = 32;
-const MAX_EDITIONS = 10_000;
-const MAX_TAGS = 10;
-const MAX_TAG_LENGTH = 20;
-const TAG_REGEX = /^[a-z0-9-_]+$/i;
-const MAX_ROYALTIES = 25;
-const STORAGE_COST_PER_BYTE = 0.00025;
-const OVERHEAD_BYTES = 360;
-const MAX_METADATA_SIZE = 32_768;
-
-const ON_CHAIN_LICENSE =
-  'On-Chain NFT License 2.0 (KT1S9GHLCrGg5YwoJGDDuC347bCTikefZQ4z)';
-
-const LICENCE_OPTIONS = [
-  'CC0 (Public Domain)',
-  'All Rights Reserved',
-  ON_CHAIN_LICENSE,
-  'CC BY 4.0',
-  'CC BY-SA 4.0',
-  'CC BY-ND 4.0',
-  'CC BY-NC 4.0',
-  'CC BY-NC-SA 4.0',
-  'CC BY-NC-ND 4.0',
-  'MIT',
-  'GPL',
-  'Apache 2.0',
-  'Unlicense',
-  'Custom',
-];
-
 const INITIAL_FORM = {
   name: '',
   description: '',
   creators: '',
   authors: '',
   toAddress: '',
-  royalties: '',
   license: '',
   customLicense: '',
   amount: '1',
   nsfw: 'Does not contain NSFW',
   flashingHazard: 'Does not contain Flashing Hazard',
 };
+const AUTOSAVE_MS = 1500;
+const MIN_HEAD_BYTES = 1024;
+const UPLOAD_STATUS = {
+  sending: 'Uploading…',
+  verifying: 'Verifying on-chain bytes…',
+  verified: 'Verified — on-chain artifact matches byte-for-byte',
+  failed: 'Interrupted — resume to continue',
+  paused: 'Unfinished upload found — resume to continue',
+  checking: 'Checking the part-1 mint on-chain…',
+  unconfirmed: 'Part 1 was sent but is not confirmed yet — check again before minting',
+  mismatch: 'On-chain artifact does not match this file',
+};
+const CANCELLED = 'Cancelled in review';
 
 /* ─── styled helpers ──────────────────────────────── */
 const Section = styled.div`
   margin-top: 20px;
 `;
 
-/* ─── buildMintOp helper ─────────────────────────── */
-/**
- * Return Taquito WalletMethod with correct argument order per ZeroContract.
- */
-const buildMintOp = (contract, version, amount, map, to) => {
-  const amt = parseInt(amount, 10);
-  if (version === 'v1') return contract.methods.mint(map, to);
-  if (version === 'v2b') return contract.methods.mint(map, to, amt);
-  // default for v2a, v2c‑e, v3
-  return contract.methods.mint(amt, map, to);
-};
-
 /* ─── utility fns ─────────────────────────────────── */
-const stringToHex = (str) => Buffer.from(str, 'utf8').toString('hex');
-const isValidTezosAddress = (a) =>
-  /^(tz1|tz2|tz3|KT1)[1-9A-HJ-NP-Za-km-z]{33}$/.test(a);
-const approximateMetadataSize = (map) => {
-  let total = 0;
-  for (const [k, v] of map.entries()) {
-    total += Buffer.byteLength(k, 'utf8');
-    total +=
-      typeof v === 'string' && v.startsWith('0x')
-        ? (v.length - 2) / 2
-        : Buffer.byteLength(v, 'utf8');
-  }
-  return total + OVERHEAD_BYTES;
-};
-const explainTezosError = (err) => {
-  if (!err?.message) return 'Unknown error';
-  const m = err.message.toLowerCase();
-  if (m.includes('oversized')) return 'Operation size too large';
-  if (m.includes('not enough tez') || m.includes('balance'))
-    return 'Wallet balance too low';
-  if (m.includes('forbidden') || m.includes('cors'))
-    return 'RPC node rejected the request';
-  if (m.includes('bad gateway') || m.includes('502'))
-    return 'RPC node temporarily unavailable';
-  if (m.includes('expired')) return 'Wallet session expired – reconnect';
-  return err.message;
-};
 const preventWheel = (e) => e.target.blur();
-const numberInputProps = {
-  onWheel: preventWheel,
-  inputProps: { inputMode: 'numeric', pattern: '[0-9]*' },
-};
 
 /* ─── main component ─────────────────────────────── */
 const Mint = ({ contractAddress, tezos, contractVersion, setSnackbar }) => {
-  const { walletAddress, networkMismatch, needsReveal, revealAccount } =
-    useContext(WalletContext);
+  const {
+    walletAddress, network, networkMismatch, needsReveal, revealAccount, trackOperation, reviewOperation,
+  } = useContext(WalletContext);
 
   /* form & UI state */
   const [formData, setFormData] = useState(INITIAL_FORM);
   const [attributes, setAttributes] = useState([{ name: '', value: '' }]);
+  const [royaltySplits, setRoyaltySplits] = useState([{ address: '', percent: '' }]);
   const [artifactFile, setArtifactFile] = useState(null);
   const [artifactDataUrl, setArtifactDataUrl] = useState(null);
+  const [thumb, setThumb] = useState(INITIAL_THUMB);
   const [agreed, setAgreed] = useState(false);
   const [tags, setTags] = useState([]);
   const [tagInput, setTagInput] = useState('');
@@ -158,8 +131,21 @@ const Mint = ({ contractAddress, tezos, contractVersion, setSnackbar }) => {
   /* computed / dialog */
   const [metadataSize, setMetadataSize] = useState(0);
   const [loading, setLoading] = useState(false);
-  const [est, setEst] = useState({});
-  const [dialog, setDialog] = useState({ open: false, estimationFailed: false, reason: '' });
+
+  /* drafts (IndexedDB) */
+  const [drafts, setDrafts] = useState([]);
+  const [draftId, setDraftId] = useState(null);
+  const [draftName, setDraftName] = useState('');
+  const [draftsOpen, setDraftsOpen] = useState(false);
+
+  /* V4 multi-part upload — { fp, tokenId, done, total, status, error } */
+  const [upload, setUpload] = useState(null);
+  const artifactLen = artifactDataUrl?.length || 0;
+  const multipart = contractVersion === 'v4' && metadataSize > MAX_METADATA_SIZE;
+  const headBytes = headBudget(metadataSize - artifactLen);
+  const partCount = multipart
+    ? 1 + Math.ceil((artifactLen - headBytes) / APPEND_CHUNK_BYTES)
+    : 1;
 
   const snack = (msg, severity = 'warning') =>
     setSnackbar({ open: true, message: msg, severity });
@@ -176,13 +162,17 @@ const Mint = ({ contractAddress, tezos, contractVersion, setSnackbar }) => {
   useEffect(() => {
     setFormData(autofillFromWallet());
     setAttributes([{ name: '', value: '' }]);
+    setRoyaltySplits([{ address: walletAddress || '', percent: '' }]);
     setArtifactFile(null);
     setArtifactDataUrl(null);
+    setThumb(INITIAL_THUMB);
     setAgreed(false);
     setTags([]);
     setTagInput('');
     setMetadataSize(0);
-    setEst({});
+    setDraftId(null);
+    setDraftName('');
+    refreshDrafts();
   }, [contractAddress, contractVersion]);
 
   /* wallet autofill */
@@ -193,18 +183,79 @@ const Mint = ({ contractAddress, tezos, contractVersion, setSnackbar }) => {
       if (!n.toAddress.trim()) n.toAddress = walletAddress || '';
       return n;
     });
+    setRoyaltySplits((prev) =>
+      prev.length === 1 && !prev[0].address.trim()
+        ? [{ ...prev[0], address: walletAddress || '' }]
+        : prev
+    );
   }, [walletAddress]);
 
+  /* ── drafts ───────────────────────────────────── */
+  const refreshDrafts = () =>
+    contractAddress
+      ? listDrafts(contractAddress).then(setDrafts).catch(() => setDrafts([]))
+      : setDrafts([]);
+
+  const isBlank =
+    !formData.name.trim() &&
+    !formData.description.trim() &&
+    !artifactDataUrl &&
+    tags.length === 0 &&
+    !attributes.some((a) => a.name || a.value);
+
+  /* autosave — debounced, skipped until the form holds something */
+  useEffect(() => {
+    if (!contractAddress || isBlank) return undefined;
+    const id = draftId || newDraftId();
+    if (!draftId) setDraftId(id);
+    const t = setTimeout(() => {
+      saveDraft({
+        id,
+        contract: contractAddress,
+        name: draftName.trim() || formData.name.trim() || 'Untitled draft',
+        formData,
+        attributes,
+        royaltySplits,
+        tags,
+        artifact: artifactDataUrl
+          ? { name: artifactFile?.name || '', type: artifactFile?.type || '', dataUrl: artifactDataUrl }
+          : null,
+      })
+        .then(refreshDrafts)
+        .catch(() => {});
+    }, AUTOSAVE_MS);
+    return () => clearTimeout(t);
+  }, [formData, attributes, royaltySplits, tags, artifactDataUrl, draftName]);
+
+  const restoreDraft = (d) => {
+    setFormData({ ...INITIAL_FORM, ...d.formData });
+    setAttributes(d.attributes?.length ? d.attributes : [{ name: '', value: '' }]);
+    setRoyaltySplits(d.royaltySplits?.length ? d.royaltySplits : [{ address: walletAddress || '', percent: '' }]);
+    setTags(d.tags || []);
+    setTagInput('');
+    /* File objects don't survive IndexedDB round-trips — keep name/type only */
+    setArtifactFile(d.artifact ? { name: d.artifact.name, type: d.artifact.type } : null);
+    setArtifactDataUrl(d.artifact?.dataUrl || null);
+    setAgreed(false);
+    setDraftId(d.id);
+    setDraftName(d.name || '');
+    setDraftsOpen(false);
+    snack(`Draft “${d.name || 'Untitled draft'}” restored`, 'info');
+  };
+
+  const removeDraft = async (id) => {
+    try {
+      await deleteDraft(id);
+      if (id === draftId) setDraftId(null);
+    } catch {
+      snack('Could not delete draft');
+    }
+    refreshDrafts();
+  };
+
   /* ── input handlers ──────────────────────────── */
   const handleInputChange = (e) => {
     const { name, value } = e.target;
-    if (name === 'royalties') {
-      const r = Math.max(0, Math.min(MAX_ROYALTIES, parseFloat(value || '0')));
-      if (parseFloat(value) !== r)
-        snack(`Royalties capped at ${MAX_ROYALTIES}%`, 'warning');
-      setFormData((p) => ({ ...p, royalties: r.toString() }));
-      return;
-    }
     if (name === 'amount') {
       const num = Math.max(
         1,
@@ -279,62 +330,26 @@ const Mint = ({ contractAddress, tezos, contractVersion, setSnackbar }) => {
   const removeTag = (t) => setTags((prev) => prev.filter((x) => x !== t));
 
   /* ── metadata builder ─────────────────────────── */
-  const buildMetadata = () => {
-    const m = new MichelsonMap();
-    m.set('name', '0x' + stringToHex(formData.name));
-    if (formData.description.trim())
-      m.set('description', '0x' + stringToHex(formData.description));
-    m.set('artifactUri', '0x' + stringToHex(artifactDataUrl || ''));
-    m.set(
-      'creators',
-      '0x' +
-        stringToHex(
-          JSON.stringify(formData.creators.split(',').map((c) => c.trim()))
-        )
-    );
-    m.set(
-      'authors',
-      '0x' +
-        stringToHex(
-          JSON.stringify(formData.authors.split(',').map((n) => n.trim()))
-        )
-    );
-    if (formData.license) {
-      const rights =
+  const buildMetadata = (artifactUri = artifactDataUrl) =>
+    buildTokenMetadata({
+      name: formData.name,
+      description: formData.description,
+      artifactUri,
+      thumbnailUri: thumb.skip ? '' : thumb.uri,
+      displayUri: thumb.skip || !thumb.asDisplay ? '' : thumb.displayUri,
+      mimeType: artifactFile?.type,
+      creators: formData.creators,
+      authors: formData.authors,
+      rights:
         formData.license === 'Custom'
           ? formData.customLicense
-          : formData.license;
-      if (rights.trim()) m.set('rights', '0x' + stringToHex(rights));
-    }
-    if (artifactFile?.type)
-      m.set('mimeType', '0x' + stringToHex(artifactFile.type));
-    m.set('decimals', '0x' + stringToHex('0'));
-
-    const r = parseFloat(formData.royalties || '0');
-    m.set(
-      'royalties',
-      '0x' +
-        stringToHex(
-          JSON.stringify({
-            decimals: 4,
-            shares: { [formData.toAddress]: Math.round(r * 100) },
-          })
-        )
-    );
-    const filtered = attributes.filter((a) => a.name && a.value);
-    if (filtered.length)
-      m.set('attributes', '0x' + stringToHex(JSON.stringify(filtered)));
-    if (tags.length)
-      m.set('tags', '0x' + stringToHex(JSON.stringify(tags)));
-    if (formData.nsfw === 'Does contain NSFW')
-      m.set('contentRating', '0x' + stringToHex('mature'));
-    if (formData.flashingHazard === 'Does contain Flashing Hazard')
-      m.set(
-        'accessibility',
-        '0x' + stringToHex(JSON.stringify({ hazards: ['flashing'] }))
-      );
-    return m;
-  };
+          : formData.license,
+      royalties: royaltySplits,
+      attributes,
+      tags,
+      nsfw: formData.nsfw === 'Does contain NSFW',
+      flashing: formData.flashingHazard === 'Does contain Flashing Hazard',
+    });
 
   /* ── validation ───────────────────────────────── */
   const validateForm = () => {
@@ -365,17 +380,21 @@ const Mint = ({ contractAddress, tezos, contractVersion, setSnackbar }) => {
       snack('Custom license text is required');
       return false;
     }
-    const r = parseFloat(formData.royalties);
-    if (isNaN(r) || r < 0 || r > MAX_ROYALTIES) {
-      snack(`Royalties must be between 0 and ${MAX_ROYALTIES}%`);
+    const royaltyProblem = validateRoyaltySplits(royaltySplits);
+    if (royaltyProblem) {
+      snack(royaltyProblem);
       return false;
     }
     if (!artifactFile || !artifactDataUrl) {
       snack('Artifact file must be uploaded');
       return false;
     }
+    if (thumb.pending && !thumb.skip) {
+      snack('Wait for the thumbnail to finish (or skip it)', 'warning');
+      return false;
+    }
     if (
-      (contractVersion.startsWith('v2') || contractVersion === 'v3') &&
+      (contractVersion.startsWith('v2') || ['v3', 'v4'].includes(contractVersion)) &&
       !formData.amount
     ) {
       snack('Amount is required for multiple edition contracts');
@@ -385,7 +404,11 @@ const Mint = ({ contractAddress, tezos, contractVersion, setSnackbar }) => {
       snack('You must agree to the terms');
       return false;
     }
-    if (metadataSize > MAX_METADATA_SIZE) {
+    if (multipart && headBytes < MIN_HEAD_BYTES) {
+      snack('Other metadata leaves no room for the first artifact part', 'error');
+      return false;
+    }
+    if (!multipart && metadataSize > MAX_METADATA_SIZE) {
       snack(
         `Metadata size (${Math.floor(metadataSize)} bytes) exceeds 32 KB`,
         'error'
@@ -406,34 +429,49 @@ const Mint = ({ contractAddress, tezos, contractVersion, setSnackbar }) => {
   /* size tracker */
   useEffect(() => {
     setMetadataSize(approximateMetadataSize(buildMetadata()));
-  }, [formData, attributes, tags, artifactFile, artifactDataUrl]);
+  }, [formData, attributes, royaltySplits, tags, artifactFile, artifactDataUrl, thumb]);
 
-  /* fee estimation */
-  const estimateFees = async () => {
+  /**
+   * Part 1 injected but never confirmed here (timeout, reload) → find out
+   * whether it landed before anything is minted again. Found → resumable;
+   * failed / expired → forgotten; otherwise left 'unconfirmed'.
+   */
+  const settleHead = async (saved) => {
+    const fp = fingerprint(artifactDataUrl);
+    const base = { ...saved, fp, done: 0 };
+    setUpload({ ...base, status: 'checking' });
+    const headHex = stringToHex(artifactDataUrl.slice(0, saved.headLen));
     try {
-      const map = buildMetadata();
-      const contract = await tezos.wallet.at(contractAddress);
-      const op = buildMintOp(contract, contractVersion, formData.amount, map, formData.toAddress);
-      const params = await op.toTransferParams();
-      const estRaw = await tezos.estimate.transfer(params);
-      const feeTez = new BigNumber(estRaw.suggestedFeeMutez).dividedBy(1e6).toFixed(6);
-      const storageTez = new BigNumber(estRaw.storageLimit).times(STORAGE_COST_PER_BYTE).toFixed(6);
-      const totalTez = new BigNumber(feeTez).plus(storageTez).toFixed(6);
-      const obj = {
-        feeTez,
-        storageTez,
-        gas: estRaw.gasLimit,
-        storage: estRaw.storageLimit,
-        totalTez,
-      };
-      setEst(obj);
-      return obj;
-    } catch (err) {
-      const friendly = explainTezosError(err);
-      return { estimationFailed: true, reason: friendly };
+      const tokenId = await findMintedToken(tezos, contractAddress, saved.fromId, headHex);
+      saveProgress(contractAddress, fp, { tokenId, total: saved.total });
+      setUpload({ fp, tokenId, done: 0, total: saved.total, status: 'paused' });
+      return;
+    } catch { /* not on-chain (yet) — ask the indexer about the op */ }
+    const res = await lookupOp({ hash: saved.opHash, network, submittedAt: saved.at })
+      .catch(() => ({ status: 'pending' }));
+    if (res.status === 'failed' || res.status === 'expired') {
+      clearProgress(contractAddress, fp);
+      setUpload(null);
+    } else {
+      setUpload({ ...base, status: 'unconfirmed' });
     }
   };
 
+  /* pick up an unfinished multi-part upload for this artifact */
+  useEffect(() => {
+    const saved =
+      contractAddress && artifactDataUrl
+        ? loadProgress(contractAddress, fingerprint(artifactDataUrl))
+        : null;
+    if (saved?.opHash && saved.tokenId === undefined) {
+      if (tezos) settleHead(saved);
+      else setUpload({ ...saved, fp: fingerprint(artifactDataUrl), done: 0, status: 'unconfirmed' });
+      return;
+    }
+    setUpload(saved ? { ...saved, fp: fingerprint(artifactDataUrl), done: 0, status: 'paused' } : null);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [contractAddress, artifactDataUrl, tezos]);
+
   /* ── mint button ──────────────────────────────── */
   const handleMintClick = async () => {
     if (networkMismatch) {
@@ -445,39 +483,146 @@ const Mint = ({ contractAddress, tezos, contractVersion, setSnackbar }) => {
       return;
     }
     if (!validateForm()) return;
+    await confirmMint();
+  };
+
+  /* clear the form + its draft once a mint is final */
+  const finishMint = async (mintedDraft) => {
+    if (mintedDraft) await deleteDraft(mintedDraft).catch(() => {});
+    setDraftId(null);
+    setDraftName('');
+    refreshDrafts();
+    setFormData(autofillFromWallet());
+    setAttributes([{ name: '', value: '' }]);
+    setRoyaltySplits([{ address: walletAddress || '', percent: '' }]);
+    setArtifactFile(null);
+    setArtifactDataUrl(null);
+    setThumb((p) => ({ ...p, uri: null, displayUri: null, pending: false }));
+    setAgreed(false);
+    setTags([]);
+    setTagInput('');
+  };
+
+  /* append the remaining bytes from wherever the chain currently is,
+     then read the whole artifactUri back and compare byte-for-byte */
+  const runAppends = async (tokenId) => {
+    const fp = fingerprint(artifactDataUrl);
+    const fullHex = stringToHex(artifactDataUrl);
+    const total = artifactDataUrl.length;
+    const onChain = await readArtifactHex(tezos, contractAddress, tokenId);
+    if (!fullHex.startsWith(onChain)) {
+      setUpload({ fp, tokenId, done: onChain.length / 2, total, status: 'mismatch' });
+      throw new Error(UPLOAD_STATUS.mismatch);
+    }
+    let done = onChain.length / 2;
+    setUpload({ fp, tokenId, done, total, status: 'sending' });
+    const contract = await tezos.wallet.at(contractAddress);
+    const parts = Math.ceil(total / APPEND_CHUNK_BYTES);
+    try {
+      while (done < total) {
+        const part = artifactDataUrl.slice(done, done + APPEND_CHUNK_BYTES);
+        const call = contract.methods.append_artifact_uri(tokenId, '0x' + stringToHex(part));
+        const ok = await reviewOperation({
+          title: `Append to token ${tokenId}`,
+          contract,
+          calls: [call],
+          version: contractVersion,
+          part: { index: Math.ceil(done / APPEND_CHUNK_BYTES) + 1, total: parts },
+        });
+        if (!ok) throw new Error(CANCELLED);
+        const op = await call.send();
+        trackOperation(op, { kind: 'append_artifact_uri', contract: contractAddress, label: `Append to token ${tokenId}` });
+        snack(
+          `Appending bytes ${done.toLocaleString()}–${(done + part.length).toLocaleString()} of ${total.toLocaleString()}…`,
+          'info'
+        );
+        await op.confirmation();
+        done += part.length;
+        setUpload((p) => ({ ...p, done }));
+      }
+    } catch (err) {
+      setUpload((p) => ({ ...p, status: 'failed', error: explainTezosError(err, contractVersion) }));
+      throw err;
+    }
+    setUpload((p) => ({ ...p, status: 'verifying' }));
+    const final = await readArtifactHex(tezos, contractAddress, tokenId);
+    if (final !== fullHex) {
+      setUpload((p) => ({ ...p, status: 'mismatch' }));
+      throw new Error(UPLOAD_STATUS.mismatch);
+    }
+    clearProgress(contractAddress, fp);
+    setUpload((p) => ({ ...p, status: 'verified' }));
+  };
+
+  const mintMultipart = async () => {
+    const head = artifactDataUrl.slice(0, headBytes);
+    const fromId = await nextTokenId(tezos, contractAddress);
+    const contract = await tezos.wallet.at(contractAddress);
+    const op = buildMintOp(contract, contractVersion, formData.amount, buildMetadata(head), formData.toAddress);
+    const ok = await reviewOperation({
+      title: 'Mint (part 1)',
+      contract,
+      calls: [op],
+      version: contractVersion,
+      notes: [`The remaining ${(artifactLen - head.length).toLocaleString()} bytes follow as append_artifact_uri operations.`],
+    });
+    if (!ok) throw new Error(CANCELLED);
+    const sent = await op.send();
+    /* injected — remember it before waiting, so a timeout or reload
+       settles this op instead of minting the head twice */
+    const fp = fingerprint(artifactDataUrl);
+    const pending = { opHash: sent.opHash, fromId, headLen: head.length, total: artifactLen, at: Date.now() };
+    saveProgress(contractAddress, fp, pending);
+    trackOperation(sent, { kind: 'mint', contract: contractAddress, label: 'Mint (part 1)' });
+    snack(`Minting part 1 of ${partCount}…`, 'info');
+    let tokenId;
+    try {
+      await sent.confirmation();
+      tokenId = await findMintedToken(tezos, contractAddress, fromId, stringToHex(head));
+    } catch (err) {
+      setUpload({ ...pending, fp, done: 0, status: 'unconfirmed', error: explainTezosError(err, contractVersion) });
+      throw err;
+    }
+    saveProgress(contractAddress, fp, { tokenId, total: artifactLen });
+    await runAppends(tokenId);
+  };
+
+  const resumeUpload = async () => {
     setLoading(true);
-    const res = await estimateFees();
-    setLoading(false);
-    if (res.estimationFailed) {
-      snack(`Fee estimation failed: ${res.reason}`, 'warning');
-      setDialog({ open: true, estimationFailed: true, reason: res.reason });
-    } else {
-      setDialog({ open: true, ...res });
+    const mintedDraft = draftId;
+    try {
+      await runAppends(upload.tokenId);
+      snack(`Token #${upload.tokenId} complete and verified!`, 'success');
+      await finishMint(mintedDraft);
+    } catch (err) {
+      if (err.message !== CANCELLED) snack(`Upload failed: ${explainTezosError(err, contractVersion)}`, 'error');
+    } finally {
+      setLoading(false);
     }
   };
 
   /* confirmMint */
   const confirmMint = async () => {
-    setDialog({ open: false, estimationFailed: false, reason: '' });
     setLoading(true);
+    const mintedDraft = draftId;
     try {
-      const map = buildMetadata();
-      const contract = await tezos.wallet.at(contractAddress);
-      const op = buildMintOp(contract, contractVersion, formData.amount, map, formData.toAddress);
-      const sent = await op.send();
-      snack('Minting in progress…', 'info');
-      await sent.confirmation();
-      snack('NFT minted successfully!', 'success');
-      setFormData(autofillFromWallet());
-      setAttributes([{ name: '', value: '' }]);
-      setArtifactFile(null);
-      setArtifactDataUrl(null);
-      setAgreed(false);
-      setTags([]);
-      setTagInput('');
-      setEst({});
+      if (multipart) {
+        await mintMultipart();
+        snack('NFT minted and verified on-chain!', 'success');
+      } else {
+        const map = buildMetadata();
+        const contract = await tezos.wallet.at(contractAddress);
+        const op = buildMintOp(contract, contractVersion, formData.amount, map, formData.toAddress);
+        if (!(await reviewOperation({ title: 'Mint', contract, calls: [op], version: contractVersion }))) return;
+        const sent = await op.send();
+        trackOperation(sent, { kind: 'mint', contract: contractAddress, label: 'Mint' });
+        snack('Minting in progress…', 'info');
+        await sent.confirmation();
+        snack('NFT minted successfully!', 'success');
+      }
+      await finishMint(mintedDraft);
     } catch (err) {
-      snack(`Mint failed: ${explainTezosError(err)}`, 'error');
+      if (err.message !== CANCELLED) snack(`Mint failed: ${explainTezosError(err, contractVersion)}`, 'error');
     } finally {
       setLoading(false);
     }
@@ -490,9 +635,24 @@ const Mint = ({ contractAddress, tezos, contractVersion, setSnackbar }) => {
         Mint NFT Fully On-Chain (
         {contractVersion === 'v1' ? 'Single Edition' : 'Multiple Editions'})
       </Typography>
-      <Typography variant="body2" gutterBottom>
-        Enter NFT metadata below. Fields marked with * are required.
-      </Typography>
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 1 }}>
+        <Typography variant="body2" gutterBottom>
+          Enter NFT metadata below. Fields marked with * are required.
+        </Typography>
+        <Button size="small" variant="outlined" onClick={() => setDraftsOpen(true)}>
+          Drafts ({drafts.length})
+        </Button>
+      </Box>
+      <MintDrafts
+        open={draftsOpen}
+        onClose={() => setDraftsOpen(false)}
+        drafts={drafts}
+        currentId={draftId}
+        draftName={draftName}
+        onNameChange={setDraftName}
+        onRestore={restoreDraft}
+        onDelete={removeDraft}
+      />
 
       {networkMismatch && (
         <Alert severity="warning" sx={{ mb: 2 }}>
@@ -551,6 +711,7 @@ const Mint = ({ contractAddress, tezos, contractVersion, setSnackbar }) => {
           <MintUpload
             onFileChange={setArtifactFile}
             onFileDataUrlChange={setArtifactDataUrl}
+            budget={MAX_METADATA_SIZE - (metadataSize - (artifactDataUrl?.length || 0))}
           />
           {artifactFile && (
             <Typography variant="caption" sx={{ mt:0.5 }}>
@@ -564,6 +725,17 @@ const Mint = ({ contractAddress, tezos, contractVersion, setSnackbar }) => {
             <MintPreview dataUrl={artifactDataUrl} fileName={artifactFile?.name} />
           </Grid>
         )}
+        {/* Thumbnail */}
+        {artifactDataUrl && (
+          <Grid size={12}>
+            <MintThumbnail
+              artifactDataUrl={artifactDataUrl}
+              mimeType={artifactFile?.type}
+              value={thumb}
+              onChange={setThumb}
+            />
+          </Grid>
+        )}
 
         {/* Creators */}
         <Grid size={12}>
@@ -605,19 +777,11 @@ const Mint = ({ contractAddress, tezos, contractVersion, setSnackbar }) => {
 
         {/* Royalties */}
         <Grid size={12}>
-          <TextField
-            label={`Royalties % * (0-${MAX_ROYALTIES})`}
-            name="royalties"
-            value={formData.royalties}
-            onChange={handleInputChange}
-            fullWidth
-            type="number"
-            {...numberInputProps}
-          />
+          <RoyaltySplits splits={royaltySplits} onChange={setRoyaltySplits} />
         </Grid>
 
         {/* Edition amount */}
-        {(contractVersion.startsWith('v2') || contractVersion === 'v3') && (
+        {(contractVersion.startsWith('v2') || ['v3', 'v4'].includes(contractVersion)) && (
           <Grid size={12}>
             <TextField
               label="Amount *"
@@ -626,6 +790,7 @@ const Mint = ({ contractAddress, tezos, contractVersion, setSnackbar }) => {
               onChange={handleInputChange}
               fullWidth
               type="number"
+              onWheel={preventWheel}
               InputProps={{
                 inputProps: { min: 1, max: MAX_EDITIONS, step: 1 },
               }}
@@ -845,13 +1010,62 @@ const Mint = ({ contractAddress, tezos, contractVersion, setSnackbar }) => {
             <InfoIcon fontSize="small" sx={{ ml: 0.5 }} />
           </Tooltip>
         </Typography>
-        {metadataSize > MAX_METADATA_SIZE && (
+        {metadataSize > MAX_METADATA_SIZE && !multipart && (
           <Typography variant="body2" color="error">
             Metadata size exceeds 32 KB – minting disabled.
           </Typography>
         )}
+        {multipart && !upload && (
+          <Alert severity="info" sx={{ mt: 1 }}>
+            Artifact exceeds a single operation – it will be minted in{' '}
+            {partCount} signed operations (mint + {partCount - 1} ×
+            append_artifact_uri), then verified byte-for-byte.
+          </Alert>
+        )}
       </Section>
 
+      {/* multi-part progress */}
+      {upload && (
+        <Section>
+          <Typography variant="subtitle2">
+            Multi-part upload · token {upload.tokenId !== undefined ? `#${upload.tokenId}` : '(part 1 unconfirmed)'}
+          </Typography>
+          <LinearProgress
+            variant="determinate"
+            value={upload.total ? (upload.done / upload.total) * 100 : 0}
+            color={upload.status === 'mismatch' ? 'error' : upload.status === 'verified' ? 'success' : 'primary'}
+            sx={{ my: 1 }}
+          />
+          <Typography variant="caption" sx={{ display: 'block' }}>
+            {upload.done.toLocaleString()} / {upload.total.toLocaleString()} bytes ·{' '}
+            {UPLOAD_STATUS[upload.status]}
+            {upload.error ? ` (${upload.error})` : ''}
+          </Typography>
+          {['failed', 'paused', 'mismatch'].includes(upload.status) && (
+            <Button
+              size="small"
+              variant="outlined"
+              onClick={resumeUpload}
+              disabled={loading}
+              sx={{ mt: 1 }}
+            >
+              Resume upload
+            </Button>
+          )}
+          {upload.status === 'unconfirmed' && (
+            <Button
+              size="small"
+              variant="outlined"
+              onClick={() => settleHead(upload)}
+              disabled={loading || !tezos}
+              sx={{ mt: 1 }}
+            >
+              Check again
+            </Button>
+          )}
+        </Section>
+      )}
+
       {/* Mint button */}
       <Box sx={{ mt: 2, textAlign: 'right' }}>
         <Button
@@ -861,7 +1075,9 @@ const Mint = ({ contractAddress, tezos, contractVersion, setSnackbar }) => {
           disabled={
             loading ||
             !agreed ||
-            metadataSize > MAX_METADATA_SIZE ||
+            (metadataSize > MAX_METADATA_SIZE && !multipart) ||
+            (upload && upload.status !== 'verified') ||
+            (thumb.pending && !thumb.skip) ||
             networkMismatch ||
             (needsReveal && !networkMismatch)
           }
@@ -872,6 +1088,11 @@ const Mint = ({ contractAddress, tezos, contractVersion, setSnackbar }) => {
       </Box>
 
       {/* helper text */}
+      {thumb.pending && !thumb.skip && (
+        <Typography variant="body2" color="textSecondary" sx={{ mt: 1 }}>
+          Generating thumbnail – Mint unlocks when it’s ready (or skip it).
+        </Typography>
+      )}
       {networkMismatch && (
         <Typography variant="body2" color="warning.main" sx={{ mt: 1 }}>
           Wrong network – switch in wallet or open correct URL.
@@ -882,86 +1103,6 @@ const Mint = ({ contractAddress, tezos, contractVersion, setSnackbar }) => {
           Your account is unrevealed. Click “Reveal” above first.
         </Typography>
       )}
-
-      {/* live estimation summary */}
-      {est.feeTez && (
-        <Section>
-          <Typography variant="subtitle1">Estimated Fees</Typography>
-          <Typography variant="body2">
-            <strong>Fee:</strong> {est.feeTez} ꜩ&nbsp;
-            <Tooltip title="Network fee" arrow>
-              <InfoIcon fontSize="small" sx={{ ml: 0.5 }} />
-            </Tooltip>
-          </Typography>
-          <Typography variant="body2">
-            <strong>Storage:</strong> {est.storageTez} ꜩ&nbsp;
-            <Tooltip title="On-chain storage cost" arrow>
-              <InfoIcon fontSize="small" sx={{ ml: 0.5 }} />
-            </Tooltip>
-          </Typography>
-          <Typography variant="body2" sx={{ mt: 1 }}>
-            <strong>Total:</strong> {est.totalTez} ꜩ
-          </Typography>
-        </Section>
-      )}
-
-      {/* Confirm dialog */}
-      <Dialog
-        open={dialog.open}
-        onClose={() => setDialog({ open: false })}
-        fullWidth
-        maxWidth="sm"
-      >
-        <DialogTitle>Confirm Minting</DialogTitle>
-        <DialogContent>
-          {dialog.estimationFailed ? (
-            <DialogContentText>
-              Fee estimation failed (<em>{dialog.reason}</em>). You may still
-              proceed – your wallet will display exact fees before signing.
-            </DialogContentText>
-          ) : (
-            <>
-              <DialogContentText>
-                Please review estimated fees before proceeding.
-              </DialogContentText>
-              <Typography variant="body2" sx={{ mt: 1 }}>
-                <strong>Fee:</strong> {est.feeTez} ꜩ
-              </Typography>
-              <Typography variant="body2">
-                <strong>Storage:</strong> {est.storageTez} ꜩ
-              </Typography>
-              <Typography variant="body2">
-                <strong>Gas Limit:</strong> {est.gas}
-              </Typography>
-              <Typography variant="body2">
-                <strong>Storage Limit:</strong> {est.storage}
-              </Typography>
-              <Typography variant="body2">
-                <strong>Editions:</strong> {formData.amount}
-              </Typography>
-              <Typography variant="body2" sx={{ mt: 1 }}>
-                <strong>Total:</strong> {est.totalTez} ꜩ
-              </Typography>
-            </>
-          )}
-        </DialogContent>
-        <DialogActions>
-          <Button
-            onClick={() => setDialog({ open: false })}
-            color="secondary"
-          >
-            Cancel
-          </Button>
-          <Button
-            onClick={confirmMint}
-            color="primary"
-            variant="contained"
-            autoFocus
-          >
-            {dialog.estimationFailed ? 'Mint Anyway' : 'Confirm Mint'}
-          </Button>
-        </DialogActions>
-      </Dialog>
     </div>
   );
 };
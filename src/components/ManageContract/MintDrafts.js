@@ -0,0 +1,91 @@
+/*Developed by @jams2blues with love for the Tezos community
+  File: src/components/ManageContract/MintDrafts.js
+  Summary: Side drawer listing saved mint drafts for the current contract —
+           rename the active draft, restore or delete any of them.
+*/
+
+import React from 'react';
+import {
+  Drawer,
+  Box,
+  Typography,
+  TextField,
+  List,
+  ListItem,
+  ListItemText,
+  Button,
+  IconButton,
+  Tooltip,
+  Divider,
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+
+/* ─── utility fns ─────────────────────────────────── */
+const fmtTime = (ts) => new Date(ts).toLocaleString();
+const fmtKb = (uri) => (uri ? `${(uri.length / 1024).toFixed(1)} KB artifact` : 'no artifact');
+
+/* ─── component ───────────────────────────────────── */
+const MintDrafts = ({
+  open,
+  onClose,
+  drafts,
+  currentId,
+  draftName,
+  onNameChange,
+  onRestore,
+  onDelete,
+}) => (
+  <Drawer anchor="right" open={open} onClose={onClose}>
+    <Box sx={{ width: { xs: 300, sm: 380 }, p: 2 }}>
+      <Typography variant="h6" gutterBottom>Mint Drafts</Typography>
+      <Typography variant="body2" color="textSecondary" gutterBottom>
+        Drafts autosave in this browser and are removed once the mint confirms.
+      </Typography>
+      <TextField
+        label="Current draft name"
+        value={draftName}
+        onChange={(e) => onNameChange(e.target.value)}
+        fullWidth
+        size="small"
+        sx={{ my: 1 }}
+        inputProps={{ maxLength: 80 }}
+      />
+      <Divider sx={{ my: 1 }} />
+      {drafts.length === 0 ? (
+        <Typography variant="body2" sx={{ mt: 2 }}>No saved drafts.</Typography>
+      ) : (
+        <List dense>
+          {drafts.map((d) => (
+            <ListItem
+              key={d.id}
+              divider
+              selected={d.id === currentId}
+              secondaryAction={
+                <Tooltip title="Delete draft" arrow>
+                  <IconButton edge="end" aria-label="Delete draft" onClick={() => onDelete(d.id)}>
+                    <DeleteIcon fontSize="small" />
+                  </IconButton>
+                </Tooltip>
+              }
+            >
+              <ListItemText
+                primary={d.name || d.formData?.name || 'Untitled draft'}
+                secondary={`${fmtTime(d.updatedAt)} · ${fmtKb(d.artifact?.dataUrl)}`}
+              />
+              <Button
+                size="small"
+                onClick={() => onRestore(d)}
+                disabled={d.id === currentId}
+                sx={{ mr: 4 }}
+              >
+                {d.id === currentId ? 'Open' : 'Restore'}
+              </Button>
+            </ListItem>
+          ))}
+        </List>
+      )}
+    </Box>
+  </Drawer>
+);
+
+export default MintDrafts;
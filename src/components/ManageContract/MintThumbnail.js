@@ -0,0 +1,148 @@
+/*Developed by @jams2blues with love for the Tezos community
+  File: src/components/ManageContract/MintThumbnail.js
+  Summary: Auto-generated on-chain thumbnailUri / displayUri for the Mint
+           form — regenerates on artifact change, byte budget, skip toggle.
+*/
+
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  TextField,
+  FormControlLabel,
+  Checkbox,
+  CircularProgress,
+} from '@mui/material';
+import { makeThumbnail, thumbnailKind, THUMB_BUDGET } from '../../utils/thumbnail';
+
+/* ─── constants ───────────────────────────────────── */
+export const INITIAL_THUMB = {
+  skip: false,
+  asDisplay: true,
+  budget: String(THUMB_BUDGET),
+  uri: null,
+  displayUri: null, // JPEG — social cards can't draw the WebP thumbnail
+  pending: false, // true while a thumbnail is being generated — Mint waits on it
+};
+
+/* ─── component ───────────────────────────────────── */
+const MintThumbnail = ({ artifactDataUrl, mimeType, value, onChange }) => {
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [fits, setFits] = useState(true);
+  const runRef = useRef(0); // drops results from superseded runs
+
+  const kind = artifactDataUrl ? thumbnailKind(artifactDataUrl, mimeType) : null;
+  const set = (patch) => onChange((p) => ({ ...p, ...patch }));
+
+  const generate = async () => {
+    if (!kind) return;
+    const run = ++runRef.current;
+    setBusy(true);
+    set({ pending: true });
+    setError('');
+    try {
+      const r = await makeThumbnail(artifactDataUrl, mimeType, {
+        budget: parseInt(value.budget, 10) || THUMB_BUDGET,
+        display: true,
+      });
+      if (run !== runRef.current) return;
+      setFits(r.fits && r.display.fits);
+      set({ uri: r.uri, displayUri: r.display.uri });
+    } catch (e) {
+      if (run !== runRef.current) return;
+      setError(e.message || String(e));
+      set({ uri: null, displayUri: null });
+    } finally {
+      if (run === runRef.current) {
+        setBusy(false);
+        set({ pending: false });
+      }
+    }
+  };
+
+  /* new artifact → new thumbnail (unless skipped) */
+  useEffect(() => {
+    runRef.current += 1;
+    setBusy(false);
+    set({ uri: null, displayUri: null, pending: false });
+    setError('');
+    if (artifactDataUrl && kind && !value.skip) generate();
+  }, [artifactDataUrl, value.skip]);
+
+  if (!artifactDataUrl) return null;
+
+  return (
+    <Box sx={{ p: 1.5, border: 1, borderColor: 'divider', borderRadius: 1 }}>
+      <Typography variant="body1">Thumbnail / Display Image</Typography>
+      <Typography variant="caption" color="textSecondary" sx={{ display: 'block', mb: 1 }}>
+        A small still stored on-chain so wallets and marketplaces don’t have to
+        render the full artifact in lists.
+      </Typography>
+
+      <FormControlLabel
+        control={
+          <Checkbox checked={value.skip} onChange={(e) => set({ skip: e.target.checked })} />
+        }
+        label="Skip thumbnail"
+      />
+      {!value.skip && (
+        <>
+          {!kind && (
+            <Typography variant="body2" color="textSecondary">
+              No thumbnail can be generated for this file type.
+            </Typography>
+          )}
+          {kind && (
+            <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 2, alignItems: 'center' }}>
+              {value.uri && (
+                <Box
+                  component="img"
+                  src={value.uri}
+                  alt="Thumbnail"
+                  sx={{ width: 96, height: 96, objectFit: 'contain', bgcolor: '#111', borderRadius: 1 }}
+                />
+              )}
+              <TextField
+                label="Budget (bytes)"
+                size="small"
+                value={value.budget}
+                onChange={(e) => set({ budget: e.target.value.replace(/\D/g, '') })}
+                sx={{ width: 140 }}
+              />
+              <FormControlLabel
+                control={
+                  <Checkbox
+                    checked={value.asDisplay}
+                    onChange={(e) => set({ asDisplay: e.target.checked })}
+                  />
+                }
+                label="Also use as displayUri"
+              />
+              <Button size="small" variant="outlined" onClick={generate} disabled={busy}
+                startIcon={busy ? <CircularProgress size={16} /> : null}>
+                {busy ? 'Generating…' : 'Regenerate'}
+              </Button>
+            </Box>
+          )}
+          {value.uri && (
+            <Typography variant="caption" color={fits ? 'textSecondary' : 'error'} sx={{ display: 'block', mt: 0.5 }}>
+              {value.uri.length.toLocaleString()} B (thumbnailUri)
+              {value.asDisplay && value.displayUri
+                && ` + ${value.displayUri.length.toLocaleString()} B (displayUri, JPEG)`}
+              {!fits && ' — over budget, smallest result kept'}
+            </Typography>
+          )}
+          {error && (
+            <Typography variant="caption" color="error" sx={{ display: 'block', mt: 0.5 }}>
+              {error}
+            </Typography>
+          )}
+        </>
+      )}
+    </Box>
+  );
+};
+
+export default MintThumbnail;
@@ -1,10 +1,12 @@
 /*Developed by @jams2blues with love for the Tezos community
   File: src/components/ManageContract/MintUpload.js
-  Summary: NFT artifact uploader — handles file selection and data-URL conversion only, no preview logic
+  Summary: NFT artifact uploader — handles file selection and data-URL conversion,
+           plus the optional in-browser optimiser; no preview logic
 */
 
 import React, { useState, useRef } from 'react';
 import { Button, Snackbar, Alert, Typography, Tooltip } from '@mui/material';
+import ArtifactOptimizer from '../ArtifactOptimizer';
 
 /*──────────────────────── Accepted types & extensions ───────────────*/
 const MIME_TYPES = [
@@ -30,9 +32,10 @@ const bytesOfB64 = (uri) => {
 };
 
 /*──────────────────────── Component ────────────────────────────────*/
-const MintUpload = ({ onFileChange, onFileDataUrlChange }) => {
+const MintUpload = ({ onFileChange, onFileDataUrlChange, budget }) => {
   const [snack, setSnack] = useState({ open: false, msg: '', sev: 'info' });
   const [fileName, setFileName] = useState('');
+  const [raw, setRaw] = useState(null); // { uri, file } as uploaded
   const [uploading, setUploading] = useState(false);
   const inputRef = useRef(null);
 
@@ -67,6 +70,7 @@ const MintUpload = ({ onFileChange, onFileDataUrlChange }) => {
         setSnack({ open: true, msg: 'File uploaded.', sev: 'success' });
       }
       setFileName(f.name);
+      setRaw({ uri, file: f });
       setUploading(false);
       onFileChange(f);
       onFileDataUrlChange(uri);
@@ -120,6 +124,24 @@ const MintUpload = ({ onFileChange, onFileDataUrlChange }) => {
         </Typography>
       )}
 
+      {raw && (
+        <ArtifactOptimizer
+          source={raw.uri}
+          fileName={raw.file.name}
+          budget={budget}
+          onApply={(uri, file) => {
+            setFileName(file.name);
+            onFileChange(file);
+            onFileDataUrlChange(uri);
+          }}
+          onRevert={() => {
+            setFileName(raw.file.name);
+            onFileChange(raw.file);
+            onFileDataUrlChange(raw.uri);
+          }}
+        />
+      )}
+
       <Snackbar
         open={snack.open}
         autoHideDuration={6000}
@@ -0,0 +1,211 @@
+/*Developed by @jams2blues with love for the Tezos community
+  File: src/components/ManageContract/OperatorInventory.js
+  Summary: Every operator approval the connected wallet has granted on one
+           contract (operators big-map via TzKT) — operator contracts
+           without an indexer alias are flagged, and any selection is
+           revoked in a single update_operators call.
+*/
+
+import React, { useState, useEffect, useContext, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  CircularProgress,
+  Alert,
+  Chip,
+  Checkbox,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Tooltip,
+  Stack,
+} from '@mui/material';
+import { WalletContext } from '../../contexts/WalletContext';
+import { explainTezosError } from '../../utils/tezosErrors';
+import {
+  getContract,
+  getContractBigmapKeys,
+  withFallback,
+} from '../../utils/indexer';
+
+/* ─── constants ───────────────────────────────────── */
+const KT1_RE = /^KT1[0-9A-Za-z]{33}$/;
+const keyOf = (r) => `${r.operator}:${r.tokenId}`;
+const short = (a) => `${a.slice(0, 8)}…${a.slice(-4)}`;
+
+/* ─── loaders ─────────────────────────────────────── */
+/**
+ * → [{ operator, tokenId, kind: 'account' | 'contract' | 'unknown', alias }]
+ * The RPC can't list big-map keys, so there is no indexer-free twin.
+ */
+const loadApprovals = (network, addr, owner) => withFallback(
+  async (opts) => {
+    const keys = await getContractBigmapKeys(network, addr, 'operators', { 'key.owner': owner }, opts);
+    const ops = [...new Set(keys.map((k) => k.key.operator))];
+    const aliases = Object.fromEntries(await Promise.all(ops.filter((o) => KT1_RE.test(o)).map(
+      async (o) => [o, (await getContract(network, o, opts).catch(() => null))?.alias || ''],
+    )));
+    return keys.map((k) => {
+      const { operator } = k.key;
+      const isKt = KT1_RE.test(operator);
+      return {
+        operator,
+        tokenId: Number(k.key.token_id),
+        kind: !isKt ? 'account' : aliases[operator] ? 'contract' : 'unknown',
+        alias: aliases[operator] || '',
+      };
+    }).sort((a, b) => a.operator.localeCompare(b.operator) || a.tokenId - b.tokenId);
+  },
+  () => { throw new Error('Listing approvals needs the TzKT indexer, which is unreachable right now.'); },
+);
+
+/* ─── component ─────────────────────────────────── */
+const OperatorInventory = ({ contractAddress, tezos, setSnackbar, contractVersion, reloadKey = 0 }) => {
+  const { walletAddress, network, trackOperation, reviewOperation } = useContext(WalletContext);
+  const [rows, setRows] = useState([]);
+  const [picked, setPicked] = useState(new Set());
+  const [loading, setLoading] = useState(false);
+  const [revoking, setRevoking] = useState(false);
+  const [error, setError] = useState('');
+
+  const snack = (m, sev = 'warning') =>
+    setSnackbar({ open: true, message: m, severity: sev });
+
+  const load = useCallback(async () => {
+    if (!walletAddress) return;
+    setLoading(true);
+    setError('');
+    try {
+      setRows(await loadApprovals(network, contractAddress, walletAddress));
+      setPicked(new Set());
+    } catch (e) {
+      setRows([]);
+      setError(e.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [network, contractAddress, walletAddress]);
+
+  useEffect(() => { load(); }, [load, reloadKey]);
+
+  const toggle = (k) => setPicked((prev) => {
+    const next = new Set(prev);
+    if (next.has(k)) next.delete(k); else next.add(k);
+    return next;
+  });
+
+  const revoke = async (list) => {
+    if (!list.length) return snack('Select at least one approval');
+    setRevoking(true);
+    try {
+      const c = await tezos.wallet.at(contractAddress);
+      const call = c.methods.update_operators(list.map((r) => ({
+        remove_operator: { owner: walletAddress, operator: r.operator, token_id: r.tokenId },
+      })));
+      const title = `Revoke ${list.length} approval${list.length === 1 ? '' : 's'}`;
+      if (!(await reviewOperation({ title, contract: c, calls: [call], version: contractVersion }))) return;
+      const op = await call.send();
+      trackOperation(op, { kind: 'update_operators', contract: contractAddress, label: title });
+      await op.confirmation();
+      snack(`${title} ✅`, 'success');
+      load();
+    } catch (e) {
+      snack(`Revoke failed: ${explainTezosError(e, contractVersion)}`, 'error');
+    } finally {
+      setRevoking(false);
+    }
+  };
+
+  if (!walletAddress) return null;
+
+  const unknown = rows.filter((r) => r.kind === 'unknown').length;
+  const allPicked = rows.length > 0 && picked.size === rows.length;
+
+  return (
+    <Box sx={{ mt: 4 }}>
+      <Stack direction="row" alignItems="center" spacing={1} sx={{ mb: 1 }}>
+        <Typography variant="h6">Your approvals on this contract</Typography>
+        <Button size="small" onClick={load} disabled={loading || revoking}>Refresh</Button>
+      </Stack>
+
+      {loading && <CircularProgress size={24} />}
+      {error && <Alert severity="warning">{error}</Alert>}
+      {!loading && !error && !rows.length && (
+        <Typography variant="body2" sx={{ opacity: 0.7 }}>
+          No operators can move your tokens on this contract.
+        </Typography>
+      )}
+
+      {!loading && rows.length > 0 && (
+        <>
+          {unknown > 0 && (
+            <Alert severity="warning" sx={{ mb: 1 }}>
+              {unknown} approval{unknown === 1 ? ' goes' : 's go'} to contracts the indexer
+              does not recognise. Revoke anything you did not knowingly grant.
+            </Alert>
+          )}
+          <Box sx={{ maxHeight: 360, overflow: 'auto', border: '1px solid', borderColor: 'divider', borderRadius: 1 }}>
+            <Table size="small" stickyHeader>
+              <TableHead>
+                <TableRow>
+                  <TableCell padding="checkbox">
+                    <Checkbox
+                      checked={allPicked}
+                      indeterminate={picked.size > 0 && !allPicked}
+                      onChange={() => setPicked(allPicked ? new Set() : new Set(rows.map(keyOf)))}
+                    />
+                  </TableCell>
+                  <TableCell>Operator</TableCell>
+                  <TableCell>Type</TableCell>
+                  <TableCell>Token ID</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {rows.map((r) => (
+                  <TableRow key={keyOf(r)} hover onClick={() => toggle(keyOf(r))} sx={{ cursor: 'pointer' }}>
+                    <TableCell padding="checkbox">
+                      <Checkbox checked={picked.has(keyOf(r))} />
+                    </TableCell>
+                    <TableCell sx={{ fontFamily: 'monospace' }}>
+                      <Tooltip title={r.operator} arrow><span>{short(r.operator)}</span></Tooltip>
+                    </TableCell>
+                    <TableCell>
+                      {r.kind === 'unknown'
+                        ? <Chip size="small" color="warning" label="unknown contract" />
+                        : <Chip size="small" variant="outlined" label={r.alias || r.kind} />}
+                    </TableCell>
+                    <TableCell>{r.tokenId}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </Box>
+          <Stack direction="row" spacing={1} justifyContent="flex-end" sx={{ mt: 2 }}>
+            <Button
+              variant="outlined"
+              color="warning"
+              disabled={revoking || !picked.size}
+              onClick={() => revoke(rows.filter((r) => picked.has(keyOf(r))))}
+            >
+              Revoke selected ({picked.size})
+            </Button>
+            <Button
+              variant="contained"
+              color="error"
+              disabled={revoking}
+              startIcon={revoking ? <CircularProgress size={20} /> : null}
+              onClick={() => revoke(rows)}
+            >
+              Revoke all ({rows.length})
+            </Button>
+          </Stack>
+        </>
+      )}
+    </Box>
+  );
+};
+
+export default OperatorInventory;
@@ -0,0 +1,77 @@
+/*Developed by @jams2blues with love for the Tezos community
+  File: src/components/ManageContract/RoyaltySplits.js
+  Summary: Editable payee / percentage table for multi-recipient royalties,
+           live total against MAX_ROYALTIES.
+*/
+
+import React from 'react';
+import { Typography, TextField, Grid, IconButton } from '@mui/material';
+import AddCircleIcon from '@mui/icons-material/AddCircle';
+import RemoveCircleIcon from '@mui/icons-material/RemoveCircle';
+import {
+  MAX_ROYALTIES,
+  totalRoyalties,
+  validateRoyaltySplits,
+} from '../../utils/tokenMetadata';
+
+const MAX_PAYEES = 10;
+
+const RoyaltySplits = ({ splits, onChange }) => {
+  const total = totalRoyalties(splits);
+  const problem = validateRoyaltySplits(splits);
+
+  const update = (i, field, val) =>
+    onChange(splits.map((s, idx) => (idx === i ? { ...s, [field]: val } : s)));
+  const add = () =>
+    splits.length < MAX_PAYEES && onChange([...splits, { address: '', percent: '' }]);
+  const remove = (i) => onChange(splits.filter((_, idx) => idx !== i));
+
+  return (
+    <>
+      <Typography variant="body1">Royalties *</Typography>
+      {splits.map((s, idx) => (
+        <Grid container spacing={1} key={idx} alignItems="center" sx={{ mt: 0.5 }}>
+          <Grid size={7}>
+            <TextField
+              label="Payee Address"
+              value={s.address}
+              onChange={(e) => update(idx, 'address', e.target.value.trim())}
+              fullWidth
+              placeholder="tz1… / KT1…"
+            />
+          </Grid>
+          <Grid size={3}>
+            <TextField
+              label="%"
+              value={s.percent}
+              onChange={(e) => update(idx, 'percent', e.target.value.replace(/[^0-9.]/g, ''))}
+              fullWidth
+              inputProps={{ inputMode: 'decimal' }}
+            />
+          </Grid>
+          <Grid size={2} sx={{ textAlign: 'center' }}>
+            {idx === 0 ? (
+              <IconButton onClick={add} color="primary" aria-label="Add Payee"
+                disabled={splits.length >= MAX_PAYEES}>
+                <AddCircleIcon />
+              </IconButton>
+            ) : (
+              <IconButton onClick={() => remove(idx)} color="secondary" aria-label="Remove Payee">
+                <RemoveCircleIcon />
+              </IconButton>
+            )}
+          </Grid>
+        </Grid>
+      ))}
+      <Typography
+        variant="caption"
+        color={problem ? 'error' : 'textSecondary'}
+        sx={{ mt: 0.5, display: 'block' }}
+      >
+        Total: {+total.toFixed(2)}% / {MAX_ROYALTIES}%{problem ? ` — ${problem}` : ''}
+      </Typography>
+    </>
+  );
+};
+
+export default RoyaltySplits;
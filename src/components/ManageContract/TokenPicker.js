@@ -0,0 +1,159 @@
+/*Developed by @jams2blues with love for the Tezos community
+  File: src/components/ManageContract/TokenPicker.js
+  Summary: Visual picker over an address's holdings in one collection —
+           on-chain thumbnail, name, id and held balance per tile. Also
+           exports loadHoldings (TzKT balances, RPC ledger walk fallback).
+*/
+
+import React, { useState } from 'react';
+import {
+  Box,
+  Typography,
+  Tooltip,
+  Skeleton,
+  TextField,
+  Alert,
+} from '@mui/material';
+import BrokenImageIcon from '@mui/icons-material/BrokenImage';
+import { getTokenBalances, withFallback } from '../../utils/indexer';
+import { readHoldings, MAX_RPC_TOKENS } from '../../utils/chainReader';
+
+/* ─── constants ───────────────────────────────────── */
+const TILE = 96;
+const FILTER_FROM = 12;   // show the search box past this many tokens
+const PAGE = 1000;        // TzKT rows per request
+
+/* ─── loader ──────────────────────────────────────── */
+/**
+ * What `owner` holds in `addr` → { holdings: [{ tokenId, balance, metadata }],
+ * capped }. One paged /tokens/balances query; without the indexer the
+ * ledger is walked id by id (capped past MAX_RPC_TOKENS).
+ */
+export const loadHoldings = (network, tezos, addr, owner) => withFallback(
+  async (opts) => {
+    const out = [];
+    for (let offset = 0; ; offset += PAGE) {
+      const page = await getTokenBalances(network, {
+        account: owner,
+        'token.contract': addr,
+        'balance.gt': 0,
+        'sort.asc': 'id',
+        offset,
+        limit: PAGE,
+      }, opts);
+      out.push(...page);
+      if (page.length < PAGE) break;
+    }
+    const holdings = out
+      .map((b) => ({
+        tokenId: Number(b.token?.tokenId),
+        balance: Number(b.balance),
+        metadata: b.token?.metadata || {},
+      }))
+      .sort((a, b) => a.tokenId - b.tokenId);
+    return { holdings, capped: false };
+  },
+  () => readHoldings(tezos, addr, owner),
+);
+
+/* grid tiles: prefer the light still over the full artifact */
+const pickThumb = (m = {}) => [m.thumbnailUri, m.displayUri, m.artifactUri]
+  .find((u) => typeof u === 'string' && /^(data:image\/|https?:)/.test(u)) || '';
+
+/* ─── tile ───────────────────────────────────────── */
+const Thumb = ({ src }) => {
+  const [broken, setBroken] = useState(false);
+  if (!src || broken) {
+    return (
+      <Box sx={{ width: TILE, height: TILE, display: 'flex', alignItems: 'center', justifyContent: 'center', bgcolor: 'action.disabledBackground' }}>
+        <BrokenImageIcon />
+      </Box>
+    );
+  }
+  return (
+    <Box component="img" src={src} alt="" onError={() => setBroken(true)}
+      sx={{ width: TILE, height: TILE, objectFit: 'contain', display: 'block', bgcolor: 'background.default' }} />
+  );
+};
+
+/* ─── component ─────────────────────────────────── */
+/**
+ * holdings: [{ tokenId, balance, metadata }] (loadHoldings);
+ * selected: token id, '' or an array of ids · onPick(id);
+ * capped: the RPC walk stopped early, so the list may be incomplete.
+ */
+const TokenPicker = ({ holdings = [], loading = false, selected = '', onPick, capped = false }) => {
+  const [filter, setFilter] = useState('');
+  const cappedNote = capped && (
+    <Alert severity="info" sx={{ mb: 1 }}>
+      The indexer is unreachable, so only token ids 0–{MAX_RPC_TOKENS - 1} were
+      checked on-chain — holdings above that are not listed.
+    </Alert>
+  );
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+        {[0, 1, 2, 3].map((i) => <Skeleton key={i} variant="rectangular" width={TILE} height={TILE + 36} />)}
+      </Box>
+    );
+  }
+  if (!holdings.length) {
+    return (
+      <Box>
+        {cappedNote}
+        <Typography variant="body2" sx={{ opacity: 0.7 }}>This address holds no tokens in this collection.</Typography>
+      </Box>
+    );
+  }
+
+  const q = filter.trim().toLowerCase();
+  const shown = q
+    ? holdings.filter((h) => String(h.tokenId) === q || (h.metadata.name || '').toLowerCase().includes(q))
+    : holdings;
+
+  return (
+    <Box>
+      {cappedNote}
+      {holdings.length > FILTER_FROM && (
+        <TextField size="small" label="Filter by name or id" value={filter}
+          onChange={(e) => setFilter(e.target.value)} sx={{ mb: 1 }} />
+      )}
+      <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', maxHeight: 320, overflow: 'auto' }}>
+        {shown.map((h) => {
+          const active = [].concat(selected).map(String).includes(String(h.tokenId));
+          return (
+            <Tooltip key={h.tokenId} title={h.metadata.name || `Token ${h.tokenId}`} arrow>
+              <Box
+                role="button"
+                tabIndex={0}
+                onClick={() => onPick(h.tokenId)}
+                onKeyDown={(e) => { if (e.key === 'Enter' || e.key === ' ') onPick(h.tokenId); }}
+                sx={{
+                  width: TILE,
+                  cursor: 'pointer',
+                  border: '2px solid',
+                  borderColor: active ? 'primary.main' : 'divider',
+                  borderRadius: 1,
+                  overflow: 'hidden',
+                }}
+              >
+                <Thumb src={pickThumb(h.metadata)} />
+                <Box sx={{ px: 0.5, py: 0.25 }}>
+                  <Typography variant="caption" noWrap component="div">
+                    {h.metadata.name || 'Untitled'}
+                  </Typography>
+                  <Typography variant="caption" component="div" sx={{ opacity: 0.7 }}>
+                    #{h.tokenId} · ×{h.balance}
+                  </Typography>
+                </Box>
+              </Box>
+            </Tooltip>
+          );
+        })}
+      </Box>
+    </Box>
+  );
+};
+
+export default TokenPicker;
@@ -1,9 +1,15 @@
 /*Developed by @jams2blues with love for the Tezos community
   File: src/components/ManageContract/Transfer.js
   Summary: No-code batch transfer — Grid V2-safe (size prop only).
+           Spreadsheet-style `to, token_id, amount` rows (CSV import,
+           paste from a sheet, or same token for pasted addresses),
+           checked against the sender's ledger balances and sent as one
+           FA2 `txs` list per `from_`, split across operations by size.
+           The sender's holdings load as a thumbnail picker; amounts are
+           capped at what's held and a missing operator approval is flagged.
 */
 
-import React, { useState, useContext } from 'react';
+import React, { useState, useContext, useEffect, useMemo } from 'react';
 import {
   Typography,
   TextField,
@@ -13,8 +19,40 @@ import {
   Tooltip,
   Alert,
   Box,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  IconButton,
+  Chip,
+  Stack,
+  LinearProgress,
 } from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
 import { WalletContext } from '../../contexts/WalletContext';
+import { explainTezosError } from '../../utils/tezosErrors';
+import { parseCSV, toCSV, downloadText } from '../../utils/csv';
+import { readBalances, readOperatorIds } from '../../utils/chainReader';
+import { MAX_METADATA_SIZE } from '../../utils/tokenMetadata';
+import { lookupOp } from '../../utils/opTracker';
+import TokenPicker, { loadHoldings } from './TokenPicker';
+
+/* ─── constants ───────────────────────────────────── */
+const MAX_ROWS = 2000;
+const MAX_TXS_PER_OP = 200;             // keeps gas far below the op limit
+const OP_BYTES = MAX_METADATA_SIZE;     // max_operation_data_length
+const OP_OVERHEAD_BYTES = 256;          // branch, signature, manager fields
+const TX_BYTES = 40;                    // Pair(address, Pair(nat, nat)) forged
+const COLUMNS = ['to', 'token_id', 'amount'];
+const BALANCE_DEBOUNCE_MS = 600;
+
+const STATUS_COLOR = {
+  ready: 'default', invalid: 'warning', sending: 'info', sent: 'success', failed: 'error',
+  unknown: 'secondary',
+};
+/* injected but not seen confirmed — never re-sent until looked up */
+const SETTLED = ['sent', 'sending', 'unknown'];
 
 /* ─── helpers ────────────────────────────────────── */
 const isTezosAddr = (s) =>
@@ -26,45 +64,292 @@ const parseRecipients = (raw) =>
     .map((s) => s.trim())
     .filter(Boolean);
 
+let rowSeq = 0;
+const newRow = (to = '', tokenId = '', amount = '1') =>
+  ({ key: `r${rowSeq += 1}`, to: to.trim(), tokenId: String(tokenId).trim(), amount: String(amount).trim() || '1', status: 'ready' });
+
+/* header aliases → to / token_id / amount */
+const fromRecord = (r) => newRow(
+  r.to ?? r.to_ ?? r.address ?? r.recipient ?? '',
+  r.token_id ?? r.tokenid ?? r.token ?? r.id ?? '',
+  r.amount ?? r.qty ?? r.quantity ?? '1',
+);
+
+/**
+ * Pasted text → rows. Tab- or comma-separated `to, token_id, amount`
+ * (header optional); a bare address list takes the quick-add defaults.
+ */
+const parseRows = (text, defaults) => {
+  const csv = text.includes('\t') ? text.replace(/\t/g, ',') : text;
+  const lines = csv.trim().split(/\r?\n/).filter((l) => l.trim());
+  if (!lines.length) return [];
+  if (!lines.some((l) => l.includes(','))) {
+    return parseRecipients(csv).map((a) => newRow(a, defaults.tokenId, defaults.amount));
+  }
+  const headed = /(^|,)\s*(to_?|address|recipient)\s*(,|$)/i.test(lines[0]);
+  return parseCSV(headed ? csv : `${COLUMNS.join(',')}\n${csv}`).map(fromRecord);
+};
+
+const rowProblem = (r, isV1) => {
+  if (!isTezosAddr(r.to)) return 'invalid address';
+  if (!/^\d+$/.test(r.tokenId)) return 'token_id must be ≥ 0';
+  if (!/^\d+$/.test(r.amount) || Number(r.amount) < 1) return 'amount must be ≥ 1';
+  if (isV1 && Number(r.amount) !== 1) return 'v1 tokens are single editions';
+  return '';
+};
+
+/* greedy pack: consecutive rows until bytes or tx count would overflow */
+const packOps = (rows) => {
+  const out = [];
+  let cur = [], bytes = OP_OVERHEAD_BYTES;
+  rows.forEach((r) => {
+    if (cur.length && (bytes + TX_BYTES > OP_BYTES || cur.length >= MAX_TXS_PER_OP)) {
+      out.push(cur); cur = []; bytes = OP_OVERHEAD_BYTES;
+    }
+    cur.push(r); bytes += TX_BYTES;
+  });
+  if (cur.length) out.push(cur);
+  return out;
+};
+
 /* ─── component ─────────────────────────────────── */
-const Transfer = ({ contractAddress, tezos, setSnackbar }) => {
-  const { walletAddress } = useContext(WalletContext);
+const Transfer = ({ contractAddress, tezos, setSnackbar, contractVersion }) => {
+  const { walletAddress, network, trackOperation, reviewOperation } = useContext(WalletContext);
+  const isV1 = contractVersion === 'v1';
 
   const [fromAddr, setFrom]    = useState(walletAddress || '');
   const [tokenId,  setTokenId] = useState('');
   const [amount,   setAmount]  = useState('1');
   const [rawList,  setRawList] = useState('');
+  const [rows,     setRows]    = useState([]);
+  const [balances, setBalances] = useState({});
+  const [approved, setApproved] = useState(null); // ids the wallet may move for from_
+  const [checking, setChecking] = useState(false);
+  const [holdings, setHoldings] = useState([]);
+  const [holdLoading, setHoldLoading] = useState(false);
+  const [holdCapped, setHoldCapped] = useState(false);
+  const [refresh,  setRefresh] = useState(0);     // bumped after sends
   const [loading,  setLoading] = useState(false);
+  const [opInfo,   setOpInfo]  = useState({ current: 0, total: 0 });
 
   const snack = (m, sev = 'warning') =>
     setSnackbar({ open: true, message: m, severity: sev });
 
+  const sender  = fromAddr.trim();
+  const byProxy = isTezosAddr(sender) && !!walletAddress && sender !== walletAddress;
+
+  /* held balance of one id — exact ledger read first, then the inventory */
+  const held = (id) => {
+    if (balances[id] !== undefined) return balances[id];
+    return holdings.find((h) => String(h.tokenId) === String(id))?.balance;
+  };
+  const capAt = (id, v) => {
+    const max = held(id);
+    return max !== undefined && v !== '' && Number(v) > max ? String(Math.max(max, 1)) : v;
+  };
+
+  /* ── row editing ──────────────────────────────── */
+  const addRows = (next) => {
+    if (!next.length) { snack('No rows found'); return; }
+    setRows((prev) => {
+      const merged = [...prev, ...next];
+      if (merged.length > MAX_ROWS) snack(`Only the first ${MAX_ROWS} rows are kept`);
+      return merged.slice(0, MAX_ROWS);
+    });
+  };
+
+  const addPasted = () => {
+    addRows(parseRows(rawList, { tokenId, amount }));
+    setRawList('');
+  };
+
+  const importCSV = async (file) => {
+    if (!file) return;
+    addRows(parseCSV(await file.text()).map(fromRecord));
+  };
+
+  const editRow = (key, field, value) =>
+    setRows((prev) => prev.map((r) => {
+      if (r.key !== key) return r;
+      const next = { ...r, [field]: value, status: 'ready', error: '' };
+      return field === 'amount' ? { ...next, amount: capAt(r.tokenId, value) } : next;
+    }));
+
+  const pickToken = (id) => {
+    setTokenId(String(id));
+    setAmount((a) => capAt(id, a));
+  };
+
+  /* ── sender inventory for the picker ─────────── */
+  useEffect(() => {
+    if (!tezos || !isTezosAddr(sender)) { setHoldings([]); setHoldCapped(false); return undefined; }
+    let live = true;
+    const t = setTimeout(async () => {
+      setHoldLoading(true);
+      try {
+        const got = await loadHoldings(network, tezos, contractAddress, sender);
+        if (live) { setHoldings(got.holdings); setHoldCapped(got.capped); }
+      } catch {
+        if (live) { setHoldings([]); setHoldCapped(false); }
+      } finally {
+        if (live) setHoldLoading(false);
+      }
+    }, BALANCE_DEBOUNCE_MS);
+    return () => { live = false; clearTimeout(t); };
+  }, [network, tezos, contractAddress, sender, refresh]);
+
+  const removeRow = (key) => setRows((prev) => prev.filter((r) => r.key !== key));
+
+  const exportCSV = () => downloadText(
+    `transfer-${contractAddress}.csv`,
+    toCSV(rows.length
+      ? rows.map((r) => ({ to: r.to, token_id: r.tokenId, amount: r.amount }))
+      : [{ to: 'tz1…', token_id: 0, amount: 1 }], COLUMNS),
+    'text/csv',
+  );
+
+  /* ── sender balances for every referenced id ─── */
+  const idKey = [...new Set([...rows.map((r) => r.tokenId), tokenId].filter((t) => /^\d+$/.test(t)))].sort().join(',');
+  useEffect(() => {
+    if (!tezos || !isTezosAddr(sender) || !idKey) { setBalances({}); setApproved(null); return undefined; }
+    let live = true;
+    const t = setTimeout(async () => {
+      setChecking(true);
+      const ids = idKey.split(',').map(Number);
+      try {
+        const [got, ops] = await Promise.all([
+          readBalances(tezos, contractAddress, sender, ids),
+          byProxy ? readOperatorIds(tezos, contractAddress, sender, walletAddress, ids) : null,
+        ]);
+        if (live) { setBalances(got); setApproved(ops); }
+      } catch {
+        if (live) { setBalances({}); setApproved(null); }
+      } finally {
+        if (live) setChecking(false);
+      }
+    }, BALANCE_DEBOUNCE_MS);
+    return () => { live = false; clearTimeout(t); };
+  }, [tezos, contractAddress, sender, walletAddress, byProxy, idKey, refresh]);
+
+  /* ── validation: per row, then per token against the ledger ── */
+  const checked = useMemo(() => {
+    const need = {};
+    const base = rows.map((r) => {
+      if (SETTLED.includes(r.status)) return r;
+      const problem = rowProblem(r, isV1);
+      if (problem) return { ...r, status: 'invalid', error: problem };
+      need[r.tokenId] = (need[r.tokenId] || 0) + Number(r.amount);
+      return r;
+    });
+    return base.map((r) => {
+      if (r.status === 'invalid' || SETTLED.includes(r.status)) return r;
+      const have = balances[r.tokenId];
+      return have !== undefined && need[r.tokenId] > have
+        ? { ...r, status: 'invalid', error: `sender holds ${have}, rows need ${need[r.tokenId]}` }
+        : r;
+    });
+  }, [rows, balances, isV1]);
+
+  const pending = checked.filter((r) => r.status === 'ready' || r.status === 'failed');
+  const invalid = checked.filter((r) => r.status === 'invalid').length;
+  const sent    = checked.filter((r) => r.status === 'sent').length;
+  const unknown = checked.filter((r) => r.status === 'unknown');
+  const ops     = packOps(pending);
+  const unapproved = byProxy && approved
+    ? [...new Set(pending.map((r) => Number(r.tokenId)))].filter((id) => !approved.has(id))
+    : [];
+  const perToken = {};
+  pending.forEach((r) => { perToken[r.tokenId] = (perToken[r.tokenId] || 0) + Number(r.amount); });
+
+  const patchRows = (group, patch) => {
+    const keys = new Set(group.map((r) => r.key));
+    setRows((prev) => prev.map((r) => (keys.has(r.key) ? { ...r, ...patch } : r)));
+  };
+
+  /**
+   * Look up every 'unknown' op before anything is re-sent → { retry, waiting }:
+   * keys of rows whose op failed or expired (safe to send again) and the
+   * count still pending (left 'unknown'). Applied rows become 'sent'.
+   */
+  const settleUnknown = async () => {
+    const retry = new Set();
+    let waiting = 0;
+    const byHash = new Map();
+    unknown.forEach((r) => byHash.set(r.opHash, [...(byHash.get(r.opHash) || []), r]));
+    for (const [hash, group] of byHash) {
+      const res = await lookupOp({ hash, network, submittedAt: group[0].sentAt })
+        .catch(() => ({ status: 'pending' }));
+      if (res.status === 'pending') { waiting += group.length; continue; }
+      if (res.status === 'applied') patchRows(group, { status: 'sent', error: '' });
+      else {
+        group.forEach((r) => retry.add(r.key));
+        patchRows(group, { status: 'ready', opHash: '', error: res.error || res.status });
+      }
+    }
+    return { retry, waiting };
+  };
+
+  /* ── send: one `transfer` call per op, one from_ per call ── */
   const handleSend = async () => {
-    const recips = parseRecipients(rawList);
-    if (!isTezosAddr(fromAddr))   return snack('Invalid sender address');
-    if (recips.length === 0)      return snack('Paste at least one address');
-    if (recips.some((a) => !isTezosAddr(a)))
-      return snack('One or more recipient addresses are invalid');
-    const id  = Number(tokenId);
-    const amt = Number(amount);
-    if (!Number.isFinite(id)  || id  < 0) return snack('Token-ID must be ≥ 0');
-    if (!Number.isFinite(amt) || amt <= 0) return snack('Amount must be ≥ 1');
-
-    const txs = recips.map((to_) => ({ to_, token_id: id, amount: amt }));
-    const params = [{ from_: fromAddr, txs }];
+    if (!isTezosAddr(fromAddr))        return snack('Invalid sender address');
+    if (!ops.length && !unknown.length) return snack('Add at least one valid row');
+    if (invalid)                       return snack('Fix or remove the highlighted rows first');
 
+    setLoading(true);
     try {
-      setLoading(true);
-      const c  = await tezos.wallet.at(contractAddress);
-      const op = await c.methods.transfer(params).send();
-      snack('Batch transfer in progress…', 'info');
-      await op.confirmation();
+      const { retry, waiting } = unknown.length ? await settleUnknown() : { retry: new Set(), waiting: 0 };
+      if (waiting) {
+        snack(`${waiting} row${waiting === 1 ? ' was' : 's were'} sent but not confirmed yet — they won't be re-sent until the operation settles.`, 'warning');
+      }
+      const todo = packOps(checked.filter((r) =>
+        r.status === 'ready' || r.status === 'failed' || retry.has(r.key)));
+      if (!todo.length) return;
+      const c = await tezos.wallet.at(contractAddress);
+      for (const [i, group] of todo.entries()) {
+        setOpInfo({ current: i + 1, total: todo.length });
+        const txs = group.map((r) => ({ to_: r.to, token_id: Number(r.tokenId), amount: Number(r.amount) }));
+        const call = c.methods.transfer([{ from_: fromAddr.trim(), txs }]);
+        const ok = await reviewOperation({
+          title: `Transfer ${txs.length} row${txs.length === 1 ? '' : 's'}`,
+          contract: c,
+          calls: [call],
+          version: contractVersion,
+          part: { index: i + 1, total: todo.length },
+        });
+        if (!ok) { snack('Transfer paused – press “Send” to continue', 'info'); return; }
+        patchRows(group, { status: 'sending', error: '' });
+        let op = null;
+        try {
+          op = await call.send();
+          patchRows(group, { opHash: op.opHash, sentAt: Date.now() });
+          trackOperation(op, {
+            kind: 'transfer',
+            contract: contractAddress,
+            label: `Transfer tokens ${i + 1}/${todo.length}`,
+          });
+          snack(`Transfer ${i + 1}/${todo.length} in progress…`, 'info');
+          await op.confirmation();
+          patchRows(group, { status: 'sent' });
+        } catch (e) {
+          const reason = explainTezosError(e, contractVersion);
+          if (op) {
+            /* injected — only the confirmation failed, so it may still land */
+            patchRows(group, { status: 'unknown', error: `Sent, not confirmed: ${reason}` });
+            snack(`Transfer ${i + 1}/${todo.length} was sent but not confirmed (${reason}). “Send” checks it on-chain before retrying.`, 'warning');
+          } else {
+            patchRows(group, { status: 'failed', error: reason });
+            snack(`Transfer ${i + 1}/${todo.length} failed: ${reason}`, 'error');
+          }
+          return;
+        }
+      }
       snack('Tokens sent ✅', 'success');
-      setRawList('');
     } catch (e) {
-      snack(`Transfer failed: ${e.message}`, 'error');
+      snack(`Transfer failed: ${explainTezosError(e, contractVersion)}`, 'error');
     } finally {
       setLoading(false);
+      setOpInfo({ current: 0, total: 0 });
+      setRefresh((n) => n + 1);
     }
   };
 
@@ -72,6 +357,20 @@ const Transfer = ({ contractAddress, tezos, setSnackbar }) => {
   return (
     <Box sx={{ mt: 4 }}>
       <Typography variant="h6">Batch Transfer NFTs</Typography>
+      <Typography variant="body2" gutterBottom>
+        Build a list of <code>to, token_id, amount</code> rows — import a CSV,
+        paste from a spreadsheet, or paste addresses to send the same token
+        to each. Rows are checked against the sender’s balances.
+      </Typography>
+
+      {byProxy && unapproved.length > 0 && (
+        <Alert severity="warning" sx={{ mb: 2 }}>
+          The sender is not your connected wallet and has not approved it as
+          an operator for token{unapproved.length === 1 ? '' : 's'}{' '}
+          {unapproved.map((id) => `#${id}`).join(', ')} — the contract will
+          reject this transfer. Ask the owner to add you via Update Operators.
+        </Alert>
+      )}
 
       <Grid container spacing={2} sx={{ width: '100%' }}>
         <Grid size={{ xs: 12, sm: 6 }}>
@@ -86,9 +385,9 @@ const Transfer = ({ contractAddress, tezos, setSnackbar }) => {
 
         <Grid size={{ xs: 6, sm: 3 }}>
           <TextField
-            label="Token-ID *"
+            label="Token-ID (address lists)"
             value={tokenId}
-            onChange={(e) => setTokenId(e.target.value.replace(/\D/g, ''))}
+            onChange={(e) => pickToken(e.target.value.replace(/\D/g, ''))}
             fullWidth
             placeholder="0"
             inputProps={{ inputMode: 'numeric', pattern: '[0-9]*' }}
@@ -97,58 +396,152 @@ const Transfer = ({ contractAddress, tezos, setSnackbar }) => {
 
         <Grid size={{ xs: 6, sm: 3 }}>
           <TextField
-            label="Amount each *"
+            label="Amount each"
             value={amount}
             onChange={(e) =>
-              setAmount(e.target.value.replace(/\D/g, '') || '1')
+              setAmount(capAt(tokenId, e.target.value.replace(/\D/g, '') || '1'))
             }
             fullWidth
             placeholder="1"
+            helperText={held(tokenId) !== undefined ? `holds ${held(tokenId)}` : ' '}
             inputProps={{ inputMode: 'numeric', pattern: '[0-9]*' }}
           />
         </Grid>
 
+        <Grid size={12}>
+          <Typography variant="subtitle2" gutterBottom>
+            Sender’s tokens {holdings.length > 0 && `(${holdings.length})`}
+          </Typography>
+          {isTezosAddr(sender) ? (
+            <TokenPicker holdings={holdings} loading={holdLoading} capped={holdCapped}
+              selected={tokenId} onPick={pickToken} />
+          ) : (
+            <Typography variant="body2" sx={{ opacity: 0.7 }}>Enter a sender address to load its tokens.</Typography>
+          )}
+        </Grid>
+
         <Grid size={12}>
           <TextField
-            label="Recipient addresses *"
+            label="Paste rows or addresses"
             value={rawList}
             onChange={(e) => setRawList(e.target.value)}
             fullWidth
             multiline
             minRows={4}
-            placeholder="Paste tz1/tz2/tz3 addresses separated by space, comma, or newline"
+            placeholder={'tz1…, 3, 2   (to, token_id, amount — tabs work too)\n…or just tz1 addresses, one per line'}
           />
-          <Typography variant="caption" sx={{ mt: 0.5, display: 'block' }}>
-            Detected&nbsp;
-            {parseRecipients(rawList).filter(isTezosAddr).length}&nbsp;valid /
-            {parseRecipients(rawList).length}&nbsp;total
-          </Typography>
+          <Stack direction="row" spacing={1} sx={{ mt: 1, flexWrap: 'wrap' }}>
+            <Button variant="outlined" onClick={addPasted} disabled={!rawList.trim()}>
+              Add rows
+            </Button>
+            <Button variant="outlined" component="label">
+              Import CSV
+              <input hidden type="file" accept=".csv,text/csv"
+                onChange={(e) => { importCSV(e.target.files[0]); e.target.value = null; }} />
+            </Button>
+            <Button onClick={exportCSV}>{rows.length ? 'Export CSV' : 'CSV template'}</Button>
+            <Button onClick={() => setRows((prev) => [...prev, newRow('', tokenId, amount)])}>
+              Add empty row
+            </Button>
+            {rows.length > 0 && (
+              <Button color="secondary" onClick={() => setRows([])} disabled={loading}>Clear</Button>
+            )}
+          </Stack>
         </Grid>
       </Grid>
 
-      {parseRecipients(rawList).some((a) => !isTezosAddr(a)) && (
-        <Alert severity="warning" sx={{ mt: 2 }}>
-          Some entries are not valid Tezos addresses and will block transfer.
-        </Alert>
+      {/* rows table */}
+      {checked.length > 0 && (
+        <>
+          <Typography variant="subtitle2" sx={{ mt: 3 }}>
+            {checked.length} rows · {pending.length} ready · {sent} sent
+            {unknown.length > 0 && ` · ${unknown.length} unconfirmed`} · {ops.length} operation
+            {ops.length === 1 ? '' : 's'} left
+          </Typography>
+          <Stack direction="row" spacing={1} sx={{ my: 1, flexWrap: 'wrap', rowGap: 1 }}>
+            {Object.entries(perToken).map(([id, n]) => (
+              <Chip
+                key={id}
+                size="small"
+                variant="outlined"
+                color={balances[id] !== undefined && n > balances[id] ? 'error' : 'default'}
+                label={`#${id}: ${n} of ${balances[id] ?? '…'}`}
+              />
+            ))}
+          </Stack>
+          {checking && <LinearProgress sx={{ mb: 1 }} />}
+          {invalid > 0 && (
+            <Alert severity="warning" sx={{ mb: 1 }}>
+              {invalid} row{invalid === 1 ? '' : 's'} need attention — hover the status for details.
+            </Alert>
+          )}
+          <Box sx={{ maxHeight: 360, overflow: 'auto', border: '1px solid', borderColor: 'divider', borderRadius: 1 }}>
+            <Table size="small" stickyHeader>
+              <TableHead>
+                <TableRow>
+                  <TableCell>#</TableCell>
+                  <TableCell>To</TableCell>
+                  <TableCell>Token ID</TableCell>
+                  <TableCell>Amount</TableCell>
+                  <TableCell>Status</TableCell>
+                  <TableCell />
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {checked.map((r, i) => {
+                  const locked = SETTLED.includes(r.status);
+                  return (
+                    <TableRow key={r.key}>
+                      <TableCell>{i + 1}</TableCell>
+                      <TableCell sx={{ minWidth: 260 }}>
+                        <TextField variant="standard" size="small" fullWidth value={r.to} disabled={locked}
+                          onChange={(e) => editRow(r.key, 'to', e.target.value.trim())} />
+                      </TableCell>
+                      <TableCell sx={{ width: 100 }}>
+                        <TextField variant="standard" size="small" value={r.tokenId} disabled={locked}
+                          inputProps={{ inputMode: 'numeric' }}
+                          onChange={(e) => editRow(r.key, 'tokenId', e.target.value.replace(/\D/g, ''))} />
+                      </TableCell>
+                      <TableCell sx={{ width: 100 }}>
+                        <TextField variant="standard" size="small" value={r.amount} disabled={locked || isV1}
+                          inputProps={{ inputMode: 'numeric' }}
+                          onChange={(e) => editRow(r.key, 'amount', e.target.value.replace(/\D/g, ''))} />
+                      </TableCell>
+                      <TableCell>
+                        <Tooltip title={r.error || r.opHash || ''} arrow>
+                          <Chip size="small" label={r.status} color={STATUS_COLOR[r.status]}
+                            icon={r.status === 'sending' ? <CircularProgress size={12} /> : undefined} />
+                        </Tooltip>
+                      </TableCell>
+                      <TableCell padding="none">
+                        <IconButton size="small" disabled={locked} onClick={() => removeRow(r.key)}>
+                          <DeleteIcon fontSize="small" />
+                        </IconButton>
+                      </TableCell>
+                    </TableRow>
+                  );
+                })}
+              </TableBody>
+            </Table>
+          </Box>
+        </>
       )}
 
       <Box sx={{ mt: 2, textAlign: 'right' }}>
-        <Tooltip title="One FA2 call, many recipients – gas-efficient." arrow>
+        <Tooltip title="One FA2 call per operation, many recipients – gas-efficient." arrow>
           <span>
             <Button
               variant="contained"
               color="warning"
               onClick={handleSend}
-              disabled={
-                loading ||
-                !fromAddr ||
-                !tokenId ||
-                !amount ||
-                parseRecipients(rawList).length === 0
-              }
+              disabled={loading || !fromAddr || (!ops.length && !unknown.length) || invalid > 0 || checking}
               startIcon={loading ? <CircularProgress size={20} /> : null}
             >
-              {loading ? 'Sending…' : 'Send Batch'}
+              {loading
+                ? `Operation ${opInfo.current}/${opInfo.total}…`
+                : !ops.length
+                  ? `Check ${unknown.length} unconfirmed row${unknown.length === 1 ? '' : 's'}`
+                  : `Send ${pending.length} row${pending.length === 1 ? '' : 's'} in ${ops.length} operation${ops.length === 1 ? '' : 's'}`}
             </Button>
           </span>
         </Tooltip>
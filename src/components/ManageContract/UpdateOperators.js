@@ -1,8 +1,9 @@
 /* Developed by @jams2blues with love for the Tezos community
    File: src/components/ManageContract/UpdateOperators.js
-   Summary: Allows updating NFT operator permissions for different contract versions.
+   Summary: Allows updating NFT operator permissions for different contract versions,
+   above an inventory of the connected wallet's approvals with bulk revoke.
 */
-import React, { useState } from 'react';
+import React, { useState, useContext } from 'react';
 import {
   Typography,
   TextField,
@@ -14,13 +15,18 @@ import {
   Select,
   MenuItem
 } from '@mui/material';
+import { WalletContext } from '../../contexts/WalletContext';
+import { explainTezosError } from '../../utils/tezosErrors';
+import OperatorInventory from './OperatorInventory';
 
 const UpdateOperators = ({ contractAddress, tezos, setSnackbar, contractVersion }) => {
+  const { trackOperation, reviewOperation } = useContext(WalletContext);
   const [operatorType, setOperatorType] = useState('add_operator');
   const [ownerAddress, setOwnerAddress] = useState('');
   const [operatorAddress, setOperatorAddress] = useState('');
   const [tokenId, setTokenId] = useState('');
   const [loading, setLoading] = useState(false);
+  const [reloadKey, setReloadKey] = useState(0);
 
   const isValidAddress = (addr) =>
     /^(tz1|tz2|tz3)[1-9A-HJ-NP-Za-km-z]{33}$/.test(addr);
@@ -41,7 +47,7 @@ const UpdateOperators = ({ contractAddress, tezos, setSnackbar, contractVersion
     }
 
     const ver = contractVersion.toString().toLowerCase();
-    if (ver !== 'v1' && !ver.startsWith('v2') && ver !== 'v3') {
+    if (ver !== 'v1' && !ver.startsWith('v2') && ver !== 'v3' && ver !== 'v4') {
       setSnackbar({
         open: true,
         message: `Unsupported contract version: ${contractVersion}`,
@@ -62,16 +68,25 @@ const UpdateOperators = ({ contractAddress, tezos, setSnackbar, contractVersion
         }
       };
 
-      const op = await contract.methods.update_operators([param]).send();
+      const call = contract.methods.update_operators([param]);
+      const label = operatorType === 'add_operator' ? 'Add operator' : 'Remove operator';
+      if (!(await reviewOperation({ title: label, contract, calls: [call], version: ver }))) return;
+      const op = await call.send();
+      trackOperation(op, {
+        kind: 'update_operators',
+        contract: contractAddress,
+        label,
+      });
       await op.confirmation();
 
       setSnackbar({ open: true, message: 'Operator updated successfully.', severity: 'success' });
+      setReloadKey((k) => k + 1);
       setOwnerAddress('');
       setOperatorAddress('');
       setTokenId('');
     } catch (error) {
       const msg = error?.message || '';
-      let userMessage = 'Update failed.';
+      let userMessage = `Update failed: ${explainTezosError(error, contractVersion)}`;
       if (msg.includes('contract.not_found') || msg.includes('Invalid account address')) {
         userMessage = 'Contract not found on this network. Please switch networks.';
       }
@@ -140,6 +155,13 @@ const UpdateOperators = ({ contractAddress, tezos, setSnackbar, contractVersion
           {loading ? 'Updating...' : 'Update Operator'}
         </Button>
       </div>
+      <OperatorInventory
+        contractAddress={contractAddress}
+        tezos={tezos}
+        setSnackbar={setSnackbar}
+        contractVersion={contractVersion.toString().toLowerCase()}
+        reloadKey={reloadKey}
+      />
     </div>
   );
 };
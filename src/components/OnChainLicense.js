@@ -14,6 +14,7 @@ import {
 import { styled } from '@mui/material/styles';
 import { TezosToolkit } from '@taquito/taquito';
 import OnChainLicenseSVG from './OnChainLicenseSVG';
+import { rpcCandidates } from '../utils/endpoints';
 
 const Container = styled(Paper)`
   max-width: 900px;
@@ -46,7 +47,8 @@ export default function OnChainLicense() {
 
   useEffect(() => {
     (async () => {
-      for (const rpc of RPCS) {
+      /* user's mainnet nodes (settings panel) lead */
+      for (const rpc of [...new Set([...rpcCandidates('mainnet'), ...RPCS])]) {
         try {
           const tezos = new TezosToolkit(rpc);
           const contract = await tezos.contract.at(LICENSE_ADDRESS);
@@ -1,7 +1,10 @@
 /*Developed by @jams2blues with love for the Tezos community
   File: src/components/OnChainViewer/OnChainViewer.js
   Summary: FOC collection viewer — robust burn-filter (supply may stay 1),
-           SVG no-gutter, retries, admin-only auto-list, paste-KT1 focus.
+           SVG no-gutter, retries, admin-only auto-list, paste-KT1 focus,
+           deep links (routeKt / routeTokenId in, onRouteChange out),
+           RPC-only fallback when TzKT is unreachable, per-token history
+           timeline in the token dialog.
 */
 
 /*────────────────── imports ──────────────────*/
@@ -19,24 +22,31 @@ import ChevronRightIcon  from '@mui/icons-material/ChevronRight';
 import BugReportIcon     from '@mui/icons-material/BugReport';
 import CloseIcon         from '@mui/icons-material/Close';
 import { WalletContext } from '../../contexts/WalletContext';
+import {
+  hex2str,
+  hashList,
+  resolveVersion,
+  versionOfHash,
+  contractsByCreator,
+  getContract,
+  getStorage,
+  getBigmapKeys,
+  getTokens,
+  getTokenBalances,
+  withFallback,
+} from '../../utils/indexer';
+import {
+  readContractSummary,
+  readTokens,
+  rememberContracts,
+  knownContracts,
+} from '../../utils/chainReader';
+import DataSourceBadge from '../DataSourceBadge';
+import TokenHistory from '../TokenHistory';
 
 /*────────────────── constants ─────────────────*/
 const DEV = process.env.NODE_ENV !== 'production';
 
-const HASHES = {
-  ghostnet: { v1:-543526052,v2a:-1889653220,v2b:943737041,v2c:-1513923773,
-              v2d:-1835576114,v2e:1529857708,v3:862045731 },
-  mainnet : { v1:-543526052,v2a:-1889653220,v2b:943737041,v2c:-1513923773,
-              v2d:-1835576114,v2e:1529857708,v3:862045731 },
-};
-const allowedHashSet = (net) => new Set(Object.values(HASHES[net]));
-const VER = {}; Object.entries(HASHES.ghostnet).forEach(([k, v]) => { VER[v] = k.toUpperCase(); });
-
-const TZKT = {
-  ghostnet: 'https://api.ghostnet.tzkt.io/v1',
-  mainnet : 'https://api.tzkt.io/v1',
-};
-
 /* two canonical burn addresses (tz1 & tz1Z…) */
 const BURN_ADDRS = [
   'tz1burnburnburnburnburnburnburjAYjjX',
@@ -44,29 +54,15 @@ const BURN_ADDRS = [
 ];
 
 const KT1_RE      = /^KT1[0-9A-Za-z]{33}$/;
+const routeKey    = (kt, id) => `${kt || ''}/${id ?? ''}`;
 const CONCURRENCY = 2;
-const RETRIES     = 3;
 
 /*────────────────── helpers ──────────────────*/
-const sleep = (ms) => new Promise((res) => setTimeout(res, ms));
-const hex2str = (h) => {
-  const s = h.startsWith('0x') ? h.slice(2) : h;
-  const b = new Uint8Array(s.length / 2);
-  for (let i = 0; i < b.length; i += 1) b[i] = parseInt(s.substr(i * 2, 2), 16);
-  return new TextDecoder('utf-8').decode(b);
-};
 const safe = (s, f) => { try { return JSON.parse(s); } catch { return f; } };
 const hasIpfs = (obj) => JSON.stringify(obj).includes('ipfs://');
 
-/* resilient fetch with 429 back-off */
-async function fjson(url) {
-  for (let i = 0; i < RETRIES; i += 1) {
-    const r = await fetch(url).catch(() => null);
-    if (r && r.ok) { try { return await r.json(); } catch { return null; } }
-    if (r && r.status === 429) await sleep(600 * (i + 1)); else break;
-  }
-  return null;
-}
+/* indexer calls degrade to null — one bad contract mustn't sink the list */
+const soft = (p) => p.catch(() => null);
 async function mapLimit(arr, n, fn) {
   const it = arr[Symbol.iterator](); const out = [];
   await Promise.all(Array.from({ length: n }, async () => { for (const v of it) out.push(await fn(v)); }));
@@ -83,14 +79,20 @@ const isVideo  = (u, m = '') => isData(u) && m.startsWith('video/');
 const isHTML   = (u, m = '') => isData(u) && m.startsWith('text/html');
 const hasVisual= (u) => { u=unwrap(u); return !!u&&(u.startsWith('data:')||u.startsWith('http')||/^[A-Za-z0-9+/]+={0,2}$/.test(u)); };
 const pickUri  = (m) => unwrap(m.imageUri || m.artifactUri || m.displayUri || m.thumbnailUri || '');
-const fmtRoy   = (r) => { try{const{decimals,shares}=r;return Object.entries(shares).map(([a,v])=>`${(v/10**decimals*100).toFixed(1)}% → ${a}`).join(', ');}catch{return '—';} };
+/* grid tiles: prefer the light still over the full artifact */
+const pickThumb= (m) => unwrap(m.thumbnailUri || m.displayUri || m.imageUri || m.artifactUri || '');
+const fmtPct   = (n) => `${+n.toFixed(2)}%`;
+/* royalties split: "12.5% total — 10% → tz1…, 2.5% → tz1…" (single payee: just the row) */
+const fmtRoy   = (r) => { try{const{decimals,shares}=r;const rows=Object.entries(shares).map(([a,v])=>[a,Number(v)/10**Number(decimals)*100]);if(!rows.length)return '—';const split=rows.map(([a,p])=>`${fmtPct(p)} → ${a}`).join(', ');return rows.length>1?`${fmtPct(rows.reduce((t,[,p])=>t+p,0))} total — ${split}`:split;}catch{return '—';} };
 const Broken   = ({msg}) => (<Box sx={{width:'100%',height:'100%',display:'flex',flexDirection:'column',alignItems:'center',justifyContent:'center',bgcolor:'action.disabledBackground'}}><BrokenImageIcon fontSize="large"/><Typography variant="caption" sx={{mt:0.5}}>{msg}</Typography></Box>);
 
 
 /*────────────────── burn helper ───────────────*/
-async function burnedIds(addr, base) {
+async function burnedIds(addr, net) {
   const sets = await Promise.all(BURN_ADDRS.map(async (b) =>
-    await fjson(`${base}/tokens/balances?account=${b}&token.contract=${addr}&balance.gt=0&select=token.tokenId&limit=10000`) || []
+    await soft(getTokenBalances(net, {
+      account: b, 'token.contract': addr, 'balance.gt': 0, select: 'token.tokenId',
+    })) || []
   ));
   const out = new Set();
   sets.flat().forEach((id) => out.add(+id));
@@ -98,33 +100,37 @@ async function burnedIds(addr, base) {
 }
 
 /*────────────────── token & contract loaders ──*/
-async function loadTokenMetas(addr, base, showBurned) {
-  const toks = await fjson(
-    `${base}/tokens?contract=${addr}&select=tokenId,metadata,totalSupply&limit=10000`,
-  ) || [];
-
-  const burns = showBurned ? new Set() : await burnedIds(addr, base);
+/* TzKT / RPC token metadata → the shape the grid & popup read */
+const shapeMeta = (md = {}) => ({
+  name: md.name, description: md.description,
+  artifactUri: md.artifactUri, thumbnailUri: md.thumbnailUri,
+  displayUri: md.displayUri,
+  mimeType: md.mimeType, creators: md.creators || [],
+  authors: md.authors || [], attributes: md.attributes || [],
+  royalties: md.royalties || {}, rights: md.rights,
+  decimals: +(md.decimals || 0),
+});
+
+async function loadTokenMetas(addr, net, showBurned, opts) {
+  const toks = await getTokens(net, {
+    contract: addr, select: 'tokenId,metadata,totalSupply',
+  }, opts);
+
+  const burns = showBurned ? new Set() : await burnedIds(addr, net);
 
   return toks
     .filter((t) => (showBurned || t.totalSupply !== '0') && !burns.has(+t.tokenId))
     .map((t) => {
-      const meta = {
-        name: t.metadata?.name, description: t.metadata?.description,
-        artifactUri: t.metadata?.artifactUri, thumbnailUri: t.metadata?.thumbnailUri,
-        mimeType: t.metadata?.mimeType, creators: t.metadata?.creators || [],
-        authors: t.metadata?.authors || [], attributes: t.metadata?.attributes || [],
-        royalties: t.metadata?.royalties || {}, rights: t.metadata?.rights,
-        decimals: +(t.metadata?.decimals || 0),
-      };
+      const meta = shapeMeta(t.metadata);
       return hasIpfs(meta) ? null : { tokenId: +t.tokenId, metadata: meta };
     })
     .filter(Boolean);
 }
-async function loadContractMeta(addr, base) {
-  const s = await fjson(`${base}/contracts/${addr}/storage`);
+async function loadContractMeta(addr, net) {
+  const s = await soft(getStorage(net, addr));
   if (!s) return { _err: 'storage fetch failed' };
   const md = s.metadata; if (md === undefined) return { _err: 'metadata big-map missing' };
-  const keys = await fjson(`${base}/bigmaps/${md}/keys`) || [];
+  const keys = await soft(getBigmapKeys(net, md)) || [];
   const map  = Object.fromEntries(keys.map((k) => [k.key, k.value]));
   let ptr = 'content';
   if (!map[ptr] && map['']) {
@@ -134,6 +140,19 @@ async function loadContractMeta(addr, base) {
   return map[ptr] ? safe(hex2str(map[ptr]), {}) : { _err: 'key not found in tezos storage' };
 }
 
+/* RPC-only twin of the TzKT path in fetchContract */
+async function loadViaRpc(tezos, addr, pasted, walletAddress, showBurned) {
+  const sum = await readContractSummary(tezos, addr);
+  if (!sum.version) throw new Error('Unsupported contract type');
+  if (!pasted && sum.admin?.toLowerCase() !== walletAddress?.toLowerCase()) {
+    throw new Error('Not admin');
+  }
+  const tokens = (await readTokens(tezos, addr, { showBurned }))
+    .map((t) => ({ tokenId: t.tokenId, metadata: shapeMeta(t.metadata) }))
+    .filter((t) => !hasIpfs(t.metadata));
+  return { addr, version: sum.version.toUpperCase(), meta: sum.meta, tokens, pasted };
+}
+
 /* polyfill model-viewer (unchanged) */
 if (typeof window !== 'undefined' && !window.customElements?.get('model-viewer')) {
   const s = document.createElement('script'); s.type='module'; s.async=true; s.crossOrigin='anonymous';
@@ -142,9 +161,9 @@ if (typeof window !== 'undefined' && !window.customElements?.get('model-viewer')
 
 
 /*────────────────── component ─────────────────*/
-export default function OnChainViewer() {
+export default function OnChainViewer({ routeKt, routeTokenId, onRouteChange }) {
   const {
-    walletAddress, isWalletConnected, connectWallet, network = 'ghostnet',
+    walletAddress, isWalletConnected, connectWallet, network = 'ghostnet', tezos,
   } = useContext(WalletContext);
 
   const [showEmpty, setShowEmpty]   = useState(false);
@@ -157,33 +176,40 @@ export default function OnChainViewer() {
   const [search, setSearch] = useState('');
   const [toast, setToast]   = useState('');
   const [drawer, setDrawer] = useState(false);
+  const [linking, setLinking] = useState(!!routeKt);
+  const [pendingTok, setPendingTok] = useState(null); // { kt, id } from a deep link
 
   const trackRef  = useRef(null);
   const unknown   = useRef(new Set());
   const toastSeen = useRef(new Set());
+  const synced    = useRef(null); // last route we hydrated from or pushed
+  const tezosRef  = useRef(tezos);
+  tezosRef.current = tezos; // RPC fallback only — arriving later shouldn't refetch
 
-  const badge = (h) => VER[h] || 'UNK';
+  const badge = (h) => versionOfHash(network, h)?.toUpperCase() || 'UNK';
   const pushToast = (msg) => { if (!toastSeen.current.has(msg)) { toastSeen.current.add(msg); setToast(msg); } };
 
   /* fetch one contract */
   const fetchContract = useCallback(async (addr, pasted = false) => {
-    const base = TZKT[network];
     try {
-      const det = await fjson(`${base}/contracts/${addr}`);
-      if (!det) throw new Error('tzkt fetch failed');
-      if (!allowedHashSet(network).has(det.typeHash)) {
-        if (DEV) unknown.current.add(`${addr} → ${det.typeHash}`);
-        throw new Error('Unsupported contract type');
-      }
-      if (!pasted && det.creator?.address?.toLowerCase() !== walletAddress?.toLowerCase()) {
-        throw new Error('Not admin');
-      }
-      const [meta, tokens] = await Promise.all([
-        loadContractMeta(addr, base),
-        loadTokenMetas(addr, base, showBurned),
-      ]);
-      if (hasIpfs(meta) || tokens.some((t) => hasIpfs(t.metadata))) throw new Error('IPFS dependency');
-      return { addr, version: badge(det.typeHash), meta, tokens };
+      const col = await withFallback(async (opts) => {
+        const det = await getContract(network, addr, opts);
+        if (!det) throw new Error('contract not found');
+        if (!(await resolveVersion(network, det.typeHash, addr, opts).catch(() => null))) {
+          if (DEV) unknown.current.add(`${addr} → ${det.typeHash}`);
+          throw new Error('Unsupported contract type');
+        }
+        if (!pasted && det.creator?.address?.toLowerCase() !== walletAddress?.toLowerCase()) {
+          throw new Error('Not admin');
+        }
+        const [meta, tokens] = await Promise.all([
+          loadContractMeta(addr, network),
+          loadTokenMetas(addr, network, showBurned, opts),
+        ]);
+        return { addr, version: badge(det.typeHash), meta, tokens, pasted };
+      }, () => loadViaRpc(tezosRef.current, addr, pasted, walletAddress, showBurned));
+      if (hasIpfs(col.meta) || col.tokens.some((t) => hasIpfs(t.metadata))) throw new Error('IPFS dependency');
+      return col;
     } catch (e) {
       if (e.message !== 'Not admin') pushToast(`${addr.slice(0, 10)}… → ${e.message}`);
       return null;
@@ -196,18 +222,43 @@ export default function OnChainViewer() {
     (async () => {
       setBusy(true);
       try {
-        const base = TZKT[network];
-        const list = await fjson(
-          `${base}/contracts?creator.eq=${walletAddress}&kind=asset&typeHash.in=${
-            [...allowedHashSet(network)].join(',')}&limit=1000`,
-        ) || [];
-        const res = await mapLimit(list.map((c) => c.address), CONCURRENCY, fetchContract);
+        const addrs = await withFallback(async (opts) => {
+          const list = await contractsByCreator(network, walletAddress, {
+            kind: 'asset', hashes: hashList(network), limit: 1000,
+          }, opts);
+          rememberContracts(network, walletAddress, 'origin', list.map((c) => c.address));
+          return list.map((c) => c.address);
+        }, async () => knownContracts(network, walletAddress)
+          .filter((k) => k.role === 'origin').map((k) => k.address),
+        ).catch(() => []);
+        const res = await mapLimit(addrs, CONCURRENCY, fetchContract);
         const ok = res.filter(Boolean);
-        setCols(ok); setSel(ok[0]?.addr || null);
+        /* keep pasted / deep-linked collections across wallet bootstraps */
+        setCols((prev) => [...ok, ...prev.filter((p) => p.pasted && !ok.some((o) => o.addr === p.addr))]);
+        setSel((s) => s || ok[0]?.addr || null);
       } finally { setBusy(false); }
     })();
   }, [walletAddress, network, fetchContract]);
 
+  /* deep link → selection (runs again on external navigation) */
+  useEffect(() => {
+    const key = routeKey(routeKt, routeTokenId);
+    if (key === synced.current) return;
+    synced.current = key;
+    if (!KT1_RE.test(routeKt || '')) { setLinking(false); return; }
+    setLinking(true);
+    (async () => {
+      const have = cols.find((c) => c.addr === routeKt);
+      const one  = have || await fetchContract(routeKt, true);
+      if (one) {
+        if (!have) setCols((c) => (c.some((x) => x.addr === one.addr) ? c : [...c, one]));
+        setSel(one.addr);
+        setPendingTok(routeTokenId != null ? { kt: one.addr, id: String(routeTokenId) } : null);
+      }
+      setLinking(false);
+    })();
+  }, [routeKt, routeTokenId]);
+
   /* pasted KT1 override */
   useEffect(() => {
     if (KT1_RE.test(search) && !cols.find((c) => c.addr === search) && !busy) {
@@ -229,7 +280,7 @@ export default function OnChainViewer() {
   /* filters */
   const filtered = useMemo(() => {
     let l = cols;
-    if (!showEmpty) l = l.filter((c) => c.tokens.length > 0);
+    if (!showEmpty) l = l.filter((c) => c.tokens.length > 0 || c.pasted);
     if (!search || KT1_RE.test(search)) return l;
     const q = search.toLowerCase();
     return l.filter(
@@ -244,6 +295,30 @@ export default function OnChainViewer() {
   const selCol = useMemo(() => cols.find((c) => c.addr === sel) || null, [cols, sel]);
   const tokens = selCol?.tokens || [];
 
+  const openToken = (t, version = 'UNK') => {
+    const uri = pickUri(t.metadata);
+    setDlg({ metadata: t.metadata, version, tokenId: t.tokenId, contract: sel, rawUri: uri, blobUri: toURL(uri) });
+  };
+
+  /* deep-linked token opens once its collection is loaded */
+  useEffect(() => {
+    if (!pendingTok || linking || selCol?.addr !== pendingTok.kt) return;
+    const t = selCol.tokens.find((x) => String(x.tokenId) === pendingTok.id);
+    if (t) openToken(t, selCol.version);
+    else pushToast(`Token ${pendingTok.id} not found in ${pendingTok.kt.slice(0, 10)}…`);
+    setPendingTok(null);
+  }, [pendingTok, linking, selCol]);
+
+  /* selection → URL */
+  useEffect(() => {
+    if (linking || pendingTok || !onRouteChange) return;
+    const id  = dlg ? String(dlg.tokenId) : null;
+    const key = routeKey(sel, id);
+    if (key === synced.current) return;
+    synced.current = key;
+    onRouteChange(sel, id);
+  }, [sel, dlg, linking, pendingTok]);
+
   const canScroll = filtered.length * 280 + (filtered.length - 1) * 16 > (trackRef.current?.clientWidth || 0);
 
   const scroll = (dir) => { trackRef.current?.scrollBy({ left: dir * trackRef.current.clientWidth, behavior: 'smooth' }); };
@@ -252,6 +327,7 @@ export default function OnChainViewer() {
   return (
     <Box sx={{ px: 2, py: 4, textAlign: 'center' }}>
       <Typography variant="h4" gutterBottom>My Fully-On-Chain Collections</Typography>
+      <DataSourceBadge sx={{ mb: 1 }} />
 
       {DEV && (
         <Tooltip title="developer console"><IconButton onClick={() => setDrawer(true)} size="small"
@@ -342,18 +418,15 @@ export default function OnChainViewer() {
           <Typography variant="h6" sx={{ mt: 4, mb: 2 }}>Tokens in {sel}</Typography>
           <Grid container spacing={2} justifyContent="center" sx={{ width: '100%' }}>
             {tokens.map((t) => {
-              const uri = pickUri(t.metadata); const ok = hasVisual(uri);
+              const thumb = pickThumb(t.metadata); const ok = hasVisual(thumb);
               return (
                 <Grid key={t.tokenId} size={{ xs: 12, sm: 6, md: 4 }}
-                  onClick={() => setDlg({
-                    metadata: t.metadata, version: selCol?.version || 'UNK',
-                    tokenId: t.tokenId, rawUri: uri, blobUri: toURL(uri),
-                  })}
+                  onClick={() => openToken(t, selCol?.version)}
                   sx={{ border: '1px solid', borderRadius: 1, p: 1, cursor: 'pointer', '&:hover': { boxShadow: 3 } }}>
                   {ok
-                    ? (isModel(uri)
-                      ? <model-viewer src={toURL(uri)} camera-controls style={{ width: '100%', height: 140 }} />
-                      : <Box component="img" src={toURL(uri)} alt={t.metadata.name}
+                    ? (isModel(thumb)
+                      ? <model-viewer src={toURL(thumb)} camera-controls style={{ width: '100%', height: 140 }} />
+                      : <Box component="img" src={toURL(thumb)} alt={t.metadata.name}
                           sx={{ width: '100%', height: 140, objectFit: 'contain', bgcolor: '#111' }} />)
                     : <Broken msg="no preview" />}
                   <Typography variant="caption" noWrap>{t.metadata.name || `#${t.tokenId}`}</Typography>
@@ -444,6 +517,11 @@ export default function OnChainViewer() {
                   <Typography><strong>License:</strong> {dlg.metadata.rights || '—'}</Typography>
                   <Typography sx={{ mt: 1 }}><strong>Contract Version:</strong> {dlg.version}</Typography>
                 </Grid>
+
+                {/* ─── provenance ─── */}
+                <Grid size={12}>
+                  <TokenHistory contractAddress={dlg.contract} tokenId={dlg.tokenId} />
+                </Grid>
               </Grid>
             </DialogContent>
           </>
@@ -0,0 +1,192 @@
+/*Developed by @jams2blues with love for the Tezos community
+  File: src/components/OperationReviewDialog.js
+  Summary: Shared pre-signature review — target contract, entrypoint and
+           decoded Michelson parameters per call, metadata byte sizes, the
+           gas / storage / fee estimate and balance after the operation.
+           A simulated contract rejection blocks signing and shows the
+           catalogued reason + fix. Mounted once in _app; opened via
+           WalletContext.reviewOperation.
+*/
+
+import React, { useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Typography,
+  Box,
+  Chip,
+  Alert,
+  Stack,
+  Divider,
+  LinearProgress,
+  Table,
+  TableBody,
+  TableRow,
+  TableCell,
+} from '@mui/material';
+import ExpandMoreIcon from '@mui/icons-material/ExpandMore';
+import ChevronRightIcon from '@mui/icons-material/ChevronRight';
+import useOperationReview from '../hooks/useOperationReview';
+import { settleReview, mutezToTez } from '../utils/opReview';
+import { STORAGE_COST_PER_BYTE } from '../utils/tokenMetadata';
+
+/* ─── constants ───────────────────────────────────── */
+const OPEN_DEPTH = 2;   // tree levels expanded by default
+
+const mono = { fontFamily: 'monospace', wordBreak: 'break-all' };
+
+/* ─── decoded parameter tree ──────────────────────── */
+const ParamNode = ({ node, depth = 0 }) => {
+  const [open, setOpen] = useState(depth < OPEN_DEPTH);
+  const kids = node.children || [];
+  return (
+    <Box sx={{ pl: depth ? 2 : 0 }}>
+      <Stack direction="row" spacing={1} alignItems="baseline">
+        {kids.length > 0 ? (
+          <Box component="span" sx={{ cursor: 'pointer', display: 'inline-flex' }} onClick={() => setOpen((o) => !o)}>
+            {open ? <ExpandMoreIcon fontSize="inherit" /> : <ChevronRightIcon fontSize="inherit" />}
+          </Box>
+        ) : <Box component="span" sx={{ width: '1em' }} />}
+        {node.label && <Typography variant="body2" component="span"><strong>{node.label}</strong></Typography>}
+        <Typography variant="caption" component="span" sx={{ opacity: 0.6 }}>{node.prim}</Typography>
+        {node.bytes > 0 && <Chip size="small" variant="outlined" label={`${node.bytes.toLocaleString()} B`} />}
+        {node.text !== undefined && (
+          <Typography variant="body2" component="span" sx={mono}>{node.text}</Typography>
+        )}
+      </Stack>
+      {open && kids.map((k, i) => <ParamNode key={`${k.label}-${i}`} node={k} depth={depth + 1} />)}
+    </Box>
+  );
+};
+
+const tez = (m) => `${mutezToTez(m)} ꜩ`;
+
+/* ─── main component ─────────────────────────────── */
+export default function OperationReviewDialog () {
+  const pending = useOperationReview();
+  const r = pending?.review;
+  const est = r?.estimate;
+  const short = r && r.afterMutez !== null && r.afterMutez < 0;
+
+  return (
+    <Dialog open={!!pending} onClose={() => settleReview(false)} fullWidth maxWidth="md">
+      <DialogTitle>
+        {r?.title || pending?.spec?.title || 'Review operation'}
+        {pending?.spec?.part && (
+          <Chip size="small" sx={{ ml: 1 }}
+            label={`part ${pending.spec.part.index} of ${pending.spec.part.total}`} />
+        )}
+      </DialogTitle>
+      <DialogContent dividers>
+        {!r && (
+          <>
+            <Typography variant="body2" sx={{ mb: 1 }}>Decoding parameters and estimating fees…</Typography>
+            <LinearProgress />
+          </>
+        )}
+
+        {r?.error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            Could not build this operation: {r.error}
+          </Alert>
+        )}
+
+        {r && !r.error && (
+          <>
+            {r.target && (
+              <Typography variant="body2" sx={{ mb: 1 }}>
+                <strong>{r.origination ? 'Originating from' : 'Target'}:</strong>{' '}
+                <Box component="span" sx={mono}>{r.target}</Box>
+              </Typography>
+            )}
+            {r.origination && (
+              <Typography variant="body2" sx={{ mb: 1 }}>
+                <strong>Operation:</strong> contract origination
+              </Typography>
+            )}
+
+            {r.calls.map((c, i) => (
+              <Box key={i} sx={{ mb: 2 }}>
+                {i > 0 && <Divider sx={{ mb: 1 }} />}
+                <Stack direction="row" spacing={1} alignItems="center" sx={{ mb: 1, flexWrap: 'wrap' }}>
+                  <Chip size="small" color="primary" label={c.entrypoint} />
+                  {c.to !== r.target && <Typography variant="caption" sx={mono}>→ {c.to}</Typography>}
+                  {c.amountMutez > 0 && <Chip size="small" label={`sends ${tez(c.amountMutez)}`} />}
+                  {c.bytes > 0 && <Chip size="small" variant="outlined" label={`${c.bytes.toLocaleString()} B of bytes`} />}
+                </Stack>
+                {c.tree && <ParamNode node={c.tree} />}
+              </Box>
+            ))}
+
+            {r.metaBytes > 0 && (
+              <Typography variant="body2" sx={{ mb: 1 }}>
+                <strong>Metadata:</strong> {r.metaBytes.toLocaleString()} bytes
+                (≈ {(r.metaBytes * STORAGE_COST_PER_BYTE).toFixed(6)} ꜩ storage)
+              </Typography>
+            )}
+
+            <Divider sx={{ my: 1 }} />
+            {r.rejection ? (
+              <Alert severity="error" sx={{ mb: 1 }}>
+                <strong>Simulation failed:</strong> {r.rejection.reason}
+                {r.rejection.fix && <><br /><strong>Fix:</strong> {r.rejection.fix}</>}
+                <Typography variant="caption" component="div" sx={{ mt: 0.5, ...mono }}>
+                  FAILWITH {r.rejection.failwith}
+                </Typography>
+              </Alert>
+            ) : r.estimateError ? (
+              <Alert severity="warning" sx={{ mb: 1 }}>
+                Fee estimation failed (<em>{r.estimateError}</em>). You may still
+                proceed – your wallet will display exact fees before signing.
+              </Alert>
+            ) : (
+              <>
+                <Alert severity="success" sx={{ mb: 1 }}>
+                  Simulation passed — the node accepted this operation as built.
+                </Alert>
+                <Table size="small">
+                  <TableBody>
+                    <TableRow><TableCell>Fee</TableCell><TableCell align="right">{tez(est.feeMutez)}</TableCell></TableRow>
+                    <TableRow><TableCell>Storage burn</TableCell><TableCell align="right">{tez(est.burnMutez)}</TableCell></TableRow>
+                    <TableRow><TableCell>Gas limit</TableCell><TableCell align="right">{est.gasLimit.toLocaleString()}</TableCell></TableRow>
+                    <TableRow><TableCell>Storage limit</TableCell><TableCell align="right">{est.storageLimit.toLocaleString()} B</TableCell></TableRow>
+                    {r.balanceMutez !== null && (
+                      <>
+                        <TableRow><TableCell>Balance now</TableCell><TableCell align="right">{tez(r.balanceMutez)}</TableCell></TableRow>
+                        <TableRow>
+                          <TableCell><strong>Balance after</strong></TableCell>
+                          <TableCell align="right"><strong>{tez(r.afterMutez)}</strong></TableCell>
+                        </TableRow>
+                      </>
+                    )}
+                  </TableBody>
+                </Table>
+              </>
+            )}
+            {short && (
+              <Alert severity="error" sx={{ mt: 1 }}>Wallet balance too low for this operation.</Alert>
+            )}
+          </>
+        )}
+
+        {r?.notes?.map((n) => (
+          <Typography key={n} variant="body2" sx={{ mt: 1 }}>{n}</Typography>
+        ))}
+      </DialogContent>
+      <DialogActions>
+        <Button color="secondary" onClick={() => settleReview(false)}>Cancel</Button>
+        <Button
+          variant="contained"
+          autoFocus
+          disabled={!r || !!r.error || !!r.rejection}
+          onClick={() => settleReview(true)}
+        >
+          {r?.estimateError || short ? 'Sign Anyway' : 'Sign in Wallet'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
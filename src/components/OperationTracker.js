@@ -0,0 +1,197 @@
+/*Developed by @jams2blues with love for the Tezos community
+  File: src/components/OperationTracker.js
+  Summary: Header badge + popover listing tracked operations (kind,
+           contract, status, explorer link) from WalletContext, and the
+           toast / desktop notification raised when one is included or fails.
+*/
+
+import React, { useContext, useEffect, useState } from 'react';
+import {
+  IconButton,
+  Badge,
+  Popover,
+  Box,
+  Typography,
+  List,
+  ListItem,
+  ListItemText,
+  Chip,
+  Link,
+  Button,
+  Stack,
+  Snackbar,
+  Alert,
+  Tooltip,
+  CircularProgress,
+} from '@mui/material';
+import ReceiptLongIcon from '@mui/icons-material/ReceiptLong';
+import CloseIcon from '@mui/icons-material/Close';
+import { WalletContext } from '../contexts/WalletContext';
+import { explorerOpUrl } from '../utils/opTracker';
+
+/* ─── constants ───────────────────────────────────── */
+const STATUS_COLOR = {
+  pending: 'info',
+  applied: 'success',
+  failed: 'error',
+  expired: 'warning',
+};
+
+const NOTICE_TEXT = {
+  applied: 'included on-chain',
+  failed: 'failed',
+  expired: 'was never included (expired)',
+};
+
+/* ─── utility fns ─────────────────────────────────── */
+const short = (s = '') => (s.length > 12 ? `${s.slice(0, 6)}…${s.slice(-4)}` : s);
+const titleOf = (o) => o.label || o.kind;
+const timeOf = (ms) => new Date(ms).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+const desktopNotify = (title, body) => {
+  if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+  if (!document.hidden) return;
+  try { new Notification(title, { body, icon: '/images/logo.svg' }); } catch { /* ignore */ }
+};
+
+export default function OperationTracker () {
+  const {
+    operations = [],
+    opNotice,
+    network,
+    dismissOperation,
+    clearOperations,
+  } = useContext(WalletContext);
+
+  const [anchor, setAnchor] = useState(null);
+  const [toast, setToast] = useState(null);
+  const [canAsk, setCanAsk] = useState(false);
+
+  const ops = operations.filter((o) => o.network === network);
+  const pending = ops.filter((o) => o.status === 'pending').length;
+
+  useEffect(() => {
+    setCanAsk(typeof Notification !== 'undefined' && Notification.permission === 'default');
+  }, [anchor]);
+
+  /* —— notice → toast + desktop notification —— */
+  useEffect(() => {
+    if (!opNotice || opNotice.network !== network) return;
+    const msg = `${titleOf(opNotice)} ${NOTICE_TEXT[opNotice.status] || opNotice.status}`;
+    setToast({ ...opNotice, msg });
+    desktopNotify('ZeroArt operation', msg);
+  }, [opNotice, network]);
+
+  const askPermission = async () => {
+    try { await Notification.requestPermission(); } catch { /* ignore */ }
+    setCanAsk(false);
+  };
+
+  return (
+    <>
+      <Tooltip title="Operations">
+        <IconButton
+          aria-label="Tracked operations"
+          color="inherit"
+          onClick={(e) => setAnchor(e.currentTarget)}
+          sx={{ mr: 1 }}
+        >
+          <Badge badgeContent={pending} color="warning">
+            {pending ? <CircularProgress size={22} color="inherit" /> : <ReceiptLongIcon />}
+          </Badge>
+        </IconButton>
+      </Tooltip>
+
+      <Popover
+        open={!!anchor}
+        anchorEl={anchor}
+        onClose={() => setAnchor(null)}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+        transformOrigin={{ vertical: 'top', horizontal: 'right' }}
+      >
+        <Box sx={{ width: 360, maxWidth: '100vw', p: 2 }}>
+          <Stack direction="row" alignItems="center" justifyContent="space-between">
+            <Typography variant="subtitle1">Operations ({network})</Typography>
+            <Button size="small" onClick={clearOperations} disabled={ops.length === pending}>
+              Clear finished
+            </Button>
+          </Stack>
+
+          {ops.length === 0 ? (
+            <Typography variant="body2" sx={{ mt: 1, opacity: 0.7 }}>
+              No operations yet.
+            </Typography>
+          ) : (
+            <List dense sx={{ maxHeight: 360, overflowY: 'auto' }}>
+              {ops.map((o) => (
+                <ListItem
+                  key={o.hash}
+                  disableGutters
+                  secondaryAction={o.status !== 'pending' && (
+                    <IconButton edge="end" size="small" onClick={() => dismissOperation(o.hash)}>
+                      <CloseIcon fontSize="small" />
+                    </IconButton>
+                  )}
+                >
+                  <ListItemText
+                    primary={(
+                      <Stack direction="row" spacing={1} alignItems="center">
+                        <span>{titleOf(o)}</span>
+                        <Chip size="small" label={o.status} color={STATUS_COLOR[o.status]} />
+                      </Stack>
+                    )}
+                    secondary={(
+                      <>
+                        {o.contract && <>{short(o.contract)} · </>}
+                        {explorerOpUrl(o.network, o.hash) ? (
+                          <Link href={explorerOpUrl(o.network, o.hash)} target="_blank" rel="noopener noreferrer">
+                            {short(o.hash)}
+                          </Link>
+                        ) : short(o.hash)}
+                        {' · '}{timeOf(o.submittedAt)}
+                        {o.error && <><br />{o.error}</>}
+                      </>
+                    )}
+                  />
+                </ListItem>
+              ))}
+            </List>
+          )}
+
+          {canAsk && (
+            <Button size="small" onClick={askPermission} sx={{ mt: 1 }}>
+              Enable desktop notifications
+            </Button>
+          )}
+        </Box>
+      </Popover>
+
+      <Snackbar
+        open={!!toast}
+        autoHideDuration={8000}
+        onClose={() => setToast(null)}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+      >
+        {toast ? (
+          <Alert
+            severity={toast.status === 'applied' ? 'success' : toast.status === 'failed' ? 'error' : 'warning'}
+            sx={{ width: '100%' }}
+            action={explorerOpUrl(toast.network, toast.hash) && (
+              <Button
+                color="inherit"
+                size="small"
+                href={explorerOpUrl(toast.network, toast.hash)}
+                target="_blank"
+                rel="noopener noreferrer"
+              >
+                View
+              </Button>
+            )}
+          >
+            {toast.msg}
+          </Alert>
+        ) : <span />}
+      </Snackbar>
+    </>
+  );
+}
@@ -0,0 +1,40 @@
+/*Developed by @jams2blues with love for the Tezos community
+  File: src/components/SocialMeta.js
+  Summary: og: / twitter: tags through next/head. Keys let a page override
+           the site-wide defaults rendered from _app.
+*/
+
+import React from 'react';
+import Head from 'next/head';
+import {
+  SITE_NAME,
+  SITE_DESCRIPTION,
+  DEFAULT_ORIGIN,
+  BANNER_PATH,
+} from '../utils/ogCard';
+
+const SocialMeta = ({
+  title = SITE_NAME,
+  description = SITE_DESCRIPTION,
+  image = `${DEFAULT_ORIGIN}${BANNER_PATH}`,
+  url = `${DEFAULT_ORIGIN}/`,
+  type = 'website',
+}) => (
+  <Head>
+    {/* Open Graph Meta Tags */}
+    <meta key="og:title" property="og:title" content={title} />
+    <meta key="og:description" property="og:description" content={description} />
+    <meta key="og:image" property="og:image" content={image} />
+    <meta key="og:url" property="og:url" content={url} />
+    <meta key="og:type" property="og:type" content={type} />
+    <meta key="og:site_name" property="og:site_name" content={SITE_NAME} />
+
+    {/* Twitter Card Meta Tags */}
+    <meta key="twitter:card" name="twitter:card" content="summary_large_image" />
+    <meta key="twitter:title" name="twitter:title" content={title} />
+    <meta key="twitter:description" name="twitter:description" content={description} />
+    <meta key="twitter:image" name="twitter:image" content={image} />
+  </Head>
+);
+
+export default SocialMeta;
@@ -0,0 +1,210 @@
+/*Developed by @jams2blues with love for the Tezos community
+  File: src/components/TokenHistory.js
+  Summary: Provenance timeline for one (contract, tokenId) — mint, transfers,
+           burns and operator grants/revocations from TzKT, oldest first,
+           each linked to the network's explorer. Optional filter for the
+           connected wallet. Used by the viewer dialog and ManageContract.
+*/
+
+import React, { useState, useEffect, useContext } from 'react';
+import {
+  Box,
+  Typography,
+  TextField,
+  Button,
+  Chip,
+  Link,
+  Alert,
+  Stack,
+  Skeleton,
+  FormControlLabel,
+  Checkbox,
+} from '@mui/material';
+import { WalletContext } from '../contexts/WalletContext';
+import {
+  getTokenTransfers,
+  getTransactions,
+  withFallback,
+} from '../utils/indexer';
+import { BURN_ADDRS } from '../utils/chainReader';
+import { explorerOpUrl, explorerAccountUrl } from '../utils/opTracker';
+
+/* ─── constants ───────────────────────────────────── */
+const KIND_COLOR = {
+  mint: 'success', transfer: 'primary', burn: 'error', add_operator: 'info', remove_operator: 'warning',
+};
+const KIND_LABEL = {
+  mint: 'Mint', transfer: 'Transfer', burn: 'Burn', add_operator: 'Operator added', remove_operator: 'Operator removed',
+};
+const HASH_CHUNK = 100;   // ids per /operations/transactions lookup
+
+const short = (a) => (a ? `${a.slice(0, 8)}…${a.slice(-4)}` : '—');
+
+/* ─── loader ──────────────────────────────────────── */
+/* TzKT transfers carry the transaction id only — resolve ids → op hashes */
+const hashesOf = async (network, ids, opts) => {
+  const out = {};
+  for (let i = 0; i < ids.length; i += HASH_CHUNK) {
+    const rows = await getTransactions(network, {
+      'id.in': ids.slice(i, i + HASH_CHUNK).join(','), select: 'id,hash',
+    }, opts);
+    rows.forEach((r) => { out[r.id] = r.hash; });
+  }
+  return out;
+};
+
+/**
+ * → [{ key, kind, timestamp, level, from, to, amount, hash }], oldest first.
+ * There is no RPC twin: the node keeps no per-token history.
+ */
+const loadHistory = (network, addr, tokenId) => withFallback(
+  async (opts) => {
+    const [transfers, opCalls] = await Promise.all([
+      getTokenTransfers(network, {
+        'token.contract': addr, 'token.tokenId': tokenId, 'sort.asc': 'id',
+      }, opts),
+      getTransactions(network, {
+        target: addr, entrypoint: 'update_operators', status: 'applied', 'sort.asc': 'id',
+      }, opts),
+    ]);
+    const hashes = await hashesOf(network, [...new Set(transfers.map((t) => t.transactionId).filter(Boolean))], opts);
+
+    const moves = transfers.map((t) => {
+      const from = t.from?.address || null;
+      const to = t.to?.address || null;
+      const kind = !from ? 'mint' : !to || BURN_ADDRS.includes(to) ? 'burn' : 'transfer';
+      return {
+        key: `t${t.id}`, kind, timestamp: t.timestamp, level: t.level,
+        from, to, amount: Number(t.amount), hash: hashes[t.transactionId] || null,
+      };
+    });
+
+    const grants = opCalls.flatMap((op) => [].concat(op.parameter?.value || [])
+      .map((u, i) => {
+        const kind = u.add_operator ? 'add_operator' : 'remove_operator';
+        const p = u.add_operator || u.remove_operator;
+        if (!p || Number(p.token_id) !== Number(tokenId)) return null;
+        return {
+          key: `o${op.id}-${i}`, kind, timestamp: op.timestamp, level: op.level,
+          from: p.owner, to: p.operator, amount: null, hash: op.hash,
+        };
+      })
+      .filter(Boolean));
+
+    return [...moves, ...grants].sort((a, b) => a.level - b.level || a.key.localeCompare(b.key));
+  },
+  () => { throw new Error('Token history needs the TzKT indexer, which is unreachable right now.'); },
+);
+
+/* ─── pieces ─────────────────────────────────────── */
+const Party = ({ network, addr, me }) => {
+  if (!addr) return <span>—</span>;
+  const url = explorerAccountUrl(network, addr);
+  const label = addr === me ? 'you' : short(addr);
+  return url
+    ? <Link href={url} target="_blank" rel="noopener noreferrer" sx={{ fontFamily: 'monospace' }}>{label}</Link>
+    : <Box component="span" sx={{ fontFamily: 'monospace' }}>{label}</Box>;
+};
+
+const Event = ({ e, network, me }) => {
+  const url = e.hash && explorerOpUrl(network, e.hash);
+  const isOp = e.kind === 'add_operator' || e.kind === 'remove_operator';
+  return (
+    <Box sx={{ position: 'relative', pl: 3, pb: 2, borderLeft: '2px solid', borderColor: 'divider', ml: 1 }}>
+      <Box sx={{
+        position: 'absolute', left: -7, top: 4, width: 12, height: 12, borderRadius: '50%',
+        bgcolor: `${KIND_COLOR[e.kind]}.main`,
+      }} />
+      <Stack direction="row" spacing={1} alignItems="center" sx={{ flexWrap: 'wrap' }}>
+        <Chip size="small" color={KIND_COLOR[e.kind]} label={KIND_LABEL[e.kind]} />
+        {e.amount !== null && <Typography variant="body2">×{e.amount}</Typography>}
+        <Typography variant="caption" sx={{ opacity: 0.7 }}>
+          {new Date(e.timestamp).toLocaleString()} · level {e.level.toLocaleString()}
+        </Typography>
+      </Stack>
+      <Typography variant="body2" sx={{ mt: 0.5 }}>
+        {isOp ? 'owner ' : e.kind === 'mint' ? '' : 'from '}
+        {e.kind !== 'mint' && <Party network={network} addr={e.from} me={me} />}
+        {e.kind !== 'mint' && ' → '}
+        {isOp ? 'operator ' : 'to '}
+        <Party network={network} addr={e.to} me={me} />
+      </Typography>
+      {e.hash && (
+        <Typography variant="caption" sx={{ fontFamily: 'monospace', wordBreak: 'break-all' }}>
+          {url
+            ? <Link href={url} target="_blank" rel="noopener noreferrer">{e.hash}</Link>
+            : e.hash}
+        </Typography>
+      )}
+    </Box>
+  );
+};
+
+/* ─── main component ─────────────────────────────── */
+/**
+ * tokenId given → timeline for that token; omitted → a Token ID field
+ * picks one (ManageContract).
+ */
+export default function TokenHistory ({ contractAddress, tokenId: fixedId }) {
+  const { network, walletAddress } = useContext(WalletContext);
+  const [input, setInput] = useState('');
+  const [tokenId, setTokenId] = useState(fixedId ?? null);
+  const [events, setEvents] = useState(null);
+  const [error, setError] = useState('');
+  const [mine, setMine] = useState(false);
+
+  useEffect(() => { if (fixedId !== undefined) setTokenId(fixedId); }, [fixedId]);
+
+  useEffect(() => {
+    if (!contractAddress || tokenId === null || tokenId === '') return undefined;
+    let live = true;
+    setEvents(null);
+    setError('');
+    loadHistory(network, contractAddress, Number(tokenId))
+      .then((ev) => { if (live) setEvents(ev); })
+      .catch((e) => { if (live) { setEvents([]); setError(e.message); } });
+    return () => { live = false; };
+  }, [network, contractAddress, tokenId]);
+
+  const shown = (events || []).filter((e) => !mine || e.from === walletAddress || e.to === walletAddress);
+
+  return (
+    <Box sx={{ mt: 2, textAlign: 'left' }}>
+      <Stack direction="row" spacing={2} alignItems="center" sx={{ mb: 1, flexWrap: 'wrap', rowGap: 1 }}>
+        <Typography variant="subtitle1" sx={{ flexGrow: 1 }}><strong>History</strong></Typography>
+        {fixedId === undefined && (
+          <>
+            <TextField
+              size="small"
+              label="Token ID"
+              value={input}
+              onChange={(e) => setInput(e.target.value.replace(/\D/g, ''))}
+              inputProps={{ inputMode: 'numeric' }}
+              sx={{ width: 120 }}
+            />
+            <Button variant="contained" disabled={input === ''} onClick={() => setTokenId(input)}>
+              Show
+            </Button>
+          </>
+        )}
+        {walletAddress && (
+          <FormControlLabel
+            control={<Checkbox size="small" checked={mine} onChange={(e) => setMine(e.target.checked)} />}
+            label="Only my wallet"
+          />
+        )}
+      </Stack>
+
+      {tokenId !== null && events === null && !error && (
+        <Stack spacing={1}>{[0, 1, 2].map((i) => <Skeleton key={i} height={48} />)}</Stack>
+      )}
+      {error && <Alert severity="warning">{error}</Alert>}
+      {events && !error && !shown.length && (
+        <Typography variant="body2" sx={{ opacity: 0.7 }}>
+          {mine ? 'No events involving your wallet.' : 'No history found for this token.'}
+        </Typography>
+      )}
+      {shown.map((e) => <Event key={e.key} e={e} network={network} me={walletAddress} />)}
+    </Box>
+  );
+}
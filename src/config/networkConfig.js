@@ -1,6 +1,7 @@
 /*Developed by @jams2blues with love for the Tezos community
   File: src/config/networkConfig.js
   Summary: Redundant, CORS-clean RPC catalogue + writer-stickiness hint
+           + the persisted runtime network choice + local sandbox profile
 */
 
 import { NetworkType } from '@airgap/beacon-sdk';
@@ -17,24 +18,68 @@ const RPCS = {
     'https://mainnet.tezos.ecadinfra.com',    // ECAD Infra (primary)
     'https://rpc.tzkt.io/mainnet',            // Baking Bad
     'https://mainnet.smartpy.io'              // SmartPy – generous CORS
+  ],
+  sandbox: [
+    'http://localhost:20000'                  // flextesa box default port
   ]
 };
 
+/*—— flextesa bootstrap accounts (public, pre-funded, already revealed) ——*/
+export const SANDBOX_ACCOUNTS = [
+  { name: 'alice', address: 'tz1VSUr8wwNhLAzempoch5d6hLRiTh8Cjcjb',
+    secretKey: 'edsk3QoqBuvdamxouPhin7swCvkQNgq4jP5KZPbwWNnwdZpSpJiEbq' },
+  { name: 'bob',   address: 'tz1aSkwEot3L2kmUvcoxzjMomb9mvBNuzFK6',
+    secretKey: 'edsk3RFfvaFaxbHx8BMtEW1rKQcPtDML3LXjNqMNLCzC3wLC1bWbAt' }
+];
+
 /*—— Network descriptors (used by WalletContext) ——*/
 export const NETWORKS = {
   ghostnet: {
     name:  'ghostnet',
     rpcUrls: RPCS.ghostnet,
-    type:  NetworkType.GHOSTNET
+    type:  NetworkType.GHOSTNET,
+    chainId: 'NetXnHfVqm9iesp',
+    explorer: 'https://ghostnet.tzkt.io'
   },
   mainnet: {
     name:  'mainnet',
     rpcUrls: RPCS.mainnet,
-    type:  NetworkType.MAINNET
+    type:  NetworkType.MAINNET,
+    chainId: 'NetXdQprcVkpaWU',
+    explorer: 'https://tzkt.io'
+  },
+  /* local node — no indexer (reads go RPC-only), no explorer, and an
+     in-memory signer over SANDBOX_ACCOUNTS instead of Beacon */
+  sandbox: {
+    name:  'sandbox',
+    rpcUrls: RPCS.sandbox,
+    type:  NetworkType.CUSTOM,
+    chainId: null,
+    explorer: null,
+    indexer: false,
+    signer: 'memory',
+    pollSeconds: 1
   }
 };
 
-/* Flip when building for production mainnet */
+/* sandbox stays out of production builds unless explicitly enabled */
+export const SANDBOX_ENABLED =
+  process.env.NODE_ENV !== 'production' || process.env.NEXT_PUBLIC_SANDBOX === '1';
+
+export const SELECTABLE_NETWORKS = Object.keys(NETWORKS)
+  .filter((n) => n !== 'sandbox' || SANDBOX_ENABLED);
+
+/* Fallback when the visitor hasn't picked a network yet */
 export const DEFAULT_NETWORK = 'ghostnet';
 
+/*—— Runtime selection — cookie so SSR renders the same network ——*/
+export const NETWORK_COOKIE = 'ZEROART_NETWORK';
+
+export const isNetwork = (n) => SELECTABLE_NETWORKS.includes(n);
+
+export const networkFromCookie = (str) => {
+  const m = (str || '').match(new RegExp(`${NETWORK_COOKIE}=(\\w+)`));
+  return m && isNetwork(m[1]) ? m[1] : DEFAULT_NETWORK;
+};
+
 /*— EOF —*/
@@ -2,13 +2,31 @@
   File: src/contexts/WalletContext.js
   Summary: Sticky-writer wallet context — probes fastest RPC, stores it in
            localStorage, and protects against unconfirmed mints. 2025-05-10.
+           Also owns the persisted pending-operations tracker (trackOperation)
+           and runtime network switching (switchNetwork) — including a
+           local sandbox that signs with in-memory bootstrap keys. The toolkit's
+           RPC fails over to the next healthy node (utils/rpcHealth).
+           reviewOperation() gates every signature behind the shared
+           decoded-operation review dialog.
 */
 
-import React, { createContext, useState, useEffect } from 'react';
+import React, { createContext, useState, useEffect, useCallback, useRef } from 'react';
 import { TezosToolkit }        from '@taquito/taquito';
+import { InMemorySigner }      from '@taquito/signer';
+import { RpcClient }           from '@taquito/rpc';
 import { BeaconWallet }        from '@taquito/beacon-wallet';
 import { BeaconEvent }         from '@airgap/beacon-sdk';
-import { NETWORKS, DEFAULT_NETWORK } from '../config/networkConfig';
+import {
+  NETWORKS, DEFAULT_NETWORK, NETWORK_COOKIE, SANDBOX_ACCOUNTS, isNetwork
+} from '../config/networkConfig';
+import { setDataSource } from '../utils/indexer';
+import {
+  rpcCandidates, customEndpoints, probeRpc, subscribeEndpoints
+} from '../utils/endpoints';
+import { startHealthMonitor, setHealthActive } from '../utils/rpcHealth';
+import FailoverHttpBackend from '../utils/failoverBackend';
+import { loadOps, saveOps, lookupOp, FINAL, POLL_MS } from '../utils/opTracker';
+import { requestReview } from '../utils/opReview';
 
 export const WalletContext = createContext();
 
@@ -34,33 +52,48 @@ if (typeof BeaconWallet !== 'undefined' && BeaconWallet.prototype) {
   }
 }
 
-/* —— helper: reach-first RPC probe, 3 s timeout, sticky in localStorage —— */
-const pickRpc = async (urls, net) => {
-  const key   = `zeroart_rpc_${net}`;
-  const saved = (typeof localStorage !== 'undefined') && localStorage.getItem(key);
-  const order = saved ? [saved, ...urls.filter((u) => u !== saved)] : urls;
+const NETWORK_KEY = 'zeroart_network';
+const SANDBOX_KEY = 'zeroart_sandbox_account';
+/* localStorage caches keyed by KT1 only — wiped when the network changes */
+const SHARED_CACHE_KEYS = ['zeroart_contract_cache_v1'];
+
+/* —— helper: reach-first RPC probe, 3 s timeout, sticky in localStorage ——
+   custom endpoints (settings panel) lead the list; when the user has set
+   any, their order wins over the sticky pick */
+const pickRpc = async (net) => {
+  const key    = `zeroart_rpc_${net}`;
+  const urls   = rpcCandidates(net);
+  const custom = customEndpoints(net).rpc.length > 0;
+  const saved  = (typeof localStorage !== 'undefined') && localStorage.getItem(key);
+  const order  = saved && !custom && urls.includes(saved)
+    ? [saved, ...urls.filter((u) => u !== saved)]
+    : urls;
 
   for (const url of order) {
-    try {
-      const ctrl  = new AbortController();
-      const timer = setTimeout(() => ctrl.abort(), 3000);
-      const res   = await fetch(`${url}/chains/main/chain_id`, { mode: 'cors', signal: ctrl.signal });
-      clearTimeout(timer);
-      if (res.ok) {
-        if (saved !== url) localStorage.setItem(key, url);
-        return url;
-      }
-    } catch { /* continue */ }
+    const { ok } = await probeRpc(url, net);
+    if (ok) {
+      if (saved !== url) localStorage.setItem(key, url);
+      return url;
+    }
   }
   throw new Error('No reachable RPC with CORS enabled');
 };
 
-export const WalletProvider = ({ children }) => {
-  const netCfg = NETWORKS[DEFAULT_NETWORK];
+export const WalletProvider = ({ children, initialNetwork = DEFAULT_NETWORK }) => {
+  const [network, setNetwork] = useState(isNetwork(initialNetwork) ? initialNetwork : DEFAULT_NETWORK);
+  const netCfg = NETWORKS[network];
+  const isMemorySigner = netCfg.signer === 'memory';
+
+  const beaconRef    = useRef(null);
+  const beaconNetRef = useRef(null);   // network type the Beacon client was built for
+  const reconnectRef = useRef(false);  // ask for permissions once the new client is up
+  const tkRef        = useRef(null);
 
   const [tezos,  setTezos]      = useState(null);
   const [wallet, setWallet]     = useState(null);
   const [activeRpc, setActive]  = useState(netCfg.rpcUrls[0]);
+  const [endpointRev, setEndpointRev] = useState(0);
+  const [signerRev,   setSignerRev]   = useState(0);  // bump → fresh toolkit, no signer
 
   /* session */
   const [walletAddress, setAddress]       = useState('');
@@ -71,73 +104,289 @@ export const WalletProvider = ({ children }) => {
   const [needsReveal,     setReveal]   = useState(false);
   const [needsFunds,      setFunds]    = useState(false);
 
-  /* —— bootstrap —— */
+  /* operation tracker */
+  const [operations, setOperations] = useState([]);
+  const [opNotice,   setOpNotice]   = useState(null);
+  const lastStatus = useRef(null);
+  const opsRef     = useRef([]);
+
+  const clearSession = () => {
+    setAddress(''); setConnected(false);
+    setMismatch(false); setReveal(false); setFunds(false);
+  };
+
+  /* —— session sync (re-bound every render so it sees the current network) —— */
+  const syncRef = useRef(null);
+  syncRef.current = async (acc) => {
+    /* Beacon events don't concern in-memory signer networks */
+    if (isMemorySigner && !acc?.sandbox) return;
+    const beacon = beaconRef.current;
+    const tk     = tkRef.current;
+    const account = acc || await beacon?.client.getActiveAccount();
+    if (!account) {
+      clearSession();
+      return;
+    }
+
+    setAddress(account.address);
+    setConnected(true);
+    setMismatch((account.network?.type || '').toLowerCase() !== netCfg.name);
+
+    /* reveal / balance guards */
+    try {
+      const [mgr, bal] = await Promise.all([
+        tk.rpc.getManagerKey(account.address).catch(() => null),
+        tk.tz.getBalance(account.address).catch(() => 0)
+      ]);
+      setReveal(!mgr);
+      setFunds(Number(bal) === 0);
+    } catch {
+      setReveal(false); setFunds(false);
+    }
+  };
+
+  /* —— bootstrap (re-runs on every network switch / endpoint edit /
+        sandbox disconnect) —— */
   useEffect(() => {
+    let live = true;
+    setTezos(null);
     (async () => {
       try {
         /* 1. choose writer RPC & init toolkit */
-        const rpc = await pickRpc(netCfg.rpcUrls, netCfg.name);
+        const rpc = await pickRpc(netCfg.name);
+        if (!live) return;
         setActive(rpc);
 
-        const tk      = new TezosToolkit(rpc);
+        /* node errors mid-operation fail over instead of surfacing */
+        const backend = new FailoverHttpBackend(netCfg.name, rpc, (next) => {
+          localStorage.setItem(`zeroart_rpc_${netCfg.name}`, next);
+          setActive(next);
+        });
+        const tk      = new TezosToolkit(new RpcClient(rpc, 'main', backend));
         tk.setProvider({
           config: {
-            confirmationPollingIntervalSecond: 5,
+            confirmationPollingIntervalSecond: netCfg.pollSeconds || 5,
             confirmationPollingTimeoutSecond : 300
           }
         });
 
-        const beacon  = new BeaconWallet({ name: 'ZeroArt DApp', preferredNetwork: netCfg.type });
-        tk.setWalletProvider(beacon);
+        /* 2a. sandbox: in-memory signer over a bootstrap account, no Beacon */
+        if (isMemorySigner) {
+          tkRef.current = tk;
+          const saved = SANDBOX_ACCOUNTS.find((a) => a.name === localStorage.getItem(SANDBOX_KEY));
+          if (saved) await attachSandboxAccount(tk, saved);
+          else clearSession();
+          if (!live) return;
+          setTezos(tk);
+          setWallet(null);
+          console.log(`ZeroArt → ${netCfg.name} local RPC ${rpc}`);
+          return;
+        }
 
-        /* 2. session sync helper */
-        const sync = async (acc) => {
-          const account = acc || await beacon.client.getActiveAccount();
-          if (!account) {
-            setAddress(''); setConnected(false);
-            setMismatch(false); setReveal(false); setFunds(false);
-            return;
-          }
+        /* 2b. one Beacon client per network — Beacon 4 fixes the network at
+              construction (requestPermissions ignores it), so a switch tears
+              the old client down first; two live instances would fight over
+              the same storage */
+        if (beaconRef.current && beaconNetRef.current !== netCfg.type) {
+          const old = beaconRef.current;
+          beaconRef.current = null;
+          await old.client.destroy().catch((e) => console.warn('Beacon teardown:', e.message));
+          if (!live) return;
+        }
+        if (!beaconRef.current) {
+          beaconRef.current = new BeaconWallet({
+            name: 'ZeroArt DApp',
+            preferredNetwork: netCfg.type,
+            network: { type: netCfg.type },
+          });
+          beaconNetRef.current = netCfg.type;
+          beaconRef.current.client.subscribeToEvent(
+            BeaconEvent.ACTIVE_ACCOUNT_SET,
+            (acc) => syncRef.current(acc)
+          );
+        }
+        const beacon = beaconRef.current;
+        tk.setWalletProvider(beacon);
+        tkRef.current = tk;
 
-          setAddress(account.address);
-          setConnected(true);
-          setMismatch((account.network?.type || '').toLowerCase() !== netCfg.name);
-
-          /* reveal / balance guards */
-          try {
-            const [mgr, bal] = await Promise.all([
-              tk.rpc.getManagerKey(account.address).catch(() => null),
-              tk.tz.getBalance(account.address).catch(() => 0)
-            ]);
-            setReveal(!mgr);
-            setFunds(Number(bal) === 0);
-          } catch {
-            setReveal(false); setFunds(false);
-          }
-        };
+        await syncRef.current(await beacon.client.getActiveAccount());
+        if (!live) return;
 
-        beacon.client.subscribeToEvent(BeaconEvent.ACTIVE_ACCOUNT_SET, sync);
-        sync(await beacon.client.getActiveAccount());
+        /* a wallet was connected before the switch → re-connect on this network */
+        if (reconnectRef.current) {
+          reconnectRef.current = false;
+          beacon.requestPermissions().catch((e) =>
+            console.warn('Re-connect after network switch declined:', e.message));
+        }
 
         setTezos(tk);
         setWallet(beacon);
-        console.log(`ZeroArt → sticky RPC ${rpc}`);
+        console.log(`ZeroArt → ${netCfg.name} sticky RPC ${rpc}`);
       } catch (e) {
         console.error('Wallet bootstrap failed:', e.message);
       }
     })();
+    return () => { live = false; };
+  }, [netCfg, endpointRev, signerRev]);
+
+  /* bootstrap account → signer + session (sandbox only) */
+  const attachSandboxAccount = async (tk, acct) => {
+    tk.setProvider({ signer: new InMemorySigner(acct.secretKey) });
+    localStorage.setItem(SANDBOX_KEY, acct.name);
+    await syncRef.current({ address: acct.address, network: { type: netCfg.name }, sandbox: true });
+  };
+
+  /* —— background RPC health monitor —— */
+  useEffect(
+    () => startHealthMonitor(netCfg.name, rpcCandidates(netCfg.name)),
+    [netCfg, endpointRev]
+  );
+  useEffect(() => { setHealthActive(netCfg.name, activeRpc); }, [netCfg.name, activeRpc]);
+
+  /* settings panel edits for this network → re-pick the writer RPC */
+  useEffect(() => subscribeEndpoints((net) => {
+    if (net === netCfg.name) setEndpointRev((n) => n + 1);
+  }), [netCfg.name]);
+
+  /* a pick saved before the cookie existed still wins on first load */
+  useEffect(() => {
+    const saved = localStorage.getItem(NETWORK_KEY);
+    if (saved && saved !== network && isNetwork(saved)) switchNetwork(saved, { silent: true });
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
+  /**
+   * Move the whole app to another network at runtime: persist the choice
+   * (localStorage + cookie for SSR), drop address-keyed caches that aren't
+   * network-scoped, rebuild the toolkit and Beacon client (bootstrap
+   * effect) and — when a wallet was connected — ask the new client for
+   * permissions on the new network.
+   */
+  const switchNetwork = useCallback(async (next, { silent = false } = {}) => {
+    if (!isNetwork(next) || next === network) return;
+    localStorage.setItem(NETWORK_KEY, next);
+    document.cookie = `${NETWORK_COOKIE}=${next}; path=/; max-age=31536000`;
+    SHARED_CACHE_KEYS.forEach((k) => localStorage.removeItem(k));
+    setDataSource('tzkt');
+
+    const beacon  = beaconRef.current;
+    const account = await beacon?.client.getActiveAccount().catch(() => null);
+    if (account && !silent) {
+      /* the old client's session belongs to the old network */
+      await beacon.clearActiveAccount().catch((e) => console.warn('Beacon disconnect:', e.message));
+      reconnectRef.current = NETWORKS[next].signer !== 'memory';
+    }
+    setNetwork(next);
+  }, [network]);
+
+  /* —— operation tracker —— */
+  useEffect(() => { setOperations(loadOps()); }, []);
+
+  const patchOp = useCallback((hash, patch) => {
+    setOperations((prev) => prev.map((o) => (
+      o.hash === hash && o.status === 'pending' ? { ...o, ...patch, updatedAt: Date.now() } : o
+    )));
+  }, []);
+
+  /* persist + raise a notice whenever an op leaves 'pending' */
+  useEffect(() => {
+    if (lastStatus.current) {
+      const settled = operations.find((o) =>
+        lastStatus.current[o.hash] === 'pending' && o.status !== 'pending');
+      if (settled) setOpNotice({ ...settled, at: Date.now() });
+      saveOps(operations);
+    }
+    lastStatus.current = Object.fromEntries(operations.map((o) => [o.hash, o.status]));
+    opsRef.current = operations;
+  }, [operations]);
+
+  /**
+   * Register a sent wallet operation — `op` is Taquito's wallet op (or its
+   * hash). meta: { kind, contract, label }. Returns `op` for chaining.
+   */
+  const trackOperation = useCallback((op, { kind = 'operation', contract = '', label = '' } = {}) => {
+    const hash = typeof op === 'string' ? op : op?.opHash;
+    if (!hash) return op;
+    const now = Date.now();
+    const rec = {
+      hash, kind, contract, label,
+      network: netCfg.name,
+      status: 'pending',
+      submittedAt: now,
+      updatedAt: now,
+    };
+    setOperations((prev) => [rec, ...prev.filter((o) => o.hash !== hash)]);
+    /* live session: the wallet op resolves before the indexer catches up */
+    op?.confirmation?.(1)
+      .then(async (c) => {
+        const st = await op.status?.().catch(() => null);
+        const kt = kind === 'origination' ? (await op.contract?.().catch(() => null))?.address : null;
+        patchOp(hash, st && st !== 'applied'
+          ? { status: 'failed', error: st }
+          : { status: 'applied', level: c?.block?.header?.level, ...(kt ? { contract: kt } : {}) });
+      })
+      .catch(() => { /* polling decides failures */ });
+    return op;
+  }, [netCfg.name, patchOp]);
+
+  const dismissOperation = useCallback((hash) => {
+    setOperations((prev) => prev.filter((o) => o.hash !== hash));
+  }, []);
+
+  const clearOperations = useCallback(() => {
+    setOperations((prev) => prev.filter((o) => !FINAL.includes(o.status)));
+  }, []);
+
+  /* poll every pending op on this network, including ones restored from storage */
+  const hasPending = operations.some((o) => o.status === 'pending' && o.network === netCfg.name);
+  useEffect(() => {
+    if (!hasPending) return undefined;
+    let stop = false;
+    const tick = async () => {
+      const pending = opsRef.current.filter((o) => o.status === 'pending' && o.network === netCfg.name);
+      for (const rec of pending) {
+        if (stop) return;
+        try {
+          const res = await lookupOp(rec);
+          if (res.status !== 'pending') patchOp(rec.hash, res);
+        } catch { /* indexer hiccup — next tick */ }
+      }
+    };
+    tick();
+    const id = setInterval(tick, POLL_MS);
+    return () => { stop = true; clearInterval(id); };
+  }, [hasPending, netCfg.name, patchOp]);
+
+  /**
+   * Show the operation review dialog (utils/opReview spec) — resolves
+   * true when the user chooses to sign. Call right before `.send()`.
+   */
+  const reviewOperation = useCallback(
+    (spec) => requestReview(tezos, walletAddress, spec),
+    [tezos, walletAddress],
+  );
+
   /* —— wallet helpers —— */
-  const connectWallet = () =>
-    wallet?.requestPermissions({ network: { type: netCfg.type } });
+  /* sandbox: `name` picks a bootstrap account (default: first) */
+  const connectWallet = (name) => {
+    if (isMemorySigner) {
+      const acct = SANDBOX_ACCOUNTS.find((a) => a.name === name) || SANDBOX_ACCOUNTS[0];
+      return tezos && attachSandboxAccount(tezos, acct);
+    }
+    return wallet?.requestPermissions({ network: { type: netCfg.type } });
+  };
 
   const disconnectWallet = async () => {
-    try { await wallet?.clearActiveAccount(); }
-    finally {
-      setAddress(''); setConnected(false);
-      setMismatch(false); setReveal(false); setFunds(false);
+    try {
+      if (isMemorySigner) {
+        /* Taquito has no public "no signer" — rebuild the toolkit without one */
+        localStorage.removeItem(SANDBOX_KEY);
+        setSignerRev((n) => n + 1);
+      } else {
+        await wallet?.clearActiveAccount();
+      }
+    } finally {
+      clearSession();
     }
   };
 
@@ -146,7 +395,10 @@ export const WalletProvider = ({ children }) => {
     if (!tezos || !walletAddress) throw new Error('Wallet not ready');
     if (needsFunds) throw new Error('Fund your wallet before revealing');
 
-    const op = await tezos.wallet.transfer({ to: walletAddress, amount: 0.000001 }).send();
+    const transfer = { to: walletAddress, amount: 0.000001 };
+    if (!(await reviewOperation({ title: 'Reveal account', transfer }))) return null;
+    const op = await tezos.wallet.transfer(transfer).send();
+    trackOperation(op, { kind: 'reveal', label: 'Reveal account' });
     await op.confirmation();
     setReveal(false);
     return op.opHash;
@@ -156,10 +408,16 @@ export const WalletProvider = ({ children }) => {
     <WalletContext.Provider
       value={{
         tezos, wallet, activeRpc,
-        network: netCfg.name,
+        network: netCfg.name, switchNetwork,
+        signerKind: isMemorySigner ? 'memory' : 'beacon',
+        sandboxAccounts: isMemorySigner
+          ? SANDBOX_ACCOUNTS.map(({ name, address }) => ({ name, address }))
+          : [],
         walletAddress, isWalletConnected,
         connectWallet, disconnectWallet,
-        networkMismatch, needsReveal, needsFunds, revealAccount
+        networkMismatch, needsReveal, needsFunds, revealAccount,
+        operations, opNotice, trackOperation, dismissOperation, clearOperations,
+        reviewOperation
       }}
     >
       {children}
@@ -0,0 +1,10 @@
+// src/hooks/useDataSource.js
+/* this app was developed by @jams2blues with love for the Tezos community */
+import { useSyncExternalStore } from 'react';
+import { dataSource, subscribeDataSource } from '../utils/indexer';
+
+/* 'tzkt' | 'rpc' — re-renders when reads fall back to / recover from RPC */
+export const useDataSource = () =>
+  useSyncExternalStore(subscribeDataSource, dataSource, () => 'tzkt');
+
+export default useDataSource;
@@ -0,0 +1,10 @@
+// src/hooks/useOperationReview.js
+/* this app was developed by @jams2blues with love for the Tezos community */
+import { useSyncExternalStore } from 'react';
+import { reviewSnapshot, subscribeReview } from '../utils/opReview';
+
+/* { spec, review, resolve } | null — the operation awaiting review */
+export const useOperationReview = () =>
+  useSyncExternalStore(subscribeReview, reviewSnapshot, reviewSnapshot);
+
+export default useOperationReview;
@@ -0,0 +1,10 @@
+// src/hooks/useRpcHealth.js
+/* this app was developed by @jams2blues with love for the Tezos community */
+import { useSyncExternalStore } from 'react';
+import { healthSnapshot, subscribeHealth } from '../utils/rpcHealth';
+
+/* { net, active, order, endpoints } — live RPC health monitor state */
+export const useRpcHealth = () =>
+  useSyncExternalStore(subscribeHealth, healthSnapshot, healthSnapshot);
+
+export default useRpcHealth;
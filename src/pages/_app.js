@@ -4,14 +4,17 @@
            error handling. Removes the hydration warning you saw in 🌙 mode.
 */
 
-import React, { useEffect, useMemo, useState } from 'react';
+import React, { useContext, useEffect, useMemo, useState } from 'react';
 import PropTypes from 'prop-types';
 import App from 'next/app';
 import Head from 'next/head';
 import { ThemeProvider, createTheme } from '@mui/material/styles';
 import CssBaseline from '@mui/material/CssBaseline';
-import { WalletProvider } from '../contexts/WalletContext';
+import { WalletProvider, WalletContext } from '../contexts/WalletContext';
+import { networkFromCookie } from '../config/networkConfig';
 import ColorModeContext from '../contexts/ColorModeContext';
+import SocialMeta from '../components/SocialMeta';
+import OperationReviewDialog from '../components/OperationReviewDialog';
 import '../styles/globals.css';
 
 const COLOR_COOKIE = 'ZEROART_COLOR_MODE';
@@ -52,8 +55,14 @@ class AppBoundary extends React.Component {
   }
 }
 
+/* ─── remount pages on network switch — no stale per-network state ── */
+function NetworkScope({ children }) {
+  const { network } = useContext(WalletContext);
+  return <React.Fragment key={network}>{children}</React.Fragment>;
+}
+
 /* ─── main app ─────────────────────────────────────────────────── */
-function MyApp({ Component, pageProps, initialMode }) {
+function MyApp({ Component, pageProps, initialMode, initialNetwork }) {
   const [mode, setMode] = useState(initialMode);
 
   /* client‑side sync with localStorage / cookie */
@@ -108,13 +117,17 @@ function MyApp({ Component, pageProps, initialMode }) {
         <meta name="viewport" content="initial-scale=1, width=device-width" />
         <meta name="theme-color" content={theme.palette.primary.main} />
       </Head>
+      <SocialMeta />
 
-      <WalletProvider>
+      <WalletProvider initialNetwork={initialNetwork}>
         <ColorModeContext.Provider value={colorMode}>
           <ThemeProvider theme={theme}>
             <CssBaseline enableColorScheme />
             <AppBoundary>
-              <Component {...pageProps} />
+              <NetworkScope>
+                <Component {...pageProps} />
+              </NetworkScope>
+              <OperationReviewDialog />
             </AppBoundary>
           </ThemeProvider>
         </ColorModeContext.Provider>
@@ -127,16 +140,21 @@ MyApp.propTypes = {
   Component: PropTypes.elementType.isRequired,
   pageProps:    PropTypes.object.isRequired,
   initialMode:  PropTypes.oneOf(['light', 'dark']).isRequired,
+  initialNetwork: PropTypes.string,
 };
 
 MyApp.defaultProps = { initialMode: 'light' };
 
-/* ─── getInitialProps – sets initialMode during SSR ────────────── */
+/* ─── getInitialProps – sets initialMode / initialNetwork during SSR ─ */
 MyApp.getInitialProps = async (appCtx) => {
   const props      = await App.getInitialProps(appCtx);
   const cookieStr  = appCtx.ctx.req?.headers?.cookie || '';
   const cookieMode = readCookie(cookieStr, COLOR_COOKIE);
-  return { ...props, initialMode: cookieMode || 'light' };
+  return {
+    ...props,
+    initialMode: cookieMode || 'light',
+    initialNetwork: networkFromCookie(cookieStr),
+  };
 };
 
 export default MyApp;
@@ -1,5 +1,5 @@
 // src/pages/_document.js
-// Summary: Custom Document – Sets up SSR for MUI (Emotion) and injects meta tags for Open Graph and Twitter using ZeroContractBanner.png for social sharing.
+// Summary: Custom Document – Sets up SSR for MUI (Emotion). Open Graph / Twitter tags live in SocialMeta (via _app) so token pages can override them.
 /* this app was developed by @jams2blues with love for the Tezos community */
 import React from 'react';
 import Document, { Html, Head, Main, NextScript } from 'next/document';
@@ -16,19 +16,6 @@ export default class MyDocument extends Document {
           <link rel="shortcut icon" href="/favicon.ico" />
           <link rel="manifest" href="/manifest.json" />
           <meta name="theme-color" content="#006400" />
-
-          {/* Open Graph Meta Tags */}
-          <meta property="og:title" content="Save The World With Art™" />
-          <meta property="og:description" content="The first Tzip-compliant fully on-chain minting platform for Tezos." />
-          <meta property="og:image" content="https://ghostnet.savetheworldwithart.io/images/ZeroContractBanner.png" />
-          <meta property="og:url" content="https://ghostnet.savetheworldwithart.io/" />
-          <meta property="og:type" content="website" />
-
-          {/* Twitter Card Meta Tags */}
-          <meta name="twitter:card" content="summary_large_image" />
-          <meta name="twitter:title" content="Save The World With Art™" />
-          <meta name="twitter:description" content="The first fully on-chain minting platform for Tezos." />
-          <meta name="twitter:image" content="https://ghostnet.savetheworldwithart.io/images/ZeroContractBanner.png" />
         </Head>
         <body>
           <Main />
@@ -0,0 +1,72 @@
+/*Developed by @jams2blues with love for the Tezos community
+  File: src/pages/api/og.js
+  Summary: 1200×630 PNG social card for a token —
+           /api/og?contract=KT1…&tokenId=0&network=ghostnet. Falls back to
+           a plain site card when the token can't be resolved.
+*/
+
+import React from 'react';
+import { ImageResponse } from 'next/og';
+import { loadTokenCard, SITE_NAME } from '../../utils/ogCard';
+
+export const config = { runtime: 'edge' };
+
+/* ─── constants ───────────────────────────────────── */
+const W = 1200;
+const H = 630;
+const BRAND = '#006400';
+const CACHE = 'public, max-age=300, s-maxage=86400, stale-while-revalidate=604800';
+
+const clip = (s = '', n) => (s.length > n ? `${s.slice(0, n - 1)}…` : s);
+
+/* ─── handler ─────────────────────────────────────── */
+export default async function handler(req) {
+  const q = new URL(req.url).searchParams;
+  const card = await loadTokenCard(
+    q.get('network') || 'ghostnet',
+    q.get('contract'),
+    q.get('tokenId'),
+  ).catch(() => null);
+
+  return new ImageResponse(
+    (
+      <div style={{
+        width: W, height: H, display: 'flex', background: '#121212',
+        color: '#fafafa', fontFamily: 'sans-serif',
+      }}>
+        {card?.image && (
+          <div style={{
+            width: H, height: H, display: 'flex', alignItems: 'center',
+            justifyContent: 'center', background: '#000',
+          }}>
+            <img src={card.image} width={H - 40} height={H - 40}
+              style={{ objectFit: 'contain' }} />
+          </div>
+        )}
+        <div style={{
+          flex: 1, display: 'flex', flexDirection: 'column',
+          justifyContent: 'space-between', padding: 56,
+          borderLeft: card?.image ? `8px solid ${BRAND}` : 'none',
+        }}>
+          <div style={{ display: 'flex', flexDirection: 'column' }}>
+            <div style={{ fontSize: 28, color: '#9e9e9e' }}>
+              {card ? clip(card.collection, 40) : 'Fully on-chain Tezos art'}
+            </div>
+            <div style={{ fontSize: card?.image ? 56 : 72, fontWeight: 700, marginTop: 16, lineHeight: 1.1 }}>
+              {card ? clip(card.name, 60) : SITE_NAME}
+            </div>
+            {card?.description && (
+              <div style={{ fontSize: 26, color: '#bdbdbd', marginTop: 24, lineHeight: 1.35 }}>
+                {clip(card.description, 180)}
+              </div>
+            )}
+          </div>
+          <div style={{ display: 'flex', alignItems: 'center', fontSize: 26, color: BRAND }}>
+            {SITE_NAME}
+          </div>
+        </div>
+      </div>
+    ),
+    { width: W, height: H, headers: { 'cache-control': CACHE } },
+  );
+}
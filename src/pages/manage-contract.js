@@ -1,14 +1,33 @@
 // src/pages/manage-contract.js
 /* this app was developed by @jams2blues with love for the Tezos community */
-import React from 'react';
+import React, { useCallback } from 'react';
+import { useRouter } from 'next/router';
 import Header from '../components/Header';
 import ManageContract from '../components/ManageContract/ManageContract';
 
 export default function ManageContractPage() {
+  const router = useRouter();
+  const { contract } = router.query;
+
+  /* mirror the loaded contract into ?contract= so the page can be shared */
+  const syncContract = useCallback((addr) => {
+    if (addr === router.query.contract) return;
+    router.replace(
+      { pathname: '/manage-contract', query: addr ? { contract: addr } : {} },
+      undefined,
+      { shallow: true, scroll: false },
+    );
+  }, [router]);
+
   return (
     <>
       <Header />
-      <ManageContract />
+      {router.isReady && (
+        <ManageContract
+          routeContract={typeof contract === 'string' ? contract : undefined}
+          onContractChange={syncContract}
+        />
+      )}
     </>
   );
 }
@@ -0,0 +1,66 @@
+/*Developed by @jams2blues with love for the Tezos community
+  File: src/pages/on-chain-viewer/[[...slug]].js
+  Summary: Page wrapper for 3D on-chain NFT viewer — serves
+           /on-chain-viewer, /on-chain-viewer/[kt1] and
+           /on-chain-viewer/[kt1]/[tokenId]; selection is mirrored back
+           into the URL with shallow replaces. Token links get server-side
+           og:/twitter: tags pointing at the /api/og PNG card.
+*/
+
+import React, { useCallback } from 'react';
+import { useRouter } from 'next/router';
+import { Box, useTheme } from '@mui/material';
+import Header from '../../components/Header';
+import OnChainViewer from '../../components/OnChainViewer/OnChainViewer';
+import SocialMeta from '../../components/SocialMeta';
+import { networkFromCookie } from '../../config/networkConfig';
+import { loadTokenCard, isCardTarget, SITE_NAME } from '../../utils/ogCard';
+
+export default function OnChain3DViewerPage({ og }) {
+  const theme  = useTheme();
+  const router = useRouter();
+  const [kt1, tokenId] = router.query.slug || [];
+
+  const navigate = useCallback((kt, id) => {
+    const path = ['/on-chain-viewer', kt, kt && id].filter((p) => p != null && p !== '').join('/');
+    if (path !== router.asPath.split('?')[0]) {
+      router.replace(path, undefined, { shallow: true, scroll: false });
+    }
+  }, [router]);
+
+  return (
+    <Box sx={{ bgcolor: theme.palette.background.default, minHeight: '100vh' }}>
+      {og && <SocialMeta {...og} />}
+      <Header />
+      <Box sx={{ pt: 2 }}>
+        {router.isReady && (
+          <OnChainViewer routeKt={kt1} routeTokenId={tokenId} onRouteChange={navigate} />
+        )}
+      </Box>
+    </Box>
+  );
+}
+
+/* token deep links only — everything else keeps the site-wide card */
+export async function getServerSideProps({ params, req }) {
+  const [kt1, tokenId] = params?.slug || [];
+  if (!isCardTarget(kt1, tokenId)) return { props: { og: null } };
+
+  const proto  = (req.headers['x-forwarded-proto'] || 'https').split(',')[0];
+  const origin = `${proto}://${req.headers.host}`;
+  const net    = networkFromCookie(req.headers.cookie);
+  const card   = await loadTokenCard(net, kt1, tokenId).catch(() => null);
+  const qs     = new URLSearchParams({ contract: kt1, tokenId, network: net });
+
+  return {
+    props: {
+      og: {
+        title: card ? `${card.name} — ${card.collection}` : `Token #${tokenId} — ${SITE_NAME}`,
+        description: (card?.description || `Fully on-chain token ${kt1} #${tokenId}`).slice(0, 200),
+        image: `${origin}/api/og?${qs}`,
+        url: `${origin}/on-chain-viewer/${kt1}/${tokenId}`,
+        type: 'article',
+      },
+    },
+  };
+}
@@ -0,0 +1,88 @@
+/*Developed by @jams2blues with love for the Tezos community
+  File: src/utils/artifactChunks.js
+  Summary: Multi-part artifact helpers for V4 `append_artifact_uri` —
+           head budget, on-chain read-back, resumable progress. Data URIs
+           are base64/ASCII, so string offsets are byte offsets.
+*/
+
+import { MAX_METADATA_SIZE } from './tokenMetadata';
+
+/* ─── constants ───────────────────────────────────── */
+export const APPEND_CHUNK_BYTES = 30_000; // leaves room for op envelope
+export const HEAD_MARGIN_BYTES = 512;     // slack on the mint op itself
+const PROGRESS_KEY = (kt) => `zeroart_multipart_${kt}`;
+
+/* ─── utility fns ─────────────────────────────────── */
+/* FNV-1a over the URI — cheap identity for "same artifact as before" */
+export const fingerprint = (uri = '') => {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < uri.length; i += 1) {
+    h ^= uri.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return `${uri.length}:${h.toString(16)}`;
+};
+
+/**
+ * Bytes the artifactUri may use in the mint op, given the map size
+ * without the artifact.
+ */
+export const headBudget = (sizeWithoutArtifact) =>
+  MAX_METADATA_SIZE - sizeWithoutArtifact - HEAD_MARGIN_BYTES;
+
+/* ─── on-chain read-back ──────────────────────────── */
+/**
+ * Current artifactUri of a token as lower-case hex ('' when unset).
+ */
+export const readArtifactHex = async (tezos, kt, tokenId) => {
+  const c = await tezos.wallet.at(kt);
+  const st = await c.storage();
+  const entry = await st.token_metadata.get(tokenId);
+  if (!entry) throw new Error(`Token ${tokenId} not found`);
+  const v = entry.token_info.get('artifactUri');
+  return (v || '').replace(/^0x/, '').toLowerCase();
+};
+
+/**
+ * After a multi-part mint, find which new token carries our head chunk —
+ * someone else may have minted in between.
+ */
+export const findMintedToken = async (tezos, kt, fromId, headHex) => {
+  const c = await tezos.wallet.at(kt);
+  const st = await c.storage();
+  const next = Number(st.next_token_id);
+  for (let id = next - 1; id >= fromId; id -= 1) {
+    const entry = await st.token_metadata.get(id);
+    const v = (entry?.token_info.get('artifactUri') || '').replace(/^0x/, '').toLowerCase();
+    if (v === headHex.toLowerCase()) return id;
+  }
+  throw new Error('Minted token could not be located');
+};
+
+export const nextTokenId = async (tezos, kt) => {
+  const c = await tezos.wallet.at(kt);
+  return Number((await c.storage()).next_token_id);
+};
+
+/* ─── resumable progress (localStorage) ───────────── */
+const readAll = (kt) => {
+  if (typeof window === 'undefined') return {};
+  try { return JSON.parse(localStorage.getItem(PROGRESS_KEY(kt)) || '{}'); }
+  catch { return {}; }
+};
+
+export const loadProgress = (kt, fp) => readAll(kt)[fp] || null;
+
+export const saveProgress = (kt, fp, data) => {
+  if (typeof window === 'undefined') return;
+  localStorage.setItem(PROGRESS_KEY(kt), JSON.stringify({ ...readAll(kt), [fp]: data }));
+};
+
+export const clearProgress = (kt, fp) => {
+  if (typeof window === 'undefined') return;
+  const all = readAll(kt);
+  delete all[fp];
+  localStorage.setItem(PROGRESS_KEY(kt), JSON.stringify(all));
+};
+
+/*— EOF —*/
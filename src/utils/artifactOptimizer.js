@@ -0,0 +1,178 @@
+/*Developed by @jams2blues with love for the Tezos community
+  File: src/utils/artifactOptimizer.js
+  Summary: Browser-side artifact shrinking — canvas resize + WebP/PNG/JPEG
+           re-encode for rasters, SVG minify, and a fit-to-budget search.
+           Sizes are data-URI string lengths, i.e. what lands on-chain.
+*/
+
+/* ─── constants ───────────────────────────────────── */
+export const RASTER_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/bmp'];
+export const SVG_TYPE = 'image/svg+xml';
+export const OUTPUT_FORMATS = [
+  { mime: 'image/webp', label: 'WebP', lossy: true },
+  { mime: 'image/png', label: 'PNG', lossy: false },
+  { mime: 'image/jpeg', label: 'JPEG', lossy: true },
+];
+
+const EXT_OF = {
+  'image/webp': '.webp',
+  'image/png': '.png',
+  'image/jpeg': '.jpg',
+  'image/svg+xml': '.svg',
+};
+const FIT_SCALES = [1, 0.85, 0.7, 0.55, 0.4, 0.3, 0.2, 0.15, 0.1];
+const FIT_QUALITIES = [0.9, 0.75, 0.6, 0.45];
+
+/* ─── utility fns ─────────────────────────────────── */
+export const uriBytes = (uri = '') => uri.length;
+export const mimeOfUri = (uri = '') => (uri.match(/^data:([^;,]+)/) || [])[1] || '';
+export const canOptimize = (mime = '') =>
+  RASTER_TYPES.includes(mime) || mime === SVG_TYPE;
+
+const bytesToB64 = (bytes) => {
+  let bin = '';
+  for (let i = 0; i < bytes.length; i += 0x8000)
+    bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(bin);
+};
+
+export const uriToBytes = (uri) => {
+  const [head, body = ''] = uri.split(',');
+  if (head.endsWith(';base64'))
+    return Uint8Array.from(atob(body), (c) => c.charCodeAt(0));
+  return new TextEncoder().encode(decodeURIComponent(body));
+};
+
+const loadImage = (src) =>
+  new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error('Image could not be decoded'));
+    img.src = src;
+  });
+
+/**
+ * Wrap a data URI as a File so callers keep a name + MIME alongside it.
+ */
+export const dataUriToFile = (uri, name = 'artifact') => {
+  const mime = mimeOfUri(uri);
+  const ext = EXT_OF[mime];
+  const base = name.replace(/\.[^.]+$/, '');
+  return new File([uriToBytes(uri)], ext ? base + ext : name, { type: mime });
+};
+
+/* ─── svg ─────────────────────────────────────────── */
+/* whitespace inside these (or under xml:space="preserve") is content */
+const SVG_TEXT_TAGS = new Set(['text', 'tspan', 'textPath', 'title', 'desc', 'style', 'script']);
+
+const parseSvg = (text) => {
+  const doc = new DOMParser().parseFromString(text, SVG_TYPE);
+  if (doc.getElementsByTagName('parsererror').length)
+    throw new Error('SVG is not well-formed XML');
+  return doc;
+};
+
+const keepsSpace = (el) =>
+  !!el && (SVG_TEXT_TAGS.has(el.localName) || !!el.closest?.('[*|space="preserve"], [space="preserve"]'));
+
+/**
+ * Parse → drop comments, <metadata> and the DOCTYPE (entities are already
+ * expanded by the parser) plus whitespace-only indentation between
+ * elements → serialize. Other text is left untouched. Throws when the input
+ * or the result does not parse.
+ */
+export const minifySvg = (text = '') => {
+  const doc = parseSvg(text);
+  if (doc.doctype) doc.removeChild(doc.doctype);
+  const drop = [];
+  const walker = doc.createTreeWalker(doc, NodeFilter.SHOW_ALL);
+  for (let n = walker.nextNode(); n; n = walker.nextNode()) {
+    if (n.nodeType === Node.COMMENT_NODE) drop.push(n);
+    else if (n.nodeType === Node.ELEMENT_NODE && n.localName === 'metadata') drop.push(n);
+    else if (n.nodeType === Node.TEXT_NODE && !n.data.trim() && !keepsSpace(n.parentElement)) drop.push(n);
+  }
+  drop.forEach((n) => n.parentNode?.removeChild(n));
+  const out = new XMLSerializer().serializeToString(doc);
+  parseSvg(out);
+  return out;
+};
+
+const minifySvgUri = (uri) => {
+  const text = new TextDecoder().decode(uriToBytes(uri));
+  const out = new TextEncoder().encode(minifySvg(text));
+  return `data:${SVG_TYPE};base64,${bytesToB64(out)}`;
+};
+
+/* ─── raster ──────────────────────────────────────── */
+/**
+ * Draw onto a canvas (optionally capped at maxDim px on the long edge)
+ * and re-encode. Throws if the browser can't emit the requested format.
+ */
+export const rasterize = async (
+  uri,
+  { format = 'image/webp', quality = 0.8, maxDim = 0, scale = 1 } = {},
+) => {
+  const img = await loadImage(uri);
+  const long = Math.max(img.naturalWidth, img.naturalHeight);
+  const cap = maxDim && long > maxDim ? maxDim / long : 1;
+  const k = cap * scale;
+  const w = Math.max(1, Math.round(img.naturalWidth * k));
+  const h = Math.max(1, Math.round(img.naturalHeight * k));
+
+  const canvas = document.createElement('canvas');
+  canvas.width = w;
+  canvas.height = h;
+  const ctx = canvas.getContext('2d');
+  if (format === 'image/jpeg') { ctx.fillStyle = '#fff'; ctx.fillRect(0, 0, w, h); }
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(img, 0, 0, w, h);
+
+  const out = canvas.toDataURL(format, quality);
+  if (!out.startsWith(`data:${format}`))
+    throw new Error(`${format} encoding is not supported by this browser`);
+  return { uri: out, mime: format, width: w, height: h };
+};
+
+/* ─── public api ──────────────────────────────────── */
+/**
+ * One optimisation pass with explicit settings.
+ * → { uri, mime, before, after, width?, height? }
+ */
+export const optimizeArtifact = async (uri, opts = {}) => {
+  const mime = mimeOfUri(uri);
+  const before = uriBytes(uri);
+  if (mime === SVG_TYPE) {
+    const out = minifySvgUri(uri);
+    return { uri: out, mime, before, after: uriBytes(out) };
+  }
+  if (!RASTER_TYPES.includes(mime))
+    throw new Error(`${mime || 'This file type'} cannot be optimised in-browser`);
+  const r = await rasterize(uri, opts);
+  return { ...r, before, after: uriBytes(r.uri) };
+};
+
+/**
+ * Search scale × quality until the data URI fits `budget` bytes; largest
+ * resolution wins, then highest quality. Falls back to the smallest try.
+ * → optimizeArtifact result + { fits }
+ */
+export const fitToBudget = async (uri, budget, { format = 'image/webp', maxDim = 0 } = {}) => {
+  const mime = mimeOfUri(uri);
+  if (mime === SVG_TYPE) {
+    const r = await optimizeArtifact(uri);
+    return { ...r, fits: r.after <= budget };
+  }
+  const lossy = OUTPUT_FORMATS.find((f) => f.mime === format)?.lossy;
+  const qualities = lossy ? FIT_QUALITIES : [1];
+  let best = null;
+  for (const scale of FIT_SCALES) {
+    for (const quality of qualities) {
+      const r = await optimizeArtifact(uri, { format, quality, maxDim, scale });
+      if (r.after <= budget) return { ...r, quality, fits: true };
+      if (!best || r.after < best.after) best = { ...r, quality };
+    }
+  }
+  return { ...best, fits: false };
+};
+
+/*— EOF —*/
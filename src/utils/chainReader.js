@@ -0,0 +1,219 @@
+/*Developed by @jams2blues with love for the Tezos community
+  File: src/utils/chainReader.js
+  Summary: Indexer-free reads straight from the Tezos RPC (via a Taquito
+           toolkit) — storage, token_metadata / ledger / operators / metadata
+           big-maps and a version guess from the contract's entrypoint signature
+           (TzKT typeHash is indexer-specific). Used when TzKT is down.
+*/
+
+import { isV4Interface, hex2str } from './indexer';
+
+/* ─── constants ───────────────────────────────────── */
+export const BURN_ADDRS = [
+  'tz1burnburnburnburnburnburnburjAYjjX',
+  'tz1ZZZZZZZZZZ7NoGB2xc4V2tqowGwynPXRR',
+];
+const JSON_KEYS = new Set([
+  'creators', 'authors', 'attributes', 'royalties', 'tags', 'formats', 'accessibility',
+]);
+export const MAX_RPC_TOKENS = 500; // no key listing on RPC — ids are walked one by one
+const CONCURRENCY = 4;
+const KNOWN_KEY = (net, wallet) => `zeroart_known_contracts_${net}_${wallet}`;
+
+/* ─── utility fns ─────────────────────────────────── */
+const num = (v) => (v == null ? null : Number(v));
+const setToArr = (v) => (Array.isArray(v) ? v : v instanceof Set ? [...v] : []);
+
+async function mapLimit(arr, n, fn) {
+  const it = arr[Symbol.iterator]();
+  const out = [];
+  await Promise.all(Array.from({ length: n }, async () => {
+    for (const v of it) out.push(await fn(v));
+  }));
+  return out;
+}
+
+/* leaves of a right-comb pair type, e.g. mint → ['nat','map','address'] */
+const pairLeaves = (t) => (t?.prim === 'pair' ? t.args.flatMap(pairLeaves) : [t?.prim]);
+
+/* ─── version detection ───────────────────────────── */
+/**
+ * 'v1' | 'v2b' | 'v2' | 'v3' | 'v4' from the entrypoint map (and, for V4,
+ * the storage fields), or null when this isn't a Zero contract. V2 variants
+ * other than v2b share a mint signature and are reported as plain 'v2'.
+ */
+export const detectVersion = (eps = {}, st = {}) => {
+  if (!eps.add_parent || !eps.mint) return null;
+  if (isV4Interface(Object.keys(eps), Object.keys(st || {}))) return 'v4';
+  if (eps.add_collaborator) return 'v3';
+  const leaves = pairLeaves(eps.mint);
+  if (leaves[0] === 'map') return leaves.length === 2 ? 'v1' : 'v2b';
+  return 'v2';
+};
+
+/* ─── readers ─────────────────────────────────────── */
+const open = async (tezos, addr) => {
+  if (!tezos) throw new Error('RPC not ready');
+  const c = await tezos.contract.at(addr);
+  return { c, st: await c.storage() };
+};
+
+/**
+ * TZIP-16 JSON behind the metadata big-map's '' pointer.
+ */
+export const readContractMetadata = async (st) => {
+  try {
+    const ptr = hex2str(await st.metadata.get('') || '');
+    const key = ptr.startsWith('tezos-storage:') ? ptr.slice(14) : 'content';
+    return JSON.parse(hex2str(await st.metadata.get(key) || ''));
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * token_info map → plain object; JSON-valued TZIP-21 keys are parsed.
+ */
+export const decodeTokenInfo = (info) => {
+  const out = {};
+  for (const [k, v] of info.entries()) {
+    const s = hex2str(v);
+    if (JSON_KEYS.has(k)) {
+      try { out[k] = JSON.parse(s); continue; } catch { /* keep raw */ }
+    }
+    out[k] = k === 'decimals' ? +s : s;
+  }
+  return out;
+};
+
+/**
+ * → { address, version, admin, meta, nextTokenId, allTokens, frozen,
+ *     parents, children, collaborators, lockable }
+ */
+export const readContractSummary = async (tezos, addr) => {
+  const { c, st } = await open(tezos, addr);
+  const eps = c.entrypoints?.entrypoints || {};
+  return {
+    address: addr,
+    version: detectVersion(eps, st),
+    admin: st.admin,
+    meta: await readContractMetadata(st),
+    nextTokenId: num(st.next_token_id),
+    allTokens: num(st.all_tokens),
+    frozen: typeof st.frozen === 'boolean' ? st.frozen : undefined,
+    lockable: !!eps.lock,
+    parents: setToArr(st.parents),
+    children: setToArr(st.children),
+    collaborators: setToArr(st.collaborators),
+  };
+};
+
+/* live supply of one id: V2+ keeps total_supply, V1 has a single owner */
+const liveSupply = async (st, id) => {
+  if (st.total_supply) return Number(await st.total_supply.get(id) || 0);
+  const owner = await st.ledger?.get(id);
+  return owner && !BURN_ADDRS.includes(owner) ? 1 : 0;
+};
+
+/**
+ * Every token of a contract as { tokenId, metadata, totalSupply } — burned /
+ * zero-supply tokens dropped unless showBurned.
+ */
+export const readTokens = async (tezos, addr, { showBurned = false } = {}) => {
+  const { st } = await open(tezos, addr);
+  const next = Math.min(num(st.next_token_id) || 0, MAX_RPC_TOKENS);
+  const ids = Array.from({ length: next }, (_, i) => i);
+  const rows = await mapLimit(ids, CONCURRENCY, async (id) => {
+    const entry = await st.token_metadata.get(id).catch(() => null);
+    if (!entry) return null;
+    const totalSupply = await liveSupply(st, id).catch(() => 0);
+    if (!showBurned && totalSupply === 0) return null;
+    return { tokenId: id, metadata: decodeTokenInfo(entry.token_info), totalSupply };
+  });
+  return rows.filter(Boolean).sort((a, b) => a.tokenId - b.tokenId);
+};
+
+/**
+ * `owner`'s balance of each id as { [tokenId]: n } — ledger big-map reads.
+ * V1 ledger is id → owner (balance 0/1), V2+ is (owner, id) → nat.
+ */
+export const readBalances = async (tezos, addr, owner, ids = []) => {
+  const { st } = await open(tezos, addr);
+  const v1 = !st.total_supply;
+  const rows = await mapLimit([...new Set(ids)], CONCURRENCY, async (id) => {
+    const v = await st.ledger.get(v1 ? id : [owner, id]).catch(() => null);
+    return [id, v1 ? Number(v === owner) : Number(v || 0)];
+  });
+  return Object.fromEntries(rows);
+};
+
+/**
+ * What `owner` holds in this contract → { holdings: [{ tokenId, balance,
+ * metadata }], capped }, walking ids like readTokens (no key listing on
+ * RPC). capped: ids past MAX_RPC_TOKENS were not checked.
+ */
+export const readHoldings = async (tezos, addr, owner) => {
+  const { st } = await open(tezos, addr);
+  const v1 = !st.total_supply;
+  const total = num(st.next_token_id) || 0;
+  const next = Math.min(total, MAX_RPC_TOKENS);
+  const ids = Array.from({ length: next }, (_, i) => i);
+  const rows = await mapLimit(ids, CONCURRENCY, async (id) => {
+    const v = await st.ledger.get(v1 ? id : [owner, id]).catch(() => null);
+    const balance = v1 ? Number(v === owner) : Number(v || 0);
+    if (!balance) return null;
+    const entry = await st.token_metadata.get(id).catch(() => null);
+    return { tokenId: id, balance, metadata: entry ? decodeTokenInfo(entry.token_info) : {} };
+  });
+  return {
+    holdings: rows.filter(Boolean).sort((a, b) => a.tokenId - b.tokenId),
+    capped: total > MAX_RPC_TOKENS,
+  };
+};
+
+/**
+ * Ids of `ids` on which `operator` may move `owner`'s tokens — operators
+ * big-map, same (owner, operator, token_id) key on every version.
+ */
+export const readOperatorIds = async (tezos, addr, owner, operator, ids = []) => {
+  const { st } = await open(tezos, addr);
+  const rows = await mapLimit([...new Set(ids)], CONCURRENCY, async (id) => {
+    const hit = await st.operators.get({ owner, operator, token_id: id }).catch(() => undefined);
+    return hit !== undefined ? id : null;
+  });
+  return new Set(rows.filter((id) => id !== null));
+};
+
+/* ─── known-contract memory (RPC can't list by creator) ── */
+/**
+ * Store the indexer's answer for one role ('origin' | 'collab') so RPC mode
+ * can still show this wallet's contracts.
+ */
+export const rememberContracts = (net, wallet, role, addrs) => {
+  if (typeof window === 'undefined' || !wallet) return;
+  const keep = knownContracts(net, wallet).filter((k) => k.role !== role);
+  const next = [...keep, ...addrs.map((address) => ({ address, role }))];
+  localStorage.setItem(KNOWN_KEY(net, wallet), JSON.stringify(next));
+};
+
+/**
+ * Append one address (e.g. a fresh origination) without waiting for the
+ * indexer to list it.
+ */
+export const addKnownContract = (net, wallet, role, address) => {
+  if (typeof window === 'undefined' || !wallet || !address) return;
+  const list = knownContracts(net, wallet);
+  if (list.some((k) => k.address === address && k.role === role)) return;
+  localStorage.setItem(KNOWN_KEY(net, wallet), JSON.stringify([...list, { address, role }]));
+};
+
+/**
+ * Last indexer-sourced list for this wallet: [{ address, role }].
+ */
+export const knownContracts = (net, wallet) => {
+  if (typeof window === 'undefined' || !wallet) return [];
+  try { return JSON.parse(localStorage.getItem(KNOWN_KEY(net, wallet)) || '[]'); }
+  catch { return []; }
+};
+
+/*— EOF —*/
@@ -0,0 +1,65 @@
+/*Developed by @jams2blues with love for the Tezos community
+  File: src/utils/csv.js
+  Summary: Tiny RFC-4180 CSV reader/writer (quoted fields, CRLF, BOM) — no
+           deps, good enough for manifests and spreadsheet exports — plus
+           a browser download helper for the exports.
+*/
+
+/**
+ * Parse CSV text into an array of row objects keyed by the trimmed,
+ * lower-cased header names. Blank lines are skipped.
+ */
+export const parseCSV = (text = '') => {
+  const src  = text.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [], field = '', quoted = false;
+
+  for (let i = 0; i < src.length; i += 1) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') { field += '"'; i += 1; }
+      else if (c === '"') quoted = false;
+      else field += c;
+      continue;
+    }
+    if (c === '"') quoted = true;
+    else if (c === ',') { row.push(field); field = ''; }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && src[i + 1] === '\n') i += 1;
+      row.push(field); rows.push(row); row = []; field = '';
+    } else field += c;
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+
+  const [head = [], ...body] = rows.filter((r) => r.some((v) => v.trim()));
+  const keys = head.map((h) => h.trim().toLowerCase());
+  return body.map((r) =>
+    Object.fromEntries(keys.map((k, i) => [k, (r[i] ?? '').trim()])),
+  );
+};
+
+const cell = (v) => {
+  const s = v == null ? '' : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+/**
+ * Serialise row objects to CSV using `columns` (defaults to the first
+ * row's keys) as the header.
+ */
+export const toCSV = (rows = [], columns = Object.keys(rows[0] || {})) =>
+  [columns, ...rows.map((r) => columns.map((c) => r[c]))]
+    .map((r) => r.map(cell).join(','))
+    .join('\r\n');
+
+/**
+ * Hand `text` to the browser as a file download.
+ */
+export const downloadText = (name, text, type = 'text/csv') => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = Object.assign(document.createElement('a'), { href: url, download: name });
+  a.click();
+  URL.revokeObjectURL(url);
+};
+
+/*— EOF —*/
@@ -0,0 +1,66 @@
+/*Developed by @jams2blues with love for the Tezos community
+  File: src/utils/draftStore.js
+  Summary: IndexedDB-backed mint drafts, keyed by id and indexed per
+           contract — survives reloads and wallet-popup crashes.
+*/
+
+/* ─── constants ───────────────────────────────────── */
+const DB_NAME = 'zeroart';
+const DB_VERSION = 1;
+const STORE = 'mint_drafts';
+
+/* ─── db handle ───────────────────────────────────── */
+let dbPromise = null;
+
+const openDb = () => {
+  if (typeof indexedDB === 'undefined')
+    return Promise.reject(new Error('IndexedDB unavailable'));
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const store = req.result.createObjectStore(STORE, { keyPath: 'id' });
+        store.createIndex('contract', 'contract', { unique: false });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => { dbPromise = null; reject(req.error); };
+    });
+  }
+  return dbPromise;
+};
+
+/* run fn(store) inside one transaction, resolve with the request result */
+const tx = async (mode, fn) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const t = db.transaction(STORE, mode);
+    const req = fn(t.objectStore(STORE));
+    t.oncomplete = () => resolve(req?.result);
+    t.onerror = () => reject(t.error);
+    t.onabort = () => reject(t.error);
+  });
+};
+
+/* ─── public api ──────────────────────────────────── */
+export const newDraftId = () =>
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * All drafts for a contract, newest first.
+ */
+export const listDrafts = async (contract) => {
+  const rows = await tx('readonly', (s) => s.index('contract').getAll(contract));
+  return (rows || []).sort((a, b) => b.updatedAt - a.updatedAt);
+};
+
+export const loadDraft = (id) => tx('readonly', (s) => s.get(id));
+
+/**
+ * Upsert a draft — `{ id, contract, name, ...payload }`; stamps updatedAt.
+ */
+export const saveDraft = (draft) =>
+  tx('readwrite', (s) => s.put({ ...draft, updatedAt: Date.now() }));
+
+export const deleteDraft = (id) => tx('readwrite', (s) => s.delete(id));
+
+/*— EOF —*/
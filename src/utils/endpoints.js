@@ -0,0 +1,127 @@
+/*Developed by @jams2blues with love for the Tezos community
+  File: src/utils/endpoints.js
+  Summary: User-configured RPC + TzKT endpoints per network (localStorage),
+           merged in front of the built-in catalogue, plus the latency /
+           CORS / chain-id probes used by the wallet's RPC pick and the
+           settings panel. Importing this module applies the saved indexer
+           list to the shared TzKT client.
+*/
+
+import { NETWORKS } from '../config/networkConfig';
+import { TZKT_BASE, setIndexerBases } from './indexer';
+
+/* ─── constants ───────────────────────────────────── */
+const KEY = (net) => `zeroart_endpoints_${net}`;
+const PROBE_TIMEOUT = 3000;
+
+export const KINDS = ['rpc', 'tzkt'];
+
+/* ─── utility fns ─────────────────────────────────── */
+export const normaliseUrl = (u = '') => u.trim().replace(/\/+$/, '');
+export const isHttpUrl = (u = '') => /^https?:\/\/[^\s/$.?#].[^\s]*$/i.test(normaliseUrl(u));
+
+/**
+ * fetch with an abort timeout → { res, ms } (throws on network / CORS / abort).
+ */
+export const timedFetch = async (url, timeout = PROBE_TIMEOUT) => {
+  const ctrl  = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), timeout);
+  const t0    = performance.now();
+  try {
+    const res = await fetch(url, { mode: 'cors', signal: ctrl.signal });
+    return { res, ms: Math.round(performance.now() - t0) };
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+const probeError = (e) =>
+  e.name === 'AbortError' ? 'timed out' : 'unreachable or CORS blocked';
+
+/* ─── storage ─────────────────────────────────────── */
+const listeners = new Set();
+
+/**
+ * → { rpc: string[], tzkt: string[] } — custom endpoints in priority order.
+ */
+export const customEndpoints = (net) => {
+  if (typeof window === 'undefined') return { rpc: [], tzkt: [] };
+  try {
+    const v = JSON.parse(localStorage.getItem(KEY(net)) || '{}');
+    return { rpc: v.rpc || [], tzkt: v.tzkt || [] };
+  } catch {
+    return { rpc: [], tzkt: [] };
+  }
+};
+
+/**
+ * Persist one network's custom lists and push them to every consumer.
+ */
+export const saveCustomEndpoints = (net, { rpc = [], tzkt = [] }) => {
+  const clean = (l) => [...new Set(l.map(normaliseUrl).filter(Boolean))];
+  const next = { rpc: clean(rpc), tzkt: clean(tzkt) };
+  localStorage.setItem(KEY(net), JSON.stringify(next));
+  setIndexerBases(net, next.tzkt);
+  listeners.forEach((fn) => fn(net));
+  return next;
+};
+
+export const subscribeEndpoints = (fn) => {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+};
+
+/* ─── merged lists ────────────────────────────────── */
+/** Custom RPCs first, then the built-in catalogue. */
+export const rpcCandidates = (net) =>
+  [...new Set([...customEndpoints(net).rpc, ...(NETWORKS[net]?.rpcUrls || [])])];
+
+/** Custom indexers first, then public TzKT. */
+export const indexerCandidates = (net) =>
+  [...new Set([...customEndpoints(net).tzkt, TZKT_BASE[net]].filter(Boolean))];
+
+/* ─── probes ──────────────────────────────────────── */
+/**
+ * RPC reachability from the browser → { ok, ms, chainId, error }.
+ * A node on another chain than `net` is reported as not ok.
+ */
+export const probeRpc = async (url, net, timeout = PROBE_TIMEOUT) => {
+  try {
+    const { res, ms } = await timedFetch(`${normaliseUrl(url)}/chains/main/chain_id`, timeout);
+    if (!res.ok) return { ok: false, ms, error: `HTTP ${res.status}` };
+    const chainId = await res.json();
+    const want = NETWORKS[net]?.chainId;
+    if (want && chainId !== want) return { ok: false, ms, chainId, error: `wrong chain (${chainId})` };
+    return { ok: true, ms, chainId };
+  } catch (e) {
+    return { ok: false, ms: null, error: probeError(e) };
+  }
+};
+
+/**
+ * TzKT-compatible API check via /head → { ok, ms, level, chainId, error }.
+ */
+export const probeIndexer = async (url, net, timeout = PROBE_TIMEOUT) => {
+  try {
+    const { res, ms } = await timedFetch(`${normaliseUrl(url)}/head`, timeout);
+    if (!res.ok) return { ok: false, ms, error: `HTTP ${res.status}` };
+    const head = await res.json();
+    const want = NETWORKS[net]?.chainId;
+    if (want && head.chainId && head.chainId !== want) {
+      return { ok: false, ms, chainId: head.chainId, error: `wrong chain (${head.chainId})` };
+    }
+    return { ok: true, ms, level: head.level, chainId: head.chainId };
+  } catch (e) {
+    return { ok: false, ms: null, error: probeError(e) };
+  }
+};
+
+export const probe = (kind, url, net) =>
+  (kind === 'rpc' ? probeRpc(url, net) : probeIndexer(url, net));
+
+/* ─── boot: saved indexers apply before the first read ── */
+if (typeof window !== 'undefined') {
+  Object.keys(NETWORKS).forEach((net) => setIndexerBases(net, customEndpoints(net).tzkt));
+}
+
+/*— EOF —*/
@@ -0,0 +1,61 @@
+/*Developed by @jams2blues with love for the Tezos community
+  File: src/utils/failoverBackend.js
+  Summary: Taquito HttpBackend that keeps the toolkit alive when its RPC
+           node drops out — node-level failures (502/503/504/429, network,
+           timeouts) are recorded with the health monitor and the request
+           is replayed on the next healthy endpoint, which then becomes
+           the toolkit's node for every later call.
+*/
+
+import { HttpBackend, HttpResponseError } from '@taquito/http-utils';
+import { recordResult, nextHealthy } from './rpcHealth';
+
+/* ─── constants ───────────────────────────────────── */
+/* other statuses (400 / 500) carry protocol errors — same on every node */
+const NODE_STATUSES = [408, 429, 502, 503, 504];
+
+export const isNodeError = (e) =>
+  e instanceof HttpResponseError
+    ? NODE_STATUSES.includes(Number(e.status))
+    : e?.name === 'HttpRequestFailed' || e?.name === 'HttpTimeoutError' || e instanceof TypeError;
+
+export default class FailoverHttpBackend extends HttpBackend {
+  /**
+   * @param {string} net       network name for the health monitor
+   * @param {string} primary   URL the RpcClient was built with
+   * @param {(next:string, prev:string) => void} [onSwitch]
+   */
+  constructor(net, primary, onSwitch) {
+    super();
+    this.net = net;
+    this.primary = primary;
+    this.current = primary;
+    this.onSwitch = onSwitch;
+  }
+
+  async createRequest(req, data) {
+    const tried = new Set();
+    for (;;) {
+      const base = this.current;
+      const url = req.url.startsWith(this.primary)
+        ? `${base}${req.url.slice(this.primary.length)}`
+        : req.url;
+      try {
+        const out = await super.createRequest({ ...req, url }, data);
+        recordResult(this.net, base, true);
+        return out;
+      } catch (e) {
+        if (!isNodeError(e)) throw e;
+        recordResult(this.net, base, false, e.status ? `HTTP ${e.status}` : e.message);
+        tried.add(base);
+        const next = nextHealthy(this.net, tried);
+        if (!next) throw e;
+        console.warn(`ZeroArt → RPC ${base} failed (${e.status || e.message}); failing over to ${next}`);
+        this.current = next;
+        this.onSwitch?.(next, base);
+      }
+    }
+  }
+}
+
+/*— EOF —*/
@@ -0,0 +1,154 @@
+/*Developed by @jams2blues with love for the Tezos community
+  File: src/utils/failwithCatalogue.js
+  Summary: Per-version catalogue of the FAILWITH values thrown by the Zero
+           contracts (public/contracts/*.tz) → human explanation + fix.
+           Integer values are SmartPy source lines of internal lookups
+           (a ledger / supply entry the contract expected was missing).
+*/
+
+/* ─── shared entries ──────────────────────────────── */
+const OWNER_ONLY = (what) => ({
+  reason: `Only the collection owner can ${what}.`,
+  fix: 'Connect the wallet that deployed this contract.',
+});
+
+const RELATIONS = {
+  'Only the contract owner can add parents': OWNER_ONLY('add parents'),
+  'Only the contract owner can remove parents': OWNER_ONLY('remove parents'),
+  'Only the contract owner can add children': OWNER_ONLY('add children'),
+  'Only the contract owner can remove children': OWNER_ONLY('remove children'),
+};
+
+const FA2 = {
+  FA2_TOKEN_UNDEFINED: {
+    reason: 'That token ID does not exist in this collection.',
+    fix: 'Check the token ID — IDs start at 0 and only minted tokens exist.',
+  },
+  FA2_NOT_OWNER: {
+    reason: 'The connected wallet does not hold this token.',
+    fix: 'Connect the wallet that owns the token, or check the sender address.',
+  },
+  FA2_INSUFFICIENT_BALANCE: {
+    reason: 'The sender holds fewer editions than requested.',
+    fix: 'Lower the amount (per recipient) or check the balance with Balance Of.',
+  },
+  FA2_NOT_OPERATOR: {
+    reason: 'The connected wallet is neither the owner nor an approved operator.',
+    fix: 'Use the owner wallet, or have the owner add you via Update Operators.',
+  },
+};
+
+const LOOKUP = (where) => ({
+  reason: `The contract could not find an expected ${where} entry.`,
+  fix: 'Usually the token ID or owner is wrong, or the balance is already zero.',
+});
+
+const V3_CORE = {
+  ...FA2,
+  ...RELATIONS,
+  'Not authorized to mint': {
+    reason: 'Only the owner or a collaborator may mint on this collection.',
+    fix: 'Connect the owner wallet or ask the owner to add you as a collaborator.',
+  },
+  'Only the contract owner can add collaborators': OWNER_ONLY('add collaborators'),
+  'Only the contract owner can remove collaborators': OWNER_ONLY('remove collaborators'),
+  'Balance overflow error': {
+    reason: 'The resulting balance or supply would overflow.',
+    fix: 'Mint or transfer a smaller amount.',
+  },
+  'Reentrancy detected': {
+    reason: 'The contract rejected a nested call into itself.',
+    fix: 'Send the calls as separate operations instead of one chained batch.',
+  },
+  203: LOOKUP('ledger (mint)'),
+  207: LOOKUP('ledger (mint)'),
+  212: LOOKUP('total supply (mint)'),
+  216: LOOKUP('total supply (mint)'),
+  251: LOOKUP('sender balance (transfer)'),
+  257: LOOKUP('sender balance (transfer)'),
+  262: LOOKUP('recipient balance (transfer)'),
+  267: LOOKUP('recipient balance (transfer)'),
+  283: LOOKUP('balance (balance_of)'),
+  326: LOOKUP('owner balance (burn)'),
+  331: LOOKUP('owner balance (burn)'),
+  332: LOOKUP('owner balance (burn)'),
+  335: LOOKUP('burn address balance (burn)'),
+  339: LOOKUP('total supply (burn)'),
+  340: LOOKUP('total supply (burn)'),
+  342: LOOKUP('total supply (burn)'),
+  343: LOOKUP('token count (burn)'),
+};
+
+/* ─── per version ─────────────────────────────────── */
+export const FAILWITH_CATALOGUE = {
+  v1: {
+    ...RELATIONS,
+    'Only the Collector Owner can Mint Tokens': OWNER_ONLY('mint on a v1 collection'),
+    'This Token is Undefined for Transfer': FA2.FA2_TOKEN_UNDEFINED,
+    'This Token has Undefined Balance': FA2.FA2_TOKEN_UNDEFINED,
+    'Non-existand Token cannot be Burnt': FA2.FA2_TOKEN_UNDEFINED,
+    'You are not the Owner of this Token': FA2.FA2_NOT_OWNER,
+    'You are not the Owner and cannot Burn this Token': FA2.FA2_NOT_OWNER,
+    'You are not the Owner or Operator of this Token': FA2.FA2_NOT_OPERATOR,
+    'You cannot Transfer more Tokens than you Own': {
+      reason: 'v1 tokens are single editions — the amount must be 1.',
+      fix: 'Set the amount to 1.',
+    },
+    76: LOOKUP('token owner (operators)'),
+    129: LOOKUP('token owner (transfer)'),
+    152: LOOKUP('token owner (balance_of)'),
+    186: LOOKUP('token owner (burn)'),
+  },
+  v2: {
+    ...FA2,
+    ...RELATIONS,
+    FA2_NOT_ADMIN_OR_OPERATOR: {
+      reason: 'Only the collection owner or an operator may do this.',
+      fix: 'Connect the owner wallet or an approved operator.',
+    },
+    'Not authorized': OWNER_ONLY('mint on a v2 collection'),
+    212: LOOKUP('sender balance (transfer)'),
+    217: LOOKUP('sender balance (transfer)'),
+    221: LOOKUP('recipient balance (transfer)'),
+    250: LOOKUP('total supply (mint)'),
+    311: LOOKUP('owner balance (burn)'),
+    313: LOOKUP('owner balance (burn)'),
+    315: LOOKUP('total supply (burn)'),
+    316: LOOKUP('total supply (burn)'),
+    318: LOOKUP('owner balance (burn)'),
+    319: LOOKUP('owner balance (burn)'),
+  },
+  v3: V3_CORE,
+  v4: {
+    ...V3_CORE,
+    'Collection is locked': {
+      reason: 'This collection has been locked — no new mints, artifact appends, metadata edits, parent/child or collaborator changes.',
+      fix: 'Nothing to do: locking is permanent. Mint into a new collection instead.',
+    },
+    'Not authorized to append': {
+      reason: 'Only the owner or a collaborator may append artifact bytes.',
+      fix: 'Connect the wallet that minted the token or an approved collaborator.',
+    },
+    'Only the contract owner can edit token metadata': OWNER_ONLY('edit token metadata'),
+    'Only the contract owner can lock the collection': OWNER_ONLY('lock the collection'),
+  },
+};
+
+/* v2a … v2e share one contract family */
+const family = (version = '') => {
+  const v = String(version).toLowerCase();
+  return v.startsWith('v2') ? 'v2' : v;
+};
+
+/**
+ * → { reason, fix } for a FAILWITH value, or null when unknown.
+ * Without a (known) version every catalogue is searched, newest first.
+ */
+export const explainFailwith = (value, version) => {
+  const key = String(value);
+  const own = FAILWITH_CATALOGUE[family(version)];
+  if (own) return own[key] || null;
+  return ['v4', 'v3', 'v2', 'v1'].map((v) => FAILWITH_CATALOGUE[v][key]).find(Boolean) || null;
+};
+
+/*— EOF —*/
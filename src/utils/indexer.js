@@ -0,0 +1,350 @@
+/*Developed by @jams2blues with love for the Tezos community
+  File: src/utils/indexer.js
+  Summary: One TzKT client for the whole app — per-network base URLs
+           (user endpoints first, public TzKT last, failing over in order),
+           retries with exponential back-off on 429 / 5xx / network
+           errors, in-flight request de-duplication, plus the
+           Zero-contract typeHash table and hex helpers, and the shared
+           TzKT → RPC fallback switch (withFallback / dataSource). fetch +
+           TextDecoder only, so it also runs on the edge.
+*/
+
+/* ─── constants ───────────────────────────────────── */
+export const TZKT_BASE = {
+  ghostnet: 'https://api.ghostnet.tzkt.io/v1',
+  mainnet : 'https://api.tzkt.io/v1',
+};
+
+export const HASHES = {
+  ghostnet: { v1:-543526052, v2a:-1889653220, v2b:943737041, v2c:-1513923773,
+              v2d:-1835576114, v2e:1529857708, v3:862045731 },
+  mainnet : { v1:-543526052, v2a:-1889653220, v2b:943737041, v2c:-1513923773,
+              v2d:-1835576114, v2e:1529857708, v3:862045731 },
+};
+
+/* V4 is recognised by its whole interface (Zero_Contract_V4.tz): exactly
+   these entrypoints and top-level storage fields. typeHash is a function
+   of parameter + storage types, so one match vouches for the hash. */
+export const V4_ENTRYPOINTS = [
+  'add_child', 'add_collaborator', 'add_parent', 'append_artifact_uri', 'balance_of',
+  'burn', 'edit_token_metadata', 'lock', 'mint', 'remove_child', 'remove_collaborator',
+  'remove_parent', 'transfer', 'update_operators',
+];
+export const V4_STORAGE_FIELDS = [
+  'admin', 'all_tokens', 'children', 'collaborators', 'contract_id', 'frozen', 'ledger',
+  'lock', 'metadata', 'next_token_id', 'operators', 'parents', 'token_metadata', 'total_supply',
+];
+const V4_HASHES_KEY = (net) => `zeroart_v4_typehashes_${net}`;
+
+const RETRIES    = 3;
+const BACKOFF_MS = 500;
+const MAX_WAIT   = 8000;
+
+/* ─── typeHash helpers ────────────────────────────── */
+const sameSet = (a, b) => a.length === b.length && b.every((x) => a.includes(x));
+
+/**
+ * true when entrypoint names + top-level storage keys are exactly V4's.
+ */
+export const isV4Interface = (entrypoints = [], storageKeys = []) =>
+  sameSet(entrypoints, V4_ENTRYPOINTS) && sameSet(storageKeys, V4_STORAGE_FIELDS);
+
+/* typeHash → 'v4' | null verdicts from earlier interface checks */
+const learned = (net) => {
+  if (typeof window === 'undefined') return {};
+  try { return JSON.parse(localStorage.getItem(V4_HASHES_KEY(net)) || '{}'); }
+  catch { return {}; }
+};
+
+/* [version, typeHash] pairs: pinned table plus verified V4 hashes */
+const knownPairs = (net) => [
+  ...Object.entries(HASHES[net] || {}).filter(([, h]) => h !== null),
+  ...Object.entries(learned(net)).filter(([, v]) => v).map(([h, v]) => [v, Number(h)]),
+];
+
+export const hashList = (net) => [...new Set(knownPairs(net).map(([, h]) => h))].join(',');
+export const isKnownHash = (net, h) => knownPairs(net).some(([, n]) => n === h);
+
+/**
+ * 'v1' … 'v4' for a known typeHash, else null.
+ */
+export const versionOfHash = (net, h) =>
+  knownPairs(net).find(([, n]) => n === h)?.[0] || null;
+
+/* ─── hex helpers ─────────────────────────────────── */
+export const hex2str = (h = '') => {
+  const s = h.replace(/^0x/, '');
+  const b = new Uint8Array(s.length / 2);
+  for (let i = 0; i < b.length; i += 1) b[i] = parseInt(s.substr(i * 2, 2), 16);
+  return new TextDecoder('utf-8').decode(b);
+};
+
+export const parseHexJSON = (h) => {
+  try { return JSON.parse(hex2str(h)); } catch { return {}; }
+};
+
+/* ─── base URL registry ───────────────────────────── */
+/* per network: user endpoints in priority order, public TzKT last */
+const bases = Object.fromEntries(Object.entries(TZKT_BASE).map(([n, u]) => [n, [u]]));
+const trimUrl = (u) => u.trim().replace(/\/+$/, '');
+
+/** Every base tried for `net`, in order — [] for indexer-less networks (sandbox). */
+export const indexerBases = (net) => bases[net] || (TZKT_BASE[net] ? [TZKT_BASE[net]] : []);
+
+/** Primary base for `net`. */
+export const indexerBase = (net) => indexerBases(net)[0];
+
+/**
+ * Put TzKT-compatible APIs in front of the public one for `net`; each is
+ * tried in turn when the previous is unreachable. [] → default only.
+ */
+export const setIndexerBases = (net, urls = []) => {
+  const list = [...urls.filter(Boolean).map(trimUrl), TZKT_BASE[net]].filter(Boolean);
+  bases[net] = [...new Set(list)];
+};
+
+/**
+ * Point a network at another TzKT-compatible API (falsy → default).
+ */
+export const setIndexerBase = (net, url) => setIndexerBases(net, url ? [url] : []);
+
+/* ─── core request ────────────────────────────────── */
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+const inflight = new Map();
+
+const qs = (q) => {
+  const parts = Object.entries(q || {})
+    .filter(([, v]) => v !== undefined && v !== null && v !== '')
+    .map(([k, v]) => `${k}=${encodeURIComponent(v)}`);
+  return parts.length ? `?${parts.join('&')}` : '';
+};
+
+const backoff = (i, res) => {
+  const ra = Number(res?.headers?.get('retry-after'));
+  if (ra > 0) return Math.min(ra * 1000, MAX_WAIT);
+  return Math.min(BACKOFF_MS * 2 ** i + Math.random() * 200, MAX_WAIT);
+};
+
+async function request(url, { retries, timeout }) {
+  let lastErr;
+  for (let i = 0; i < retries; i += 1) {
+    const ctl = timeout ? new AbortController() : null;
+    const t = ctl && setTimeout(() => ctl.abort(), timeout);
+    let res = null;
+    try {
+      res = await fetch(url, ctl ? { signal: ctl.signal } : undefined);
+      if (res.status === 204 || res.status === 404) return null;
+      if (res.ok) return await res.json();
+      lastErr = Object.assign(new Error(`TzKT HTTP ${res.status}`), { status: res.status });
+      if (res.status !== 429 && res.status < 500) break;
+    } catch (e) {
+      lastErr = e.name === 'AbortError' ? new Error('TzKT request timed out') : e;
+    } finally {
+      if (t) clearTimeout(t);
+    }
+    if (i < retries - 1) await sleep(backoff(i, res));
+  }
+  /* tagged so withFallback can tell "TzKT failed" from caller logic errors */
+  throw Object.assign(lastErr, { indexer: true });
+}
+
+/* 4xx other than 429 is the same answer on every mirror */
+const isFinal = (e) => e?.status && e.status !== 429 && e.status < 500;
+
+/**
+ * GET `path` (relative to the network's base) → parsed JSON, or null for
+ * 204 / 404. Falls through to the next configured base when one is
+ * unreachable. Identical concurrent calls share one request.
+ */
+export function getJSON(net, path, query, { retries = RETRIES, timeout = 0 } = {}) {
+  const rel = `${path}${qs(query)}`;
+  const key = `${net}:${rel}`;
+  if (inflight.has(key)) return inflight.get(key);
+  const p = (async () => {
+    let lastErr = Object.assign(new Error(`No indexer configured for ${net}`), { indexer: true });
+    for (const base of indexerBases(net)) {
+      try { return await request(`${base}${rel}`, { retries, timeout }); }
+      catch (e) {
+        lastErr = e;
+        if (isFinal(e)) break;
+      }
+    }
+    throw lastErr;
+  })().finally(() => inflight.delete(key));
+  inflight.set(key, p);
+  return p;
+}
+
+/* ─── data source (TzKT ↔ RPC fallback) ───────────── */
+let source = 'tzkt';
+const listeners = new Set();
+
+/** 'tzkt' | 'rpc' — which backend served the latest reads. */
+export const dataSource = () => source;
+
+export const setDataSource = (next) => {
+  if (next === source) return;
+  source = next;
+  listeners.forEach((fn) => fn(next));
+};
+
+export const subscribeDataSource = (fn) => {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+};
+
+/**
+ * Run the TzKT reader; if an indexer request fails (down, rate-limited,
+ * timed out) run the RPC reader instead and flip the data-source badge.
+ * Other errors thrown by the reader propagate untouched. While already on RPC,
+ * TzKT still gets one quick try per call so we recover on our own.
+ */
+export const withFallback = async (tzktFn, rpcFn) => {
+  try {
+    const out = await tzktFn(source === 'rpc' ? { retries: 1, timeout: 4000 } : undefined);
+    setDataSource('tzkt');
+    return out;
+  } catch (e) {
+    if (!rpcFn || !e?.indexer) throw e;
+    const out = await rpcFn(e);
+    setDataSource('rpc');
+    return out;
+  }
+};
+
+/* ─── typed methods ───────────────────────────────── */
+/* every method takes a trailing `opts` ({ retries, timeout }) for getJSON */
+/**
+ * Contracts originated by `creator`. `hashes` / `excludeHashes` take a
+ * comma list (see hashList).
+ * @returns {Promise<object[]>}
+ */
+export const contractsByCreator = async (net, creator, {
+  hashes, excludeHashes, kind, limit = 200, ...rest
+} = {}, opts) => (await getJSON(net, '/contracts', {
+  'creator.eq': creator,
+  'typeHash.in': hashes,
+  'typeHash.ni': excludeHashes,
+  kind,
+  limit,
+  ...rest,
+}, opts)) || [];
+
+/** @returns {Promise<object[]>} contracts sharing one typeHash */
+export const contractsByHash = async (net, hash, { limit = 200 } = {}, opts) =>
+  (await getJSON(net, '/contracts', { 'typeHash.eq': hash, limit }, opts)) || [];
+
+/** @returns {Promise<object|null>} */
+export const getContract = (net, addr, opts) => getJSON(net, `/contracts/${addr}`, null, opts);
+
+/** @returns {Promise<object|null>} decoded storage */
+export const getStorage = (net, addr, opts) => getJSON(net, `/contracts/${addr}/storage`, null, opts);
+
+/** @returns {Promise<object[]>} */
+export const getEntrypoints = async (net, addr, opts) =>
+  (await getJSON(net, `/contracts/${addr}/entrypoints`, null, opts)) || [];
+
+export const hasEntrypoint = async (net, addr, name, opts) =>
+  (await getEntrypoints(net, addr, opts)).some((e) => e.name === name);
+
+/** @returns {Promise<object[]>} */
+export const getContractBigmaps = async (net, addr, opts) =>
+  (await getJSON(net, `/contracts/${addr}/bigmaps`, null, opts)) || [];
+
+/**
+ * One key of a contract big-map addressed by storage path
+ * (e.g. 'metadata', 'token_metadata'). null when absent.
+ */
+export const getContractBigmapKey = (net, addr, path, key, opts) =>
+  getJSON(net, `/contracts/${addr}/bigmaps/${path}/keys/${encodeURIComponent(key)}`, null, opts);
+
+/** @returns {Promise<object|null>} one key of a big-map by pointer */
+export const getBigmapKey = (net, ptr, key, opts) =>
+  getJSON(net, `/bigmaps/${ptr}/keys/${encodeURIComponent(key)}`, null, opts);
+
+/** @returns {Promise<object[]>} every active key of a big-map */
+export const getBigmapKeys = async (net, ptr, { limit = 10000 } = {}, opts) =>
+  (await getJSON(net, `/bigmaps/${ptr}/keys`, { active: true, limit }, opts)) || [];
+
+/**
+ * Active keys of a contract big-map by storage path, narrowed with TzKT
+ * filters, e.g. ('operators', { 'key.owner': tz1 }).
+ * @returns {Promise<object[]>}
+ */
+export const getContractBigmapKeys = async (net, addr, path, query = {}, opts) =>
+  (await getJSON(net, `/contracts/${addr}/bigmaps/${path}/keys`, {
+    active: true, limit: 10000, ...query,
+  }, opts)) || [];
+
+/**
+ * /tokens — pass TzKT filters, e.g. { contract, tokenId, select }.
+ * @returns {Promise<object[]>}
+ */
+export const getTokens = async (net, query = {}, opts) =>
+  (await getJSON(net, '/tokens', { limit: 10000, ...query }, opts)) || [];
+
+/**
+ * /tokens/balances — e.g. { account, 'token.contract': kt, 'balance.gt': 0 }.
+ * @returns {Promise<object[]>}
+ */
+export const getTokenBalances = async (net, query = {}, opts) =>
+  (await getJSON(net, '/tokens/balances', { limit: 10000, ...query }, opts)) || [];
+
+/**
+ * /tokens/transfers — e.g. { 'token.contract': kt, 'token.tokenId': 0 }.
+ * Mints have no `from`, burns to null have no `to`.
+ * @returns {Promise<object[]>}
+ */
+export const getTokenTransfers = async (net, query = {}, opts) =>
+  (await getJSON(net, '/tokens/transfers', { limit: 10000, ...query }, opts)) || [];
+
+/**
+ * /operations/transactions — e.g. { target: kt, entrypoint, status }.
+ * @returns {Promise<object[]>}
+ */
+export const getTransactions = async (net, query = {}, opts) =>
+  (await getJSON(net, '/operations/transactions', { limit: 10000, ...query }, opts)) || [];
+
+/* ─── composite ───────────────────────────────────── */
+const probes = new Map();
+
+/**
+ * Version of a contract from its typeHash. A hash outside HASHES is checked
+ * once against the full V4 interface (entrypoints + storage fields of
+ * `addr`) and the verdict remembered per network. null → not Zero.
+ */
+export const resolveVersion = async (net, typeHash, addr, opts) => {
+  const known = versionOfHash(net, typeHash);
+  if (known || typeHash == null) return known;
+  const seen = learned(net);
+  if (String(typeHash) in seen) return seen[typeHash];
+  const key = `${net}:${typeHash}`;
+  if (!probes.has(key)) {
+    probes.set(key, Promise.all([getEntrypoints(net, addr, opts), getStorage(net, addr, opts)])
+      .then(([eps, st]) => {
+        const v = isV4Interface(eps.map((e) => e.name), Object.keys(st || {})) ? 'v4' : null;
+        if (typeof window !== 'undefined') {
+          localStorage.setItem(V4_HASHES_KEY(net), JSON.stringify({ ...learned(net), [typeHash]: v }));
+        }
+        return v;
+      })
+      .finally(() => probes.delete(key)));
+  }
+  return probes.get(key);
+};
+
+/**
+ * Contract-level TZIP-16 metadata — indexed JSON first, then the raw
+ * `content` key of the metadata big-map.
+ */
+export const getContractMetadata = async (net, addr, det, opts) => {
+  const d = det || await getContract(net, addr, opts);
+  let meta = d?.metadata || {};
+  if (!meta.name || !meta.imageUri || !meta.description) {
+    const bm = await getContractBigmapKey(net, addr, 'metadata', 'content', opts).catch(() => null);
+    if (bm?.value) meta = { ...parseHexJSON(bm.value), ...meta };
+  }
+  return meta;
+};
+
+/*— EOF —*/
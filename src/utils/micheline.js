@@ -0,0 +1,99 @@
+/*Developed by @jams2blues with love for the Tezos community
+  File: src/utils/micheline.js
+  Summary: Walks a Micheline value against its entrypoint type and returns
+           a labelled tree (field annotations as labels, bytes sized and
+           UTF-8 previewed) for the operation review dialog.
+*/
+
+import { hex2str } from './indexer';
+
+/* ─── constants ───────────────────────────────────── */
+const PREVIEW_CHARS = 160;
+
+/* ─── utility fns ─────────────────────────────────── */
+const fieldOf = (t) => (t?.annots || []).find((a) => a.startsWith('%'))?.slice(1) || '';
+
+const clip = (s) => (s.length > PREVIEW_CHARS ? `${s.slice(0, PREVIEW_CHARS)}…` : s);
+
+const printable = (s) => !/[\u0000-\u0008\u000E-\u001F�]/.test(s);
+
+/* pair (a b c) ≡ pair a (pair b c) — both for types and values */
+const binType = (t) =>
+  (t.args.length > 2 ? { ...t, args: [t.args[0], { prim: 'pair', args: t.args.slice(1) }] } : t);
+
+const binValue = (v) => {
+  const args = Array.isArray(v) ? v : v?.args || [];
+  return args.length > 2 ? [args[0], { prim: 'Pair', args: args.slice(1) }] : args;
+};
+
+/** One-line rendering of a scalar-ish value (map keys, fallbacks). */
+export const inlineValue = (v) => {
+  if (v == null) return '';
+  if ('int' in v) return v.int;
+  if ('string' in v) return v.string;
+  if ('bytes' in v) return `0x${clip(v.bytes)}`;
+  if (v.prim) return [v.prim, ...(v.args || []).map(inlineValue)].join(' ');
+  if (Array.isArray(v)) return `{ ${v.map(inlineValue).join('; ')} }`;
+  return JSON.stringify(v);
+};
+
+const bytesNode = (label, hex = '') => {
+  const size = hex.length / 2;
+  let text = '';
+  try { text = hex2str(hex); } catch { /* not utf-8 */ }
+  return {
+    label,
+    prim: 'bytes',
+    bytes: size,
+    text: text && printable(text) ? clip(text) : `0x${clip(hex)}`,
+  };
+};
+
+/* ─── decoder ─────────────────────────────────────── */
+/**
+ * → { label, prim, text?, bytes?, children? } for `value` typed by `type`.
+ * Unannotated nested pairs are flattened into their parent.
+ */
+export const decodeMicheline = (type, value, label = fieldOf(type)) => {
+  if (!type) return { label, prim: '?', text: inlineValue(value) };
+  const { prim } = type;
+
+  if (prim === 'pair') {
+    const t = binType(type);
+    const [l, r] = binValue(value);
+    const kids = [decodeMicheline(t.args[0], l), decodeMicheline(t.args[1], r)]
+      .flatMap((k, i) => (k.prim === 'pair' && !fieldOf(t.args[i]) ? k.children : [k]));
+    return { label, prim, children: kids };
+  }
+  if (prim === 'or') {
+    const right = value?.prim === 'Right';
+    const branch = type.args[right ? 1 : 0];
+    return { label, prim, children: [decodeMicheline(branch, value?.args?.[0], fieldOf(branch) || (right ? 'Right' : 'Left'))] };
+  }
+  if (prim === 'option') {
+    if (value?.prim !== 'Some') return { label, prim, text: 'None' };
+    return { label, prim, children: [decodeMicheline(type.args[0], value.args[0], 'Some')] };
+  }
+  if (prim === 'list' || prim === 'set') {
+    const items = Array.isArray(value) ? value : [];
+    return { label, prim, children: items.map((v, i) => decodeMicheline(type.args[0], v, `[${i}]`)) };
+  }
+  if (prim === 'map' || prim === 'big_map') {
+    const items = Array.isArray(value) ? value : [];
+    return {
+      label,
+      prim,
+      children: items.map((elt) => decodeMicheline(type.args[1], elt.args?.[1], inlineValue(elt.args?.[0]))),
+    };
+  }
+  if (prim === 'bytes' && value && 'bytes' in value) return bytesNode(label, value.bytes);
+  if (prim === 'unit') return { label, prim, text: 'Unit' };
+  /* numbers, strings, addresses, lambdas … — one line is enough */
+  return { label, prim, text: inlineValue(value) };
+};
+
+/** Total bytes held in `bytes` leaves of a decoded tree. */
+export const treeBytes = (node) =>
+  (node?.bytes || 0) + (node?.children || []).reduce((n, c) => n + treeBytes(c), 0);
+
+/*— EOF —*/
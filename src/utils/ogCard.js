@@ -0,0 +1,82 @@
+/*Developed by @jams2blues with love for the Tezos community
+  File: src/utils/ogCard.js
+  Summary: Social-card data for a token — decodes the raw on-chain
+           token_info / contract metadata bytes via the shared indexer
+           (indexed metadata as fallback). Edge-safe.
+*/
+
+import {
+  hex2str,
+  getContract,
+  getContractMetadata,
+  getContractBigmapKey,
+  getTokens,
+} from './indexer';
+
+/* ─── constants ───────────────────────────────────── */
+export const SITE_NAME = 'Save The World With Art™';
+export const SITE_DESCRIPTION = 'The first Tzip-compliant fully on-chain minting platform for Tezos.';
+export const DEFAULT_ORIGIN = 'https://ghostnet.savetheworldwithart.io';
+export const BANNER_PATH = '/images/ZeroContractBanner.png';
+
+const KT1_RE = /^KT1[0-9A-Za-z]{33}$/;
+const FETCH_TIMEOUT_MS = 4000;
+
+/* satori (next/og) can only decode these — WebP thumbs fall through to the JPEG displayUri */
+const CARD_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/svg+xml'];
+const MAX_CARD_IMAGE = 400_000;
+
+/* ─── utility fns ─────────────────────────────────── */
+/* crawlers wait on us — fail fast instead of retrying */
+const OPTS = { retries: 1, timeout: FETCH_TIMEOUT_MS };
+const soft = (p) => p.catch(() => null);
+
+const mimeOf = (uri = '') => (uri.match(/^data:([^;,]+)/) || [])[1] || '';
+
+/**
+ * First thumbnail / display / artifact data URI the card renderer can draw.
+ */
+export const pickCardImage = (m = {}) =>
+  [m.thumbnailUri, m.displayUri, m.artifactUri]
+    .find((u) => typeof u === 'string'
+      && CARD_IMAGE_TYPES.includes(mimeOf(u))
+      && u.length <= MAX_CARD_IMAGE) || null;
+
+export const isCardTarget = (kt, tokenId) =>
+  KT1_RE.test(kt || '') && /^\d+$/.test(String(tokenId ?? ''));
+
+/* ─── loaders ─────────────────────────────────────── */
+const tokenInfo = async (net, kt, tokenId) => {
+  const key = await soft(getContractBigmapKey(net, kt, 'token_metadata', tokenId, OPTS));
+  const raw = key?.value?.token_info;
+  if (raw) return Object.fromEntries(Object.entries(raw).map(([k, v]) => [k, hex2str(v)]));
+  const [tok] = await soft(getTokens(net, { contract: kt, tokenId, select: 'metadata' }, OPTS)) || [];
+  return tok || null;
+};
+
+const collectionName = async (net, kt) => {
+  const det  = await soft(getContract(net, kt, OPTS));
+  const meta = det ? await soft(getContractMetadata(net, kt, det, OPTS)) : null;
+  return meta?.name || det?.alias || '';
+};
+
+/**
+ * → { name, collection, description, image } or null when the token
+ * doesn't exist / the indexer is unreachable.
+ */
+export const loadTokenCard = async (network, kt, tokenId) => {
+  if (!isCardTarget(kt, tokenId)) return null;
+  const [meta, collection] = await Promise.all([
+    tokenInfo(network, kt, tokenId),
+    collectionName(network, kt),
+  ]);
+  if (!meta) return null;
+  return {
+    name: meta.name || `Token #${tokenId}`,
+    collection: collection || kt,
+    description: meta.description || '',
+    image: pickCardImage(meta),
+  };
+};
+
+/*— EOF —*/
@@ -0,0 +1,168 @@
+/*Developed by @jams2blues with love for the Tezos community
+  File: src/utils/opReview.js
+  Summary: Builds the data shown by the operation review dialog before a
+           wallet signature — per call entrypoint, target and decoded
+           Michelson parameters, metadata byte sizes, a gas / storage / fee
+           estimate and the signer's balance after the operation. The
+           estimate doubles as the pre-flight simulation: a contract
+           FAILWITH is explained via the per-version catalogue. Also
+           holds the single pending review (requestReview → Promise<bool>)
+           rendered by components/OperationReviewDialog.
+*/
+
+import { OpKind } from '@taquito/taquito';
+import { decodeMicheline, treeBytes } from './micheline';
+import { explainTezosError, describeRejection } from './tezosErrors';
+
+/* ─── utility fns ─────────────────────────────────── */
+export const mutezToTez = (m) => (Number(m || 0) / 1e6).toFixed(6);
+
+const sum = (rows, key) => rows.reduce((n, r) => n + Number(r?.[key] || 0), 0);
+
+/* Michelson type of entrypoint `ep` (falls back to the root parameter) */
+const entrypointType = (contract, ep) => {
+  const typed = contract?.entrypoints?.entrypoints?.[ep];
+  if (typed) return typed;
+  return contract?.script?.code?.find((c) => c.prim === 'parameter')?.args?.[0] || null;
+};
+
+const describeCall = async (contract, method) => {
+  const params = await method.toTransferParams();
+  const { entrypoint = 'default', value } = params.parameter || {};
+  const tree = decodeMicheline(entrypointType(contract, entrypoint), value, entrypoint);
+  return {
+    params,
+    row: {
+      entrypoint,
+      to: params.to,
+      amountMutez: Number(params.mutez ? params.amount : (params.amount || 0) * 1e6),
+      tree,
+      bytes: treeBytes(tree),
+    },
+  };
+};
+
+const estimateOf = (tezos, spec, transfers) => {
+  if (spec.origination) return tezos.estimate.originate(spec.origination).then((e) => [e]);
+  if (spec.transfer) return tezos.estimate.transfer(spec.transfer).then((e) => [e]);
+  if (transfers.length === 1) return tezos.estimate.transfer(transfers[0]).then((e) => [e]);
+  return tezos.estimate.batch(transfers.map((t) => ({ kind: OpKind.TRANSACTION, ...t })));
+};
+
+/* ─── builder ─────────────────────────────────────── */
+/**
+ * spec: {
+ *   title,
+ *   contract?,       wallet contract abstraction the calls target
+ *   calls?,          [ContractMethod] — signed together as one batch
+ *   origination?,    { code, storage } for a deployment
+ *   transfer?,       { to, amount } plain tez transfer (amount in ꜩ)
+ *   metaBytes?,      explicit metadata size (originations)
+ *   notes?,          [string] extra lines shown above the actions
+ *   part?,           { index, total } for multi-operation flows
+ *   version?,        contract version (v1 … v4) for FAILWITH explanations
+ * }
+ * Never throws — failures land in `error` / `estimateError`; a contract
+ * rejection found by the simulation lands in `rejection`.
+ */
+export const buildReview = async (tezos, source, spec) => {
+  const review = {
+    title: spec.title || 'Review operation',
+    notes: spec.notes || [],
+    part: spec.part || null,
+    target: spec.contract?.address || spec.transfer?.to || (spec.origination ? source : null),
+    origination: !!spec.origination,
+    calls: [],
+    metaBytes: spec.metaBytes || 0,
+    estimate: null,
+    estimateError: '',
+    rejection: null,
+    error: '',
+    balanceMutez: null,
+    afterMutez: null,
+  };
+
+  let transfers = [];
+  try {
+    const described = await Promise.all((spec.calls || []).map((m) => describeCall(spec.contract, m)));
+    transfers = described.map((d) => d.params);
+    review.calls = described.map((d) => d.row);
+    if (spec.transfer) {
+      review.calls = [{
+        entrypoint: 'transfer',
+        to: spec.transfer.to,
+        amountMutez: Math.round(Number(spec.transfer.amount || 0) * 1e6),
+        tree: null,
+        bytes: 0,
+      }];
+    }
+    if (!spec.metaBytes) review.metaBytes = sum(review.calls, 'bytes');
+  } catch (err) {
+    review.error = explainTezosError(err, spec.version);
+    return review;
+  }
+
+  const [est, bal] = await Promise.allSettled([
+    estimateOf(tezos, spec, transfers),
+    source ? tezos.tz.getBalance(source) : Promise.reject(new Error('No wallet')),
+  ]);
+
+  if (est.status === 'fulfilled') {
+    const rows = est.value;
+    review.estimate = {
+      feeMutez: sum(rows, 'suggestedFeeMutez'),
+      gasLimit: sum(rows, 'gasLimit'),
+      storageLimit: sum(rows, 'storageLimit'),
+      burnMutez: sum(rows, 'burnFeeMutez'),
+    };
+  } else {
+    review.rejection = describeRejection(est.reason, spec.version);
+    review.estimateError = explainTezosError(est.reason, spec.version);
+  }
+
+  if (bal.status === 'fulfilled') {
+    review.balanceMutez = Number(bal.value);
+    const spent = sum(review.calls, 'amountMutez')
+      + (review.estimate ? review.estimate.feeMutez + review.estimate.burnMutez : 0);
+    review.afterMutez = review.balanceMutez - spent;
+  }
+  return review;
+};
+
+/* ─── pending review store ────────────────────────── */
+/* { spec, review (null while building), resolve } | null */
+let pending = null;
+const listeners = new Set();
+
+const emit = (next) => {
+  pending = next;
+  listeners.forEach((fn) => fn());
+};
+
+export const reviewSnapshot = () => pending;
+
+export const subscribeReview = (fn) => {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+};
+
+/**
+ * Open the review dialog for `spec`; resolves true when the user chooses
+ * to sign, false on cancel. A newer request cancels the one on screen.
+ */
+export const requestReview = (tezos, source, spec) => new Promise((resolve) => {
+  if (pending) pending.resolve(false);
+  const entry = { spec, review: null, resolve };
+  emit(entry);
+  buildReview(tezos, source, spec).then((review) => {
+    if (pending?.resolve === resolve) emit({ ...entry, review });
+  });
+});
+
+export const settleReview = (ok) => {
+  if (!pending) return;
+  pending.resolve(ok);
+  emit(null);
+};
+
+/*— EOF —*/
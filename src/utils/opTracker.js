@@ -0,0 +1,72 @@
+/*Developed by @jams2blues with love for the Tezos community
+  File: src/utils/opTracker.js
+  Summary: Persistence + status lookup for the global operation tracker —
+           records live in localStorage so pending ops survive a reload
+           and keep getting polled (TzKT /operations/{hash}).
+*/
+
+import { getJSON } from './indexer';
+import { NETWORKS } from '../config/networkConfig';
+
+/* ─── constants ───────────────────────────────────── */
+const STORE_KEY = 'zeroart_ops';
+const MAX_OPS = 50;
+/* ops leave the mempool after 120 blocks — anything unseen by then is dead */
+export const EXPIRE_MS = 30 * 60 * 1000;
+export const POLL_MS = 8000;
+
+export const FINAL = ['applied', 'failed', 'expired'];
+
+/* ─── explorer links ──────────────────────────────── */
+/* null on networks without a public explorer (sandbox) */
+const explorerOf = (net) => NETWORKS[net]?.explorer || null;
+
+export const explorerOpUrl = (net, hash) => explorerOf(net) && `${explorerOf(net)}/${hash}`;
+export const explorerAccountUrl = (net, addr) => explorerOf(net) && `${explorerOf(net)}/${addr}/operations`;
+
+/* ─── storage ─────────────────────────────────────── */
+/**
+ * Every tracked op (all networks), newest first.
+ */
+export const loadOps = () => {
+  if (typeof window === 'undefined') return [];
+  try { return JSON.parse(localStorage.getItem(STORE_KEY) || '[]'); }
+  catch { return []; }
+};
+
+export const saveOps = (ops) => {
+  if (typeof window === 'undefined') return;
+  try { localStorage.setItem(STORE_KEY, JSON.stringify(ops.slice(0, MAX_OPS))); }
+  catch { /* quota — tracking is best-effort */ }
+};
+
+/* ─── status lookup ───────────────────────────────── */
+const errorText = (rows) => {
+  const err = rows.flatMap((r) => r.errors || [])[0];
+  return err ? (err.with?.string || err.type || 'failed') : 'failed';
+};
+
+/**
+ * → { status: 'pending' | 'applied' | 'failed' | 'expired', error?, level?, contract? }
+ * A batch counts as applied only when every content row applied.
+ */
+export const lookupOp = async (rec) => {
+  /* no indexer: only the live wallet op can settle it — expire leftovers */
+  if (NETWORKS[rec.network]?.indexer === false) {
+    return Date.now() - rec.submittedAt > EXPIRE_MS ? { status: 'expired' } : { status: 'pending' };
+  }
+  const rows = (await getJSON(rec.network, `/operations/${rec.hash}`, null, { retries: 1, timeout: 6000 })) || [];
+  if (!rows.length) {
+    return Date.now() - rec.submittedAt > EXPIRE_MS ? { status: 'expired' } : { status: 'pending' };
+  }
+  const ok = rows.every((r) => r.status === 'applied');
+  const originated = rows.find((r) => r.type === 'origination')?.originatedContract?.address;
+  return {
+    status: ok ? 'applied' : 'failed',
+    level: rows[0].level,
+    ...(ok ? {} : { error: errorText(rows) }),
+    ...(originated ? { contract: originated } : {}),
+  };
+};
+
+/*— EOF —*/
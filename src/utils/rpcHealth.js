@@ -0,0 +1,147 @@
+/*Developed by @jams2blues with love for the Tezos community
+  File: src/utils/rpcHealth.js
+  Summary: Background RPC health monitor — per endpoint latency, head
+           level and a rolling error rate fed by periodic probes and by
+           live toolkit traffic (failoverBackend). nextHealthy() picks the
+           failover target, respecting the configured priority order.
+*/
+
+import { NETWORKS } from '../config/networkConfig';
+import { timedFetch } from './endpoints';
+
+/* ─── constants ───────────────────────────────────── */
+const PROBE_EVERY = 30_000;
+const PROBE_TIMEOUT = 4000;
+const WINDOW = 20;        // samples kept per endpoint
+const MAX_LAG = 2;        // blocks behind the best head before "stale"
+const MAX_ERROR_RATE = 0.5;
+
+/* ─── store ───────────────────────────────────────── */
+/* endpoint: { url, ok, ms, level, samples, errorRate, lastError, checkedAt } */
+let state = { net: null, active: null, order: [], endpoints: {} };
+const listeners = new Set();
+let timer = null;
+
+const emit = (patch) => {
+  state = { ...state, ...patch };
+  listeners.forEach((fn) => fn());
+};
+
+const blank = (url) => ({
+  url, ok: null, ms: null, level: null, samples: [], errorRate: 0, lastError: '', checkedAt: 0,
+});
+
+const withSample = (cur, ok) => {
+  const samples = [...cur.samples, ok].slice(-WINDOW);
+  return { samples, errorRate: samples.filter((s) => !s).length / samples.length };
+};
+
+const patchEndpoint = (url, fn) => {
+  const cur = state.endpoints[url] || blank(url);
+  emit({ endpoints: { ...state.endpoints, [url]: fn(cur) } });
+};
+
+export const healthSnapshot = () => state;
+
+export const subscribeHealth = (fn) => {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+};
+
+/* ─── selectors ───────────────────────────────────── */
+export const bestLevel = (s = state) =>
+  Math.max(0, ...Object.values(s.endpoints).map((e) => e.level || 0));
+
+/**
+ * 'up' | 'stale' | 'degraded' | 'down' | 'unknown' for one endpoint.
+ */
+export const endpointStatus = (e, top = bestLevel()) => {
+  if (!e || e.ok === null) return 'unknown';
+  if (!e.ok) return 'down';
+  if (e.errorRate >= MAX_ERROR_RATE) return 'degraded';
+  if (top && e.level && top - e.level > MAX_LAG) return 'stale';
+  return 'up';
+};
+
+/**
+ * First endpoint (priority order) that is up and not in `exclude`; falls
+ * back to any untried one so a cold monitor still fails over.
+ */
+export const nextHealthy = (net, exclude = new Set()) => {
+  if (net !== state.net) return null;
+  const top = bestLevel();
+  const left = state.order.filter((u) => !exclude.has(u));
+  return left.find((u) => endpointStatus(state.endpoints[u], top) === 'up')
+    || left.find((u) => endpointStatus(state.endpoints[u], top) === 'unknown')
+    || null;
+};
+
+/* ─── recording ───────────────────────────────────── */
+/** Live toolkit traffic outcome for `url` (ignored for other networks). */
+export const recordResult = (net, url, ok, error = '') => {
+  const known = net === state.net && state.endpoints[url];
+  if (!known) return;
+  if (ok && known.ok && known.errorRate === 0) return; // nothing new — skip the re-render
+  patchEndpoint(url, (cur) => ({
+    ...cur,
+    ...withSample(cur, ok),
+    ...(ok ? {} : { ok: false, lastError: error }),
+  }));
+};
+
+export const setHealthActive = (net, url) => {
+  if (net === state.net && url !== state.active) emit({ active: url });
+};
+
+/* ─── probing ─────────────────────────────────────── */
+const probeHead = async (net, url) => {
+  try {
+    const { res, ms } = await timedFetch(`${url}/chains/main/blocks/head/header`, PROBE_TIMEOUT);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const head = await res.json();
+    const want = NETWORKS[net]?.chainId;
+    if (want && head.chain_id !== want) throw new Error(`wrong chain (${head.chain_id})`);
+    if (net !== state.net) return; // switched networks mid-probe
+    patchEndpoint(url, (cur) => ({
+      ...cur, ...withSample(cur, true), ok: true, ms, level: head.level, lastError: '', checkedAt: Date.now(),
+    }));
+  } catch (e) {
+    const error = e.name === 'AbortError' ? 'timed out' : e.message;
+    if (net !== state.net) return;
+    patchEndpoint(url, (cur) => ({
+      ...cur, ...withSample(cur, false), ok: false, lastError: error, checkedAt: Date.now(),
+    }));
+  }
+};
+
+const probeAll = (net) => {
+  if (typeof document !== 'undefined' && document.hidden) return Promise.resolve();
+  return Promise.all(state.order.map((u) => probeHead(net, u)));
+};
+
+/**
+ * Watch `urls` (priority order) for `net` — probes now and every 30 s
+ * while the tab is visible. Returns a stop fn; a new call replaces the old.
+ */
+export const startHealthMonitor = (net, urls) => {
+  if (timer) clearInterval(timer);
+  const keep = state.net === net ? state.endpoints : {};
+  emit({
+    net,
+    order: urls,
+    active: state.net === net ? state.active : null,
+    endpoints: Object.fromEntries(urls.map((u) => [u, keep[u] || blank(u)])),
+  });
+  probeAll(net);
+  const id = setInterval(() => probeAll(net), PROBE_EVERY);
+  timer = id;
+  return () => {
+    clearInterval(id);
+    if (timer === id) timer = null;
+  };
+};
+
+/** Probe every endpoint right away (status panel "refresh"). */
+export const refreshHealth = () => (state.net ? probeAll(state.net) : Promise.resolve());
+
+/*— EOF —*/
@@ -0,0 +1,62 @@
+/*Developed by @jams2blues with love for the Tezos community
+  File: src/utils/tezosErrors.js
+  Summary: Human-readable mapping for common Taquito / RPC / wallet errors.
+           Contract rejections (FAILWITH) are pulled out of the RPC error
+           and explained through the per-version failwith catalogue.
+*/
+
+import { explainFailwith } from './failwithCatalogue';
+
+/* ─── FAILWITH extraction ─────────────────────────── */
+const WITH_RX = /"with"\s*:\s*\{\s*"(string|int)"\s*:\s*"([^"]*)"/;
+
+const fromValue = (w) => (w && ('string' in w ? w.string : 'int' in w ? w.int : null));
+
+/**
+ * The FAILWITH value (string, or int as a string) carried by a Taquito
+ * TezosOperationError / HttpResponseError / wallet error — null if none.
+ */
+export const extractFailwith = (err) => {
+  if (!err) return null;
+  const rows = [...(err.errors || []), ...(Array.isArray(err.data) ? err.data : [])];
+  const hit = rows.reverse().map((r) => fromValue(r?.with)).find((v) => v != null);
+  if (hit != null) return String(hit);
+  const text = [err.body, err.message, typeof err.data === 'string' ? err.data : '']
+    .filter(Boolean).join('\n');
+  const m = text.match(WITH_RX);
+  return m ? m[2] : null;
+};
+
+/**
+ * → { failwith, reason, fix } when the contract rejected the operation,
+ *   null otherwise. `version` picks the catalogue (v1 … v4).
+ */
+export const describeRejection = (err, version) => {
+  const failwith = extractFailwith(err);
+  if (failwith == null) return null;
+  const known = explainFailwith(failwith, version);
+  return {
+    failwith,
+    reason: known?.reason || `Contract rejected the operation: ${failwith}`,
+    fix: known?.fix || '',
+  };
+};
+
+export const explainTezosError = (err, version) => {
+  if (!err?.message && !err?.errors) return 'Unknown error';
+  const rejected = describeRejection(err, version);
+  if (rejected) return rejected.fix ? `${rejected.reason} ${rejected.fix}` : rejected.reason;
+  const m = (err.message || '').toLowerCase();
+  if (m.includes('oversized')) return 'Operation size too large';
+  if (m.includes('not enough tez') || m.includes('balance'))
+    return 'Wallet balance too low';
+  if (m.includes('forbidden') || m.includes('cors'))
+    return 'RPC node rejected the request';
+  /* only reached once failover (utils/failoverBackend) ran out of nodes */
+  if (m.includes('bad gateway') || m.includes('502') || m.includes('503') || m.includes('504'))
+    return 'All RPC nodes temporarily unavailable – try again shortly';
+  if (m.includes('expired')) return 'Wallet session expired – reconnect';
+  return err.message;
+};
+
+/*— EOF —*/
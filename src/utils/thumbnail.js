@@ -0,0 +1,147 @@
+/*Developed by @jams2blues with love for the Tezos community
+  File: src/utils/thumbnail.js
+  Summary: Grab a still frame from an artifact (image, video poster frame,
+           <model-viewer> render, static HTML/SVG snapshot) and squeeze it
+           into a small WebP data URI for thumbnailUri (JPEG for displayUri).
+*/
+
+import {
+  SVG_TYPE,
+  RASTER_TYPES,
+  mimeOfUri,
+  uriToBytes,
+  rasterize,
+  fitToBudget,
+} from './artifactOptimizer';
+
+/* ─── constants ───────────────────────────────────── */
+export const THUMB_MAX_DIM = 256;
+export const THUMB_BUDGET = 4096;
+const FRAME_DIM = 512;
+const FRAME_TIMEOUT_MS = 15_000;
+const MODEL_VIEWER_SRC = 'https://unpkg.com/@google/model-viewer/dist/model-viewer.min.js';
+
+/* ─── utility fns ─────────────────────────────────── */
+const withTimeout = (p, msg) =>
+  Promise.race([
+    p,
+    new Promise((_, reject) => setTimeout(() => reject(new Error(msg)), FRAME_TIMEOUT_MS)),
+  ]);
+
+const nextFrames = () =>
+  new Promise((r) => requestAnimationFrame(() => requestAnimationFrame(r)));
+
+/**
+ * 'image' | 'video' | 'model' | 'html' | null — what kind of still we can take.
+ */
+export const thumbnailKind = (uri = '', mime = '') => {
+  const m = mime || mimeOfUri(uri);
+  if (RASTER_TYPES.includes(m) || m === SVG_TYPE || m === 'image/gif' || m === 'image/apng') return 'image';
+  if (m.startsWith('video/')) return 'video';
+  if (m.startsWith('model/') || uri.startsWith('data:model/')) return 'model';
+  if (m === 'text/html') return 'html';
+  return null;
+};
+
+/* ─── frame grabbers → PNG data URI ──────────────── */
+const videoFrame = (uri) =>
+  withTimeout(new Promise((resolve, reject) => {
+    const v = document.createElement('video');
+    v.muted = true;
+    v.playsInline = true;
+    v.preload = 'auto';
+    v.onloadeddata = () => { v.currentTime = Math.min(1, (v.duration || 0) / 4); };
+    v.onseeked = () => {
+      const c = document.createElement('canvas');
+      c.width = v.videoWidth;
+      c.height = v.videoHeight;
+      c.getContext('2d').drawImage(v, 0, 0);
+      resolve(c.toDataURL('image/png'));
+    };
+    v.onerror = () => reject(new Error('Video could not be decoded'));
+    v.src = uri;
+  }), 'Video frame timed out');
+
+const modelFrame = async (uri) => {
+  if (!window.customElements?.get('model-viewer')) {
+    const s = document.createElement('script');
+    s.type = 'module'; s.async = true; s.crossOrigin = 'anonymous';
+    s.src = MODEL_VIEWER_SRC;
+    document.head.appendChild(s);
+  }
+  await withTimeout(customElements.whenDefined('model-viewer'), 'model-viewer failed to load');
+
+  /* must be in the viewport or model-viewer skips rendering */
+  const mv = document.createElement('model-viewer');
+  mv.style.cssText = `position:fixed;left:0;top:0;width:${FRAME_DIM}px;height:${FRAME_DIM}px;opacity:0;pointer-events:none;z-index:-1`;
+  mv.setAttribute('src', uri);
+  document.body.appendChild(mv);
+  try {
+    await withTimeout(
+      new Promise((resolve, reject) => {
+        mv.addEventListener('load', resolve, { once: true });
+        mv.addEventListener('error', () => reject(new Error('Model could not be loaded')), { once: true });
+      }),
+      'Model render timed out',
+    );
+    await nextFrames();
+    return mv.toDataURL('image/png');
+  } finally {
+    mv.remove();
+  }
+};
+
+/* static snapshot only — scripts are stripped, generative pieces render their bare DOM */
+const htmlFrame = async (uri) => {
+  const html = new TextDecoder().decode(uriToBytes(uri));
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  doc.querySelectorAll('script').forEach((n) => n.remove());
+  const xs = new XMLSerializer();
+  const styles = [...doc.querySelectorAll('style')].map((n) => xs.serializeToString(n)).join('');
+  const body = xs.serializeToString(doc.body);
+  const svg =
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${FRAME_DIM}" height="${FRAME_DIM}">` +
+    `<foreignObject width="100%" height="100%"><div xmlns="http://www.w3.org/1999/xhtml">${styles}${body}</div></foreignObject></svg>`;
+  const svgUri = `data:${SVG_TYPE};base64,${btoa(unescape(encodeURIComponent(svg)))}`;
+  try {
+    return (await rasterize(svgUri, { format: 'image/png' })).uri;
+  } catch {
+    throw new Error('This browser blocks HTML snapshots');
+  }
+};
+
+const FRAMERS = {
+  image: async (uri) => (await rasterize(uri, { format: 'image/png', maxDim: FRAME_DIM })).uri,
+  video: videoFrame,
+  model: modelFrame,
+  html: htmlFrame,
+};
+
+/* ─── public api ──────────────────────────────────── */
+/**
+ * → { uri, after, fits, width, height } — WebP (JPEG fallback) ≤ budget
+ * when possible. With `display`, also → `display`: a JPEG of the same frame
+ * for displayUri, since card renderers (satori / next/og) can't draw WebP.
+ * Throws for unsupported types or failed captures.
+ */
+export const makeThumbnail = async (
+  uri,
+  mime = '',
+  { maxDim = THUMB_MAX_DIM, budget = THUMB_BUDGET, display = false } = {},
+) => {
+  const kind = thumbnailKind(uri, mime);
+  if (!kind) throw new Error(`No thumbnail for ${mime || mimeOfUri(uri) || 'this file type'}`);
+  const frame = await FRAMERS[kind](uri);
+  const jpeg = () => fitToBudget(frame, budget, { format: 'image/jpeg', maxDim });
+  let thumb;
+  try {
+    thumb = await fitToBudget(frame, budget, { format: 'image/webp', maxDim });
+  } catch {
+    thumb = await jpeg();
+  }
+  if (!display) return thumb;
+  const shown = mimeOfUri(thumb.uri) === 'image/jpeg' ? thumb : await jpeg();
+  return { ...thumb, display: shown };
+};
+
+/*— EOF —*/
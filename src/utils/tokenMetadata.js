@@ -0,0 +1,158 @@
+/*Developed by @jams2blues with love for the Tezos community
+  File: src/utils/tokenMetadata.js
+  Summary: Shared TZIP-21 token_info builder + mint-op helper — used by the
+           single Mint form and the bulk minter so both encode identically.
+*/
+
+import { MichelsonMap } from '@taquito/taquito';
+import { Buffer } from 'buffer';
+
+/* ─── constants ───────────────────────────────────── */
+export const MAX_ATTRIBUTES = 10;
+export const MAX_ATTRIBUTE_NAME_LENGTH = 32;
+export const MAX_ATTRIBUTE_VALUE_LENGTH = 32;
+export const MAX_TAGS = 10;
+export const MAX_TAG_LENGTH = 20;
+export const TAG_REGEX = /^[a-z0-9-_]+$/i;
+export const MAX_ROYALTIES = 25;
+export const OVERHEAD_BYTES = 360;
+export const MAX_METADATA_SIZE = 32_768;
+export const STORAGE_COST_PER_BYTE = 0.00025;
+export const MAX_EDITIONS = 10_000;
+
+export const ON_CHAIN_LICENSE =
+  'On-Chain NFT License 2.0 (KT1S9GHLCrGg5YwoJGDDuC347bCTikefZQ4z)';
+
+export const LICENCE_OPTIONS = [
+  'CC0 (Public Domain)',
+  'All Rights Reserved',
+  ON_CHAIN_LICENSE,
+  'CC BY 4.0',
+  'CC BY-SA 4.0',
+  'CC BY-ND 4.0',
+  'CC BY-NC 4.0',
+  'CC BY-NC-SA 4.0',
+  'CC BY-NC-ND 4.0',
+  'MIT',
+  'GPL',
+  'Apache 2.0',
+  'Unlicense',
+  'Custom',
+];
+
+/* ─── utility fns ─────────────────────────────────── */
+export const stringToHex = (str) => Buffer.from(str, 'utf8').toString('hex');
+export const hexToString = (hex = '') =>
+  Buffer.from(hex.replace(/^0x/, ''), 'hex').toString('utf8');
+export const isValidTezosAddress = (a) =>
+  /^(tz1|tz2|tz3|KT1)[1-9A-HJ-NP-Za-km-z]{33}$/.test(a);
+
+const hexOf = (str) => '0x' + stringToHex(str);
+const splitList = (s = '') => s.split(',').map((x) => x.trim());
+
+/**
+ * Byte size of a token_info map as it will sit on-chain (+ fixed overhead).
+ */
+export const approximateMetadataSize = (map) => {
+  let total = 0;
+  for (const [k, v] of map.entries()) {
+    total += Buffer.byteLength(k, 'utf8');
+    total +=
+      typeof v === 'string' && v.startsWith('0x')
+        ? (v.length - 2) / 2
+        : Buffer.byteLength(v, 'utf8');
+  }
+  return total + OVERHEAD_BYTES;
+};
+
+/* ─── royalty splits ──────────────────────────────── */
+/* splits: [{ address, percent }] — percent is human (e.g. "2.5") */
+export const totalRoyalties = (splits = []) =>
+  splits.reduce((t, s) => t + (parseFloat(s.percent) || 0), 0);
+
+/**
+ * Return '' when the split table is mintable, otherwise a user-facing reason.
+ */
+export const validateRoyaltySplits = (splits = []) => {
+  const used = splits.filter((s) => s.address.trim() || String(s.percent).trim());
+  const seen = new Set();
+  for (const s of used) {
+    const addr = s.address.trim();
+    const pct  = parseFloat(s.percent);
+    if (!isValidTezosAddress(addr)) return `Royalty payee "${addr || '?'}" is not a valid address`;
+    if (seen.has(addr)) return `Royalty payee ${addr} is listed twice`;
+    seen.add(addr);
+    if (isNaN(pct) || pct < 0) return `Royalty share for ${addr} must be ≥ 0`;
+  }
+  const total = totalRoyalties(used);
+  if (total > MAX_ROYALTIES)
+    return `Royalties total ${+total.toFixed(2)}% – max is ${MAX_ROYALTIES}%`;
+  return '';
+};
+
+/* TZIP-21 royalties object — 4 decimals, so 1 % = 100 */
+export const royaltyShares = (splits = []) => ({
+  decimals: 4,
+  shares: Object.fromEntries(
+    splits
+      .filter((s) => s.address.trim() && parseFloat(s.percent) > 0)
+      .map((s) => [s.address.trim(), Math.round(parseFloat(s.percent) * 100)])
+  ),
+});
+
+/**
+ * Build the token_info MichelsonMap.
+ * `creators` / `authors` are comma-separated strings (form style);
+ * `royalties` is the split table (see royaltyShares); thumbnail /
+ * display URIs are written only when given.
+ */
+export const buildTokenMetadata = ({
+  name = '',
+  description = '',
+  artifactUri = '',
+  thumbnailUri = '',
+  displayUri = '',
+  mimeType = '',
+  creators = '',
+  authors = '',
+  rights = '',
+  royalties = [],
+  attributes = [],
+  tags = [],
+  nsfw = false,
+  flashing = false,
+}) => {
+  const m = new MichelsonMap();
+  m.set('name', hexOf(name));
+  if (description.trim()) m.set('description', hexOf(description));
+  m.set('artifactUri', hexOf(artifactUri || ''));
+  if (displayUri) m.set('displayUri', hexOf(displayUri));
+  if (thumbnailUri) m.set('thumbnailUri', hexOf(thumbnailUri));
+  m.set('creators', hexOf(JSON.stringify(splitList(creators))));
+  m.set('authors', hexOf(JSON.stringify(splitList(authors))));
+  if (rights.trim()) m.set('rights', hexOf(rights));
+  if (mimeType) m.set('mimeType', hexOf(mimeType));
+  m.set('decimals', hexOf('0'));
+
+  m.set('royalties', hexOf(JSON.stringify(royaltyShares(royalties))));
+  const filtered = attributes.filter((a) => a.name && a.value);
+  if (filtered.length) m.set('attributes', hexOf(JSON.stringify(filtered)));
+  if (tags.length) m.set('tags', hexOf(JSON.stringify(tags)));
+  if (nsfw) m.set('contentRating', hexOf('mature'));
+  if (flashing)
+    m.set('accessibility', hexOf(JSON.stringify({ hazards: ['flashing'] })));
+  return m;
+};
+
+/**
+ * Return Taquito WalletMethod with correct argument order per ZeroContract.
+ */
+export const buildMintOp = (contract, version, amount, map, to) => {
+  const amt = parseInt(amount, 10);
+  if (version === 'v1') return contract.methods.mint(map, to);
+  if (version === 'v2b') return contract.methods.mint(map, to, amt);
+  // default for v2a, v2c‑e, v3
+  return contract.methods.mint(amt, map, to);
+};
+
+/*— EOF —*/